@@ -0,0 +1,137 @@
+import { toNumber } from './number-utils.js';
+
+/**
+ * Sold Comps Selector
+ * Ranks recently sold homes against a subject property by distance, size and age similarity,
+ * and derives an after-repair value from the best matches
+ */
+export class CompsSelector {
+    constructor(options = {}) {
+        this.minComps = options.minComps ?? 3;
+        this.maxComps = options.maxComps ?? 6;
+        this.radiusMiles = options.radiusMiles ?? 1;
+        this.soldWithinMonths = options.soldWithinMonths ?? 6;
+
+        if (this.minComps < 1 || this.maxComps < this.minComps) {
+            throw new Error(`Input error: soldComps.maxComps must be at least soldComps.minComps (and both at least 1).`);
+        }
+    }
+
+    /**
+     * Pick the best comps for a subject: { comps, compCount, compsPricePerSqft, arvFromComps }
+     */
+    select(subject, candidates, now = new Date()) {
+        const ranked = candidates
+            .map(candidate => this.toComp(subject, candidate, now))
+            .filter(Boolean)
+            .sort((a, b) => a.similarityScore - b.similarityScore);
+
+        // The same home can appear more than once in overlapping searches
+        const seen = new Set();
+        const comps = [];
+        for (const comp of ranked) {
+            const key = comp.zpid || comp.url;
+            if (key && seen.has(key)) continue;
+            if (key) seen.add(key);
+            comps.push(comp);
+            if (comps.length >= this.maxComps) break;
+        }
+
+        const subjectSqft = toNumber(subject.sqft);
+        const compsPricePerSqft = comps.length >= this.minComps ?
+            this.median(comps.map(comp => comp.pricePerSqft)) :
+            null;
+
+        return {
+            comps,
+            compCount: comps.length,
+            compsPricePerSqft,
+            arvFromComps: compsPricePerSqft && subjectSqft ? Math.round(compsPricePerSqft * subjectSqft) : null
+        };
+    }
+
+    /**
+     * Turn a sold search result into a scored comp, or null when it cannot be compared
+     */
+    toComp(subject, candidate, now) {
+        if (subject.zpid && candidate.zpid && String(subject.zpid) === String(candidate.zpid)) return null;
+        if (candidate.statusType && !/SOLD/i.test(candidate.statusType)) return null;
+
+        const soldPrice = toNumber(candidate.price);
+        const sqft = toNumber(candidate.sqft);
+        if (!soldPrice || !sqft) return null;
+
+        const soldDate = candidate.soldDate || null;
+        if (soldDate && this.monthsBetween(soldDate, now) > this.soldWithinMonths) return null;
+
+        const distanceMiles = this.getDistanceMiles(subject, candidate);
+        if (distanceMiles !== null && distanceMiles > this.radiusMiles) return null;
+
+        return {
+            zpid: candidate.zpid || null,
+            url: candidate.url || null,
+            address: candidate.address || null,
+            soldPrice,
+            soldDate,
+            pricePerSqft: Math.round(soldPrice / sqft),
+            sqft,
+            beds: toNumber(candidate.beds),
+            baths: toNumber(candidate.baths),
+            yearBuilt: toNumber(candidate.yearBuilt),
+            distanceMiles: distanceMiles !== null ? Math.round(distanceMiles * 100) / 100 : null,
+            similarityScore: Math.round(this.getSimilarityScore(subject, candidate, distanceMiles) * 1000) / 1000
+        };
+    }
+
+    /**
+     * Lower is more similar: distance within the radius, then relative size, age and bedroom gaps
+     */
+    getSimilarityScore(subject, candidate, distanceMiles) {
+        let score = distanceMiles !== null ? distanceMiles / this.radiusMiles : 0.5;
+
+        const subjectSqft = toNumber(subject.sqft);
+        const sqft = toNumber(candidate.sqft);
+        score += subjectSqft && sqft ? Math.abs(sqft - subjectSqft) / subjectSqft : 0.25;
+
+        const subjectYear = toNumber(subject.yearBuilt);
+        const year = toNumber(candidate.yearBuilt);
+        score += subjectYear && year ? Math.abs(year - subjectYear) / 30 : 0.25;
+
+        const subjectBeds = toNumber(subject.beds);
+        const beds = toNumber(candidate.beds);
+        if (subjectBeds !== null && beds !== null) score += Math.abs(beds - subjectBeds) * 0.25;
+
+        return score;
+    }
+
+    /**
+     * Great-circle distance in miles (null when either side has no coordinates)
+     */
+    getDistanceMiles(a, b) {
+        const lat1 = toNumber(a.latitude);
+        const lng1 = toNumber(a.longitude);
+        const lat2 = toNumber(b.latitude);
+        const lng2 = toNumber(b.longitude);
+        if ([lat1, lng1, lat2, lng2].some(value => value === null)) return null;
+
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 3958.8 * 2 * Math.asin(Math.sqrt(h));
+    }
+
+    monthsBetween(date, now) {
+        const sold = new Date(date);
+        if (isNaN(sold.getTime())) return 0;
+        return (now.getTime() - sold.getTime()) / (1000 * 60 * 60 * 24 * 30.44);
+    }
+
+    median(values) {
+        const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+}
@@ -0,0 +1,118 @@
+import { toNumber } from './number-utils.js';
+
+/**
+ * Fix-and-Flip Deal Analyzer
+ * Estimates ARV, rehab budget and maximum allowable offer (the 70% rule) for each property
+ */
+
+export class DealAnalyzer {
+    constructor(options = {}) {
+        // ARV source: 'zestimate', 'pricePerSqft' or 'comps' (recent sold comparables)
+        this.arvSource = options.arvSource || 'zestimate';
+        this.arvPricePerSqft = options.arvPricePerSqft || null;
+        this.arvMultiplier = options.arvMultiplier ?? 1;
+
+        // Rehab cost per sqft by severity tier; 'auto' picks the tier from matched keywords
+        this.rehabCostPerSqft = {
+            light: 15,
+            medium: 35,
+            heavy: 60,
+            ...(options.rehabCostPerSqft || {})
+        };
+        this.rehabTier = options.rehabTier || 'auto';
+
+        this.holdingMonths = options.holdingMonths ?? 6;
+        this.monthlyHoldingCostPct = options.monthlyHoldingCostPct ?? 0.01;
+        this.closingCostPct = options.closingCostPct ?? 0.03;
+        this.sellingCostPct = options.sellingCostPct ?? 0.08;
+        this.targetPercentage = options.targetPercentage ?? 0.7;
+        this.minSpread = options.minSpread ?? null;
+
+        if (!['zestimate', 'pricePerSqft', 'comps'].includes(this.arvSource)) {
+            throw new Error(`Input error: unknown dealAnalysis.arvSource '${this.arvSource}'.`);
+        }
+        if (this.rehabTier !== 'auto' && !this.rehabCostPerSqft[this.rehabTier]) {
+            throw new Error(`Input error: unknown dealAnalysis.rehabTier '${this.rehabTier}'.`);
+        }
+    }
+
+    /**
+     * Analyze a detail record; fields are null when price, size or ARV are unknown
+     */
+    analyze(record, matchedKeywords = []) {
+        const price = toNumber(record.price);
+        const sqft = toNumber(record.sqft);
+        const arv = this.getArv(record);
+        const rehabTier = this.getRehabTier(matchedKeywords);
+        const estimatedRehab = sqft ? Math.round(sqft * this.rehabCostPerSqft[rehabTier]) : null;
+
+        const analysis = {
+            arv: arv !== null ? Math.round(arv) : null,
+            arvSource: arv !== null ? this.arvSource : null,
+            rehabTier,
+            estimatedRehab,
+            maxAllowableOffer: null,
+            spreadVsList: null,
+            projectedProfit: null
+        };
+
+        if (arv === null || estimatedRehab === null) return analysis;
+
+        analysis.maxAllowableOffer = Math.round(arv * this.targetPercentage - estimatedRehab);
+
+        if (price) {
+            // Profit if bought at the list price and resold at ARV
+            const closingCosts = price * this.closingCostPct;
+            const holdingCosts = price * this.monthlyHoldingCostPct * this.holdingMonths;
+            const sellingCosts = arv * this.sellingCostPct;
+
+            analysis.spreadVsList = analysis.maxAllowableOffer - price;
+            analysis.projectedProfit = Math.round(arv - price - estimatedRehab - closingCosts - holdingCosts - sellingCosts);
+        }
+
+        return analysis;
+    }
+
+    /**
+     * After-repair value from the configured source
+     */
+    getArv(record) {
+        if (this.arvSource === 'zestimate') {
+            return toNumber(record.zestimate);
+        }
+
+        if (this.arvSource === 'comps') {
+            return toNumber(record.arvFromComps);
+        }
+
+        const sqft = toNumber(record.sqft);
+        if (!sqft) return null;
+
+        if (this.arvPricePerSqft) {
+            return sqft * this.arvPricePerSqft;
+        }
+
+        // Without a fixed $/sqft, scale the listing's own $/sqft
+        const price = toNumber(record.price);
+        return price ? price * this.arvMultiplier : null;
+    }
+
+    /**
+     * Rehab severity tier: configured, or heavy (structural keywords) / medium (any keyword) / light
+     */
+    getRehabTier(matchedKeywords = []) {
+        if (this.rehabTier !== 'auto') return this.rehabTier;
+
+        if (matchedKeywords.some(match => match.category === 'structural')) return 'heavy';
+        if (matchedKeywords.length > 0) return 'medium';
+        return 'light';
+    }
+
+    /**
+     * Whether an analysis clears the minimum spread (unknown spreads are kept)
+     */
+    passesMinSpread(analysis) {
+        if (this.minSpread === null || analysis.spreadVsList === null) return true;
+        return analysis.spreadVsList >= this.minSpread;
+    }
+}
@@ -0,0 +1,225 @@
+import { Actor } from 'apify';
+import crypto from 'crypto';
+import { PropertyNormalizer } from './property-normalizer.js';
+
+export const DELTA_MODES = ['off', 'all', 'changes'];
+
+/**
+ * Delta Tracker for Incremental Runs
+ * Keeps a compact per-zpid fingerprint in a named key-value store and classifies each record
+ * against the previous run: new, price_drop, price_increase, status_change, description_changed,
+ * unchanged, or removed
+ */
+export class DeltaTracker {
+    constructor(options = {}) {
+        this.storeName = options.storeName || 'zillow-delta-state';
+        this.recordKey = options.recordKey || 'FINGERPRINTS';
+        this.normalizer = options.normalizer || new PropertyNormalizer();
+
+        this.previous = new Map();
+        this.current = new Map();
+        this.seenSearches = new Map();
+        this.completedSearches = new Set();
+        this.failedSearches = new Set();
+    }
+
+    /**
+     * Load the fingerprints saved by the previous run
+     */
+    async load() {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const data = await store.getValue(this.recordKey);
+        this.restore(data);
+        return this.previous.size;
+    }
+
+    restore(data) {
+        this.previous = new Map(Object.entries(data?.fingerprints || {}));
+        return this;
+    }
+
+    /**
+     * Save this run's fingerprints; previous ones that were neither seen nor removed are carried over
+     */
+    async save() {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const data = this.serialize();
+        await store.setValue(this.recordKey, data);
+        return data;
+    }
+
+    serialize() {
+        const removed = new Set(this.getRemoved().map(record => record.zpid));
+        const fingerprints = {};
+
+        for (const [zpid, fingerprint] of this.previous.entries()) {
+            if (!removed.has(zpid) && !this.current.has(zpid)) {
+                fingerprints[zpid] = fingerprint;
+            }
+        }
+        for (const [zpid, fingerprint] of this.current.entries()) {
+            fingerprints[zpid] = {
+                ...fingerprint,
+                searchKeys: [...(this.seenSearches.get(zpid) || fingerprint.searchKeys || [])]
+            };
+        }
+
+        return { savedAt: new Date().toISOString(), fingerprints };
+    }
+
+    /**
+     * In-progress run state, persisted so a migrated run does not lose what it has already seen
+     */
+    getRunState() {
+        return {
+            current: Object.fromEntries(this.current),
+            seenSearches: Object.fromEntries([...this.seenSearches].map(([zpid, keys]) => [zpid, [...keys]])),
+            completedSearches: [...this.completedSearches],
+            failedSearches: [...this.failedSearches]
+        };
+    }
+
+    restoreRunState(state) {
+        if (!state) return this;
+        this.current = new Map(Object.entries(state.current || {}));
+        this.seenSearches = new Map(Object.entries(state.seenSearches || {}).map(([zpid, keys]) => [zpid, new Set(keys)]));
+        this.completedSearches = new Set(state.completedSearches || []);
+        this.failedSearches = new Set(state.failedSearches || []);
+        return this;
+    }
+
+    /**
+     * Compact fingerprint of a record
+     */
+    fingerprint(record) {
+        const description = (record.description || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        return {
+            price: typeof record.price === 'number' ? record.price : null,
+            status: this.knownStatus(record.status ?? record.homeStatus ?? record.statusType),
+            descriptionHash: description ? crypto.createHash('sha1').update(description).digest('hex') : null,
+            daysOnZillow: typeof record.daysOnZillow === 'number' ? record.daysOnZillow : null,
+            url: record.url || null,
+            address: record.fullAddress || (typeof record.address === 'string' ? record.address : null),
+            lastSeenAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Canonical listing status, or null when it is missing or UNKNOWN; fingerprints from earlier runs
+     * may hold raw Zillow values ('RECENTLY_SOLD'), so both sides of a comparison go through this
+     */
+    knownStatus(status) {
+        if (status === null || status === undefined || status === '') return null;
+        const normalized = this.normalizer.normalizeStatus(status, null, []);
+        return normalized === 'UNKNOWN' ? null : normalized;
+    }
+
+    /**
+     * Note that a search returned this zpid (searches are what make a listing eligible for removal)
+     */
+    markSeen(zpid, searchKey) {
+        if (!zpid) return;
+        zpid = String(zpid);
+        if (!this.seenSearches.has(zpid)) this.seenSearches.set(zpid, new Set());
+        if (searchKey) this.seenSearches.get(zpid).add(searchKey);
+    }
+
+    markSearchComplete(searchKey) {
+        this.completedSearches.add(searchKey);
+    }
+
+    markSearchFailed(searchKey) {
+        this.failedSearches.add(searchKey);
+    }
+
+    /**
+     * Store a record's fingerprint without classifying it (e.g. records filtered out of the output)
+     */
+    observe(record) {
+        if (!record.zpid) return null;
+        const zpid = String(record.zpid);
+        const fingerprint = this.mergeFingerprint(this.current.get(zpid), this.fingerprint(record));
+        this.current.set(zpid, fingerprint);
+        this.markSeen(zpid);
+        return fingerprint;
+    }
+
+    /**
+     * Classify a record against the previous run: { changeType, changes, previousPrice, ... }
+     */
+    classify(record) {
+        const fingerprint = this.observe(record);
+        if (!fingerprint) return {};
+
+        const previous = this.previous.get(String(record.zpid));
+        if (!previous) return { changeType: 'new', changes: ['new'] };
+
+        const changes = [];
+        const previousStatus = this.knownStatus(previous.status);
+        if (previousStatus && fingerprint.status && previousStatus !== fingerprint.status) {
+            changes.push('status_change');
+        }
+        if (previous.price !== null && fingerprint.price !== null && previous.price !== fingerprint.price) {
+            changes.push(fingerprint.price < previous.price ? 'price_drop' : 'price_increase');
+        }
+        if (previous.descriptionHash && fingerprint.descriptionHash && previous.descriptionHash !== fingerprint.descriptionHash) {
+            changes.push('description_changed');
+        }
+
+        const delta = {
+            changeType: changes[0] || 'unchanged',
+            changes,
+            previousSeenAt: previous.lastSeenAt || null
+        };
+        if (changes.includes('price_drop') || changes.includes('price_increase')) {
+            delta.previousPrice = previous.price;
+            delta.priceChange = fingerprint.price - previous.price;
+        }
+        if (changes.includes('status_change')) {
+            delta.previousStatus = previousStatus;
+        }
+
+        return delta;
+    }
+
+    /**
+     * Previous listings that a fully completed search no longer returns
+     */
+    getRemoved() {
+        const removed = [];
+
+        for (const [zpid, previous] of this.previous.entries()) {
+            if (this.current.has(zpid) || this.seenSearches.has(zpid)) continue;
+
+            const completedIn = (previous.searchKeys || []).filter(key =>
+                this.completedSearches.has(key) && !this.failedSearches.has(key));
+            if (completedIn.length === 0) continue;
+
+            removed.push({
+                zpid,
+                url: previous.url,
+                address: previous.address,
+                changeType: 'removed',
+                changes: ['removed'],
+                previousPrice: previous.price,
+                previousStatus: previous.status,
+                previousSeenAt: previous.lastSeenAt,
+                removedFromSearches: completedIn
+            });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Detail data wins over search data, but search-only fields fill gaps
+     */
+    mergeFingerprint(existing, fingerprint) {
+        if (!existing) return fingerprint;
+        const merged = { ...existing };
+        for (const [field, value] of Object.entries(fingerprint)) {
+            if (value !== null) merged[field] = value;
+        }
+        return merged;
+    }
+}
@@ -0,0 +1,356 @@
+import * as cheerio from 'cheerio';
+import { toNumber } from './number-utils.js';
+
+/**
+ * Embedded Data Extractor for Zillow Pages
+ * Reads the server-rendered JSON payloads (__NEXT_DATA__ / gdpClientCache) instead of walking the DOM
+ */
+export class EmbeddedDataExtractor {
+    constructor(options = {}) {
+        this.maxImages = options.maxImages || 20;
+    }
+
+    /**
+     * Extract property details from a live page using its embedded JSON
+     */
+    async extractPropertyDetails(page, url) {
+        const html = await page.content();
+        return this.parseDetailHtml(html, url);
+    }
+
+    /**
+     * Extract search results from a live page using its embedded search state
+     */
+    async extractSearchResults(page, url) {
+        const html = await page.content();
+        return this.parseSearchHtml(html, url);
+    }
+
+    /**
+     * Parse a search page's HTML into { results, totalResultCount, mapBounds, regionSelection } (null when no search state is present)
+     */
+    parseSearchHtml(html, url) {
+        if (!html) return null;
+
+        const searchState = this.findSearchState(cheerio.load(html));
+        const listResults = searchState?.cat1?.searchResults?.listResults;
+        if (!Array.isArray(listResults)) return null;
+
+        const results = listResults
+            .map(item => this.mapSearchResult(item, url))
+            .filter(result => result.zpid || result.url);
+
+        return {
+            results,
+            totalResultCount: toNumber(searchState.cat1.searchList?.totalResultCount),
+            mapBounds: searchState.queryState?.mapBounds || null,
+            regionSelection: searchState.queryState?.regionSelection || null
+        };
+    }
+
+    /**
+     * Locate the search page state in either the Next.js payload or the legacy shared-data script
+     */
+    findSearchState($) {
+        const nextData = this.parseJsonScript($, 'script#__NEXT_DATA__');
+        const searchPageState = nextData?.props?.pageProps?.searchPageState;
+        if (searchPageState) return searchPageState;
+
+        // Legacy layout wraps the JSON in an HTML comment
+        const legacy = $('script[data-zrr-shared-data-key="mobileSearchPageStore"]').first().html();
+        if (legacy) {
+            const state = this.safeJsonParse(legacy.trim().replace(/^<!--/, '').replace(/-->$/, ''));
+            if (state?.cat1) return state;
+        }
+
+        return null;
+    }
+
+    /**
+     * Map one listResults entry onto the scraper's search record fields
+     */
+    mapSearchResult(item, searchUrl) {
+        const homeInfo = item.hdpData?.homeInfo || {};
+        const record = {};
+
+        record.zpid = item.zpid || homeInfo.zpid ? String(item.zpid || homeInfo.zpid) : null;
+        record.url = this.normalizeUrl(item.detailUrl);
+        record.address = item.address || null;
+        record.price = toNumber(item.unformattedPrice ?? homeInfo.price ?? item.price);
+        record.beds = toNumber(item.beds ?? homeInfo.bedrooms);
+        record.baths = toNumber(item.baths ?? homeInfo.bathrooms);
+        record.sqft = toNumber(item.area ?? homeInfo.livingArea);
+        record.latitude = toNumber(item.latLong?.latitude ?? homeInfo.latitude);
+        record.longitude = toNumber(item.latLong?.longitude ?? homeInfo.longitude);
+        record.statusType = item.statusType || null;
+        record.statusText = item.statusText || null;
+        record.daysOnZillow = toNumber(homeInfo.daysOnZillow);
+        record.zestimate = toNumber(item.zestimate ?? homeInfo.zestimate);
+        record.rentZestimate = toNumber(homeInfo.rentZestimate);
+        record.propertyType = homeInfo.homeType || null;
+        record.yearBuilt = toNumber(homeInfo.yearBuilt);
+        record.soldDate = this.toDateString(homeInfo.dateSold);
+
+        this.dropEmptyFields(record);
+
+        record.extractedAt = new Date().toISOString();
+        if (searchUrl) record.searchUrl = searchUrl;
+        record.extractionMethod = 'search-state';
+
+        return record;
+    }
+
+    /**
+     * Parse a detail page's HTML into a property record (null when no usable payload is present)
+     */
+    parseDetailHtml(html, url) {
+        if (!html) return null;
+
+        const property = this.findPropertyRecord(cheerio.load(html));
+        if (!property) return null;
+
+        return this.mapProperty(property, url);
+    }
+
+    /**
+     * Locate the property object inside whichever payload the page carries
+     */
+    findPropertyRecord($) {
+        const nextData = this.parseJsonScript($, 'script#__NEXT_DATA__');
+        if (nextData) {
+            const pageProps = nextData.props?.pageProps || {};
+            const cache = pageProps.componentProps?.gdpClientCache || pageProps.gdpClientCache;
+            const property = this.findPropertyInCache(cache);
+            if (property) return property;
+        }
+
+        // Older layout: Apollo cache preloaded next to the page
+        const apolloData = this.parseJsonScript($, 'script#hdpApolloPreloadedData');
+        if (apolloData) {
+            const property = this.findPropertyInCache(apolloData.apiCache);
+            if (property) return property;
+        }
+
+        return null;
+    }
+
+    /**
+     * Pull the first entry carrying a property out of a (possibly stringified) query cache
+     */
+    findPropertyInCache(cache) {
+        const parsed = typeof cache === 'string' ? this.safeJsonParse(cache) : cache;
+        if (!parsed || typeof parsed !== 'object') return null;
+
+        for (const entry of Object.values(parsed)) {
+            if (entry && entry.property && entry.property.zpid) {
+                return entry.property;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Map Zillow's property object onto the scraper's record fields
+     */
+    mapProperty(property, url) {
+        const record = {};
+        const address = property.address || {};
+
+        record.zpid = property.zpid ? String(property.zpid) : null;
+        record.address = this.formatAddress(address) || property.streetAddress || null;
+        record.price = toNumber(property.price);
+        record.beds = toNumber(property.bedrooms);
+        record.baths = toNumber(property.bathrooms);
+        record.sqft = toNumber(property.livingArea ?? property.livingAreaValue);
+        record.lotSize = this.getLotSizeSqft(property);
+        record.yearBuilt = toNumber(property.yearBuilt);
+        record.propertyType = property.homeType || null;
+        record.homeStatus = property.homeStatus || null;
+        record.zestimate = toNumber(property.zestimate);
+        record.rentZestimate = toNumber(property.rentZestimate);
+        record.latitude = toNumber(property.latitude);
+        record.longitude = toNumber(property.longitude);
+        record.description = property.description || null;
+        record.daysOnZillow = toNumber(property.daysOnZillow);
+
+        const images = this.extractPhotoUrls(property);
+        if (images.length > 0) {
+            record.images = images;
+            record.imageCount = images.length;
+        }
+
+        const attribution = property.attributionInfo || {};
+        record.agentName = attribution.agentName || null;
+        record.agentPhone = attribution.agentPhoneNumber || null;
+        record.agentEmail = attribution.agentEmail || null;
+        record.brokerName = attribution.brokerName || null;
+        record.brokerPhone = attribution.brokerPhoneNumber || null;
+        record.mlsId = attribution.mlsId || null;
+
+        Object.assign(record, this.extractHistory(property, record.price));
+
+        if (url) record.url = url;
+        record.extractionSource = 'embedded-json';
+
+        // Drop empty fields so search data merged underneath is not overwritten with nulls
+        return this.dropEmptyFields(record);
+    }
+
+    /**
+     * Price and tax history plus the negotiation figures derived from them
+     */
+    extractHistory(property, currentPrice) {
+        const priceHistory = (property.priceHistory || [])
+            .map(event => ({
+                date: this.toDateString(event.date ?? event.time),
+                event: event.event || null,
+                price: toNumber(event.price),
+                source: event.source || null,
+                isRental: Boolean(event.postingIsRental)
+            }))
+            .filter(event => event.date && event.event)
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        const taxHistory = (property.taxHistory || [])
+            .map(entry => ({
+                year: entry.time ? new Date(entry.time).getUTCFullYear() : toNumber(entry.year),
+                taxPaid: toNumber(entry.taxPaid),
+                assessedValue: toNumber(entry.value)
+            }))
+            .filter(entry => entry.year)
+            .sort((a, b) => b.year - a.year);
+
+        const history = {
+            priceHistory: priceHistory.length > 0 ? priceHistory : null,
+            taxHistory: taxHistory.length > 0 ? taxHistory : null,
+            priceCutCount: null,
+            totalPriceReductionPct: null,
+            lastSoldPrice: toNumber(property.lastSoldPrice),
+            lastSoldDate: this.toDateString(property.dateSold),
+            taxAssessedValue: taxHistory.find(entry => entry.assessedValue)?.assessedValue ??
+                toNumber(property.taxAssessedValue),
+            listToAssessedRatio: null
+        };
+
+        // Sale events only, oldest first; rental postings have their own prices
+        const saleEvents = priceHistory.filter(event => !event.isRental).reverse();
+
+        const lastSale = [...saleEvents].reverse().find(event => /^sold/i.test(event.event) && event.price);
+        if (lastSale) {
+            history.lastSoldPrice = lastSale.price;
+            history.lastSoldDate = lastSale.date;
+        }
+
+        // Price cuts and total reduction count from the current listing's first list price
+        let listingIndex = -1;
+        saleEvents.forEach((event, index) => {
+            if (/^listed/i.test(event.event)) listingIndex = index;
+        });
+        if (listingIndex !== -1) {
+            const listing = saleEvents.slice(listingIndex);
+            const listPrice = listing[0].price;
+            let previousPrice = listPrice;
+            let cuts = 0;
+
+            for (const event of listing.slice(1)) {
+                if (!/^price change/i.test(event.event) || !event.price) continue;
+                if (previousPrice && event.price < previousPrice) cuts++;
+                previousPrice = event.price;
+            }
+
+            history.priceCutCount = cuts;
+            const price = currentPrice ?? previousPrice;
+            if (listPrice && price) {
+                history.totalPriceReductionPct = Math.round(((listPrice - price) / listPrice) * 1000) / 10;
+            }
+        }
+
+        if (currentPrice && history.taxAssessedValue) {
+            history.listToAssessedRatio = Math.round((currentPrice / history.taxAssessedValue) * 100) / 100;
+        }
+
+        return history;
+    }
+
+    /**
+     * Collect the largest JPEG of each listing photo
+     */
+    extractPhotoUrls(property) {
+        const photos = property.responsivePhotos || property.originalPhotos || property.photos || [];
+        const urls = [];
+
+        for (const photo of photos) {
+            const sources = photo?.mixedSources?.jpeg || [];
+            const largest = sources.reduce((best, source) =>
+                !best || (source.width || 0) > (best.width || 0) ? source : best, null);
+            const photoUrl = largest?.url || photo?.url;
+
+            if (photoUrl && photoUrl.startsWith('http')) {
+                urls.push(photoUrl);
+            }
+        }
+
+        return [...new Set(urls)].slice(0, this.maxImages);
+    }
+
+    /**
+     * Lot size in square feet from either the numeric field or value + units
+     */
+    getLotSizeSqft(property) {
+        const lotSize = toNumber(property.lotSize);
+        if (lotSize) return lotSize;
+
+        const value = toNumber(property.lotAreaValue);
+        if (!value) return null;
+
+        const units = (property.lotAreaUnits || '').toLowerCase();
+        return units.startsWith('acre') ? Math.round(value * 43560) : value;
+    }
+
+    /**
+     * Utility methods
+     */
+    formatAddress(address) {
+        if (!address || !address.streetAddress) return null;
+        const locality = [address.city, [address.state, address.zipcode].filter(Boolean).join(' ')]
+            .filter(Boolean)
+            .join(', ');
+        return locality ? `${address.streetAddress}, ${locality}` : address.streetAddress;
+    }
+
+    toDateString(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+        const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+        return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+
+    dropEmptyFields(record) {
+        for (const key of Object.keys(record)) {
+            if (record[key] === null || record[key] === undefined) {
+                delete record[key];
+            }
+        }
+        return record;
+    }
+
+    normalizeUrl(url) {
+        if (!url) return null;
+        if (url.startsWith('http')) return url;
+        return `https://www.zillow.com${url.startsWith('/') ? '' : '/'}${url}`;
+    }
+
+    parseJsonScript($, selector) {
+        const content = $(selector).first().html();
+        return content ? this.safeJsonParse(content.trim()) : null;
+    }
+
+    safeJsonParse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+import { PageClassifier } from './page-classifier.js';
+
+/**
+ * HTTP Detail Fetcher
+ * Detail pages are server-rendered with their property JSON, so most of them can be read without a
+ * browser. This decides what to do with a detail page fetched over plain HTTP: process it, skip it
+ * (removed listing), or hand it to the browser crawler (challenge pages, error statuses, no payload),
+ * and counts the split between HTTP and browser fetches for the run report
+ */
+
+export const DETAIL_FETCH_MODES = ['hybrid', 'browser'];
+
+export const HTTP_SESSION_POOL_STATE_KEY = 'HTTP_SESSION_POOL_STATE';
+
+// Plain HTTP requests are cheap, so far more run at once than browser pages
+export const HTTP_MAX_CONCURRENCY = 10;
+
+// got-scraping header generator settings: desktop Chrome headers in US English
+export const BROWSER_HEADER_OPTIONS = {
+    browsers: [{ name: 'chrome', minVersion: 110 }],
+    devices: ['desktop'],
+    operatingSystems: ['windows', 'macos'],
+    locales: ['en-US']
+};
+
+export class HttpDetailFetcher {
+    constructor(options = {}) {
+        this.selectorManager = options.selectorManager;
+        this.classifier = options.classifier || new PageClassifier();
+
+        this.stats = {
+            httpFetches: 0,
+            httpDetails: 0,
+            httpSkipped: 0,
+            browserFallbacks: 0,
+            browserDetails: 0,
+            httpMillis: 0,
+            browserMillis: 0
+        };
+        this.fallbackReasons = {};
+    }
+
+    /**
+     * What to do with a fetched page: { action: 'process' | 'skip' | 'fallback', outcome, property, reason }
+     */
+    evaluate({ html, status = null, url }) {
+        this.stats.httpFetches++;
+
+        const outcome = this.classifier.inspectHtml(html, { status, url, pageType: 'detail' });
+        const action = this.classifier.getAction(outcome);
+        if (action === 'skip') {
+            this.stats.httpSkipped++;
+            return { action: 'skip', outcome };
+        }
+        if (action !== 'process') return { action: 'fallback', outcome, reason: outcome };
+        if (status !== null && status >= 400) return { action: 'fallback', outcome, reason: `status_${status}` };
+
+        const property = this.selectorManager.extractPropertyDetailsFromHtml(html, url);
+        if (!property) return { action: 'fallback', outcome, reason: 'no_embedded_data' };
+
+        return { action: 'process', outcome, property };
+    }
+
+    /**
+     * Count a detail page read over HTTP, with the time from request to parsed record
+     */
+    recordHttpDetail(durationMs) {
+        this.stats.httpDetails++;
+        this.stats.httpMillis += durationMs || 0;
+    }
+
+    recordFallback(reason) {
+        this.stats.browserFallbacks++;
+        this.fallbackReasons[reason] = (this.fallbackReasons[reason] || 0) + 1;
+    }
+
+    /**
+     * Count a detail page loaded in the browser, with the time from navigation to parsed record
+     */
+    recordBrowserDetail(durationMs) {
+        this.stats.browserDetails++;
+        this.stats.browserMillis += durationMs || 0;
+    }
+
+    /**
+     * Run report section: the HTTP/browser split, fallback reasons and average time per detail page
+     */
+    getStats() {
+        const { httpDetails, browserDetails, httpMillis, browserMillis } = this.stats;
+        const average = (millis, count) => count > 0 ? Math.round(millis / count) : null;
+        const avgHttpMs = average(httpMillis, httpDetails);
+        const avgBrowserMs = average(browserMillis, browserDetails);
+
+        return {
+            ...this.stats,
+            httpShare: httpDetails + browserDetails > 0 ? Math.round(httpDetails / (httpDetails + browserDetails) * 10000) / 10000 : null,
+            avgHttpMs,
+            avgBrowserMs,
+            speedup: avgHttpMs && avgBrowserMs ? Math.round(avgBrowserMs / avgHttpMs * 10) / 10 : null,
+            fallbackReasons: { ...this.fallbackReasons }
+        };
+    }
+
+    toJSON() {
+        return { stats: this.stats, fallbackReasons: this.fallbackReasons };
+    }
+
+    restore(state) {
+        if (!state) return this;
+        this.stats = { ...this.stats, ...state.stats };
+        this.fallbackReasons = { ...state.fallbackReasons };
+        return this;
+    }
+}
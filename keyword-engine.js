@@ -0,0 +1,271 @@
+/**
+ * Keyword Engine for Fixer-Upper Detection
+ * Word-boundary, negation-aware keyword matching with weighted categories and a distress score
+ */
+
+// Built-in fixer-upper keywords by category (weights reflect how strongly a term signals a deal)
+export const DEFAULT_KEYWORDS = {
+    structural: {
+        'needs foundation repair': 5,
+        'fire damage': 5,
+        'tear down': 5,
+        'uninhabitable': 5,
+        'needs complete rehab': 5,
+        'water damage': 4,
+        'mold': 4,
+        'needs new roof': 4
+    },
+    cosmetic: {
+        'fixer-upper': 4,
+        'handyman special': 4,
+        'fixer': 3,
+        'needs work': 3,
+        'needs repairs': 3,
+        'repairs needed': 3,
+        'needs renovation': 3,
+        'needs remodeling': 3,
+        'needs restoration': 3,
+        'not move-in ready': 3,
+        'project house': 3,
+        'rehab opportunity': 3,
+        'bring your contractor': 3,
+        'needs TLC': 2,
+        'needs love': 2,
+        'needs updating': 2,
+        'needs improvement': 2,
+        'needs attention': 2,
+        'unfinished': 2,
+        'diamond in the rough': 2,
+        'value add': 2,
+        'great potential': 1,
+        'outdated': 1
+    },
+    'seller-motivation': {
+        'motivated seller': 3,
+        'must sell': 3,
+        'cash only': 3,
+        'priced to sell': 2,
+        'make an offer': 2,
+        'bargain': 2,
+        'below market': 2,
+        'opportunity knocks': 1
+    },
+    distress: {
+        'investor special': 4,
+        'distressed': 4,
+        'sold as-is': 3,
+        'as-is': 3
+    }
+};
+
+// Cues that cancel a match when they appear in the same clause just before it ("no mold", "not a fixer")
+const NEGATION_PREFIXES = [
+    'no', 'not', 'never', 'without', 'none', 'free of', 'no longer', "isn't", "doesn't"
+];
+
+// Cues that cancel a match when they follow it ("water damage repaired", "mold recently remediated")
+const NEGATION_SUFFIXES = [
+    'recently replaced', 'replaced', 'repaired', 'remediated', 'fixed', 'resolved', 'removed', 'corrected'
+];
+
+export const KEYWORD_FILTER_MODES = ['any', 'all', 'none', 'minScore'];
+
+// Zillow keyword searches: off, run first and fetch their hits' details first, or search only by keywords
+export const KEYWORD_SEARCH_MODES = ['off', 'prioritize', 'only'];
+
+export class KeywordEngine {
+    constructor(options = {}) {
+        this.negationWindow = options.negationWindow ?? 3;
+        this.customWeight = options.customWeight ?? 2;
+        this.customKeywords = [];
+        this.keywords = this.buildKeywordList(options.keywords || DEFAULT_KEYWORDS, options.customKeywords || []);
+        this.customPatterns = this.customKeywords.map(keyword => ({ keyword, pattern: this.buildPattern(keyword) }));
+    }
+
+    /**
+     * Merge built-in and custom keywords into one list, longest phrase first
+     */
+    buildKeywordList(catalog, customKeywords) {
+        const byKeyword = new Map();
+
+        for (const [category, keywords] of Object.entries(catalog)) {
+            for (const [keyword, weight] of Object.entries(keywords)) {
+                byKeyword.set(keyword.toLowerCase(), { keyword: keyword.toLowerCase(), category, weight });
+            }
+        }
+
+        // Custom keywords may be plain strings or { keyword, category, weight }; built-ins keep their category
+        for (const custom of customKeywords) {
+            const entry = typeof custom === 'string' ? { keyword: custom } : custom;
+            const keyword = entry?.keyword?.trim().toLowerCase();
+            if (!keyword) continue;
+            if (!this.customKeywords.includes(keyword)) this.customKeywords.push(keyword);
+            if (byKeyword.has(keyword)) continue;
+
+            byKeyword.set(keyword, {
+                keyword,
+                category: entry.category || 'custom',
+                weight: entry.weight ?? this.customWeight
+            });
+        }
+
+        return [...byKeyword.values()]
+            .sort((a, b) => b.keyword.length - a.keyword.length)
+            .map(entry => ({ ...entry, pattern: this.buildPattern(entry.keyword) }));
+    }
+
+    /**
+     * Word-boundary pattern where spaces and hyphens are interchangeable ("fixer upper" = "fixer-upper")
+     */
+    buildPattern(keyword) {
+        const body = keyword
+            .split(/[\s-]+/)
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[\\s-]+');
+        return new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'g');
+    }
+
+    /**
+     * Analyze a description: { matchedKeywords, negatedKeywords, distressScore, customKeywordsFound }
+     */
+    analyze(text) {
+        const description = (text || '').toLowerCase();
+        const claimed = [];
+        const matched = new Map();
+        const negated = new Map();
+
+        for (const entry of this.keywords) {
+            entry.pattern.lastIndex = 0;
+            let match;
+
+            while ((match = entry.pattern.exec(description)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                // A longer phrase already covers this text ("fixer" inside "fixer-upper")
+                if (claimed.some(span => start < span.end && end > span.start)) continue;
+                claimed.push({ start, end });
+
+                const cue = this.findNegation(description, start, end);
+                if (cue) {
+                    if (!negated.has(entry.keyword)) {
+                        negated.set(entry.keyword, { keyword: entry.keyword, category: entry.category, position: start, negatedBy: cue });
+                    }
+                } else if (!matched.has(entry.keyword)) {
+                    matched.set(entry.keyword, { keyword: entry.keyword, category: entry.category, weight: entry.weight, position: start });
+                }
+            }
+        }
+
+        const matchedKeywords = [...matched.values()].sort((a, b) => a.position - b.position);
+        const negatedKeywords = [...negated.values()]
+            .filter(entry => !matched.has(entry.keyword))
+            .sort((a, b) => a.position - b.position);
+
+        return {
+            matchedKeywords,
+            negatedKeywords,
+            distressScore: matchedKeywords.reduce((sum, entry) => sum + entry.weight, 0),
+            customKeywordsFound: this.findCustomKeywords(description)
+        };
+    }
+
+    /**
+     * User keywords with a non-negated occurrence, each checked on its own: a longer built-in phrase
+     * claiming the text ("fixer-upper") does not hide a user keyword inside it ("fixer")
+     */
+    findCustomKeywords(description) {
+        return this.customPatterns
+            .filter(({ pattern }) => {
+                pattern.lastIndex = 0;
+                let match;
+                while ((match = pattern.exec(description)) !== null) {
+                    if (!this.findNegation(description, match.index, match.index + match[0].length)) return true;
+                }
+                return false;
+            })
+            .map(({ keyword }) => keyword);
+    }
+
+    /**
+     * Return the negation cue near a match, if any (searches only within the match's clause)
+     */
+    findNegation(text, start, end) {
+        const clauseStart = this.lastBoundaryBefore(text, start);
+        const clauseEnd = this.firstBoundaryAfter(text, end);
+
+        const before = text.slice(clauseStart, start).trim().split(/\s+/).filter(Boolean)
+            .slice(-this.negationWindow).join(' ');
+        const after = text.slice(end, clauseEnd).trim().split(/\s+/).filter(Boolean)
+            .slice(0, this.negationWindow).join(' ');
+
+        const prefix = NEGATION_PREFIXES.find(cue => this.containsPhrase(before, cue));
+        if (prefix) return prefix;
+
+        return NEGATION_SUFFIXES.find(cue => this.containsPhrase(after, cue)) || null;
+    }
+
+    lastBoundaryBefore(text, index) {
+        const boundaries = /[.!?;,]|\bbut\b/g;
+        let last = 0;
+        let match;
+        while ((match = boundaries.exec(text)) !== null && match.index < index) {
+            last = match.index + match[0].length;
+        }
+        return last;
+    }
+
+    firstBoundaryAfter(text, index) {
+        const boundaries = /[.!?;,]|\bbut\b/g;
+        boundaries.lastIndex = index;
+        const match = boundaries.exec(text);
+        return match ? match.index : text.length;
+    }
+
+    containsPhrase(text, phrase) {
+        return new RegExp(`(?<![a-z0-9'])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z0-9'])`).test(text);
+    }
+
+    /**
+     * Keywords grouped into OR-batches for Zillow keyword searches, strongest signals first;
+     * weak, generic terms ("great potential", "outdated") are left to the detail-page analysis
+     */
+    getSearchBatches(batchSize = 5, minWeight = 2) {
+        const terms = this.keywords
+            .filter(entry => entry.weight >= minWeight)
+            .sort((a, b) => b.weight - a.weight)
+            .map(entry => entry.keyword);
+
+        const batches = [];
+        for (let i = 0; i < terms.length; i += batchSize) {
+            batches.push(terms.slice(i, i + batchSize));
+        }
+        return batches;
+    }
+
+    /**
+     * 'all' requires every user keyword, so it needs at least one
+     */
+    validateFilterMode(filterMode) {
+        if (filterMode === 'all' && this.customKeywords.length === 0) {
+            throw new Error(`Input error: keywordFilterMode 'all' requires at least one entry in 'keywords'.`);
+        }
+    }
+
+    /**
+     * Apply keywordFilterMode to an analysis; 'all' requires every user-supplied keyword, not the built-ins
+     */
+    matchesFilter(analysis, filterMode = 'any', minScore = 0) {
+        if (filterMode === 'none') return true;
+        if (this.keywords.length === 0) return true;
+
+        if (filterMode === 'any') return analysis.matchedKeywords.length > 0;
+        if (filterMode === 'all') {
+            const found = new Set(analysis.customKeywordsFound || []);
+            return this.customKeywords.every(keyword => found.has(keyword));
+        }
+        if (filterMode === 'minScore') return analysis.distressScore >= minScore;
+
+        throw new Error(`Input error: unknown keywordFilterMode '${filterMode}'.`);
+    }
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+
+/**
+ * Location Resolver for Search Areas
+ * Turns zip codes, city/state, county, neighborhood names, bounding boxes and GeoJSON polygons
+ * into search areas: a Zillow `_rb` search term, path and region type, or map bounds plus a polygon
+ */
+
+// Zillow's regionType for each kind of named area
+export const ZILLOW_REGION_TYPES = { county: 4, city: 6, zip: 7, neighborhood: 8 };
+
+export class LocationResolver {
+    /**
+     * Resolve a location input into { key, type, label, searchTerm, path, zipCode, regionType, regionId, mapBounds, polygons }.
+     * Object inputs may carry Zillow's `regionId`; otherwise it is read from the first search page
+     */
+    resolve(location) {
+        // Already resolved
+        if (location && typeof location === 'object' && location.key && location.type) return location;
+
+        if (typeof location === 'string') return this.resolveString(location.trim());
+        if (!location || typeof location !== 'object') {
+            throw new Error(`Input error: invalid location ${JSON.stringify(location)}.`);
+        }
+
+        if (location.regionId !== undefined && location.regionId !== null) {
+            const area = this.resolve({ ...location, regionId: null });
+            return { ...area, regionId: this.validateRegionId(location.regionId) };
+        }
+
+        if (location.zipCode) return this.resolveZip(String(location.zipCode).trim());
+        if (location.type === 'Feature' || location.type === 'Polygon' || location.type === 'MultiPolygon') {
+            return this.resolveGeometry(location);
+        }
+        if (location.bounds || location.bbox) return this.resolveBounds(location);
+
+        const state = this.normalizeState(location.state);
+        if (location.neighborhood && location.city && state) {
+            return this.buildNamedArea('neighborhood', [location.neighborhood, location.city, state]);
+        }
+        if (location.county && state) {
+            const county = /\b(county|parish|borough)$/i.test(location.county.trim()) ? location.county : `${location.county} County`;
+            return this.buildNamedArea('county', [county, state]);
+        }
+        if (location.city && state) {
+            return this.buildNamedArea('city', [location.city, state]);
+        }
+
+        throw new Error(`Input error: cannot resolve location ${JSON.stringify(location)}; use a zip code, city/state, county/state, neighborhood/city/state, bounds or a GeoJSON polygon.`);
+    }
+
+    /**
+     * "85001", "85001-1234", "Phoenix, AZ", "Maricopa County, AZ", "Arcadia, Phoenix, AZ"
+     */
+    resolveString(location) {
+        if (/^\d{5}(-\d{4})?$/.test(location)) return this.resolveZip(location);
+
+        const parts = location.split(',').map(part => part.trim()).filter(Boolean);
+        const state = this.normalizeState(parts[parts.length - 1]);
+        if (!state || parts.length < 2 || parts.length > 3) {
+            throw new Error(`Input error: cannot resolve location '${location}'; use "City, ST", "Name County, ST" or "Neighborhood, City, ST".`);
+        }
+
+        if (parts.length === 3) return this.buildNamedArea('neighborhood', [parts[0], parts[1], state]);
+        const type = /\b(county|parish|borough)$/i.test(parts[0]) ? 'county' : 'city';
+        return this.buildNamedArea(type, [parts[0], state]);
+    }
+
+    /**
+     * ZIP+4 searches the five-digit zip
+     */
+    resolveZip(zipCode) {
+        const match = zipCode.match(/^(\d{5})(-\d{4})?$/);
+        if (!match) {
+            throw new Error(`Input error: invalid zip code '${zipCode}'.`);
+        }
+        const zip = match[1];
+        return this.buildArea({ key: `zip:${zip}`, type: 'zip', label: zip, searchTerm: zip, zipCode: zip });
+    }
+
+    buildNamedArea(type, parts) {
+        const searchTerm = parts.join(', ');
+        return this.buildArea({ key: `${type}:${this.slugify(searchTerm)}`, type, label: searchTerm, searchTerm });
+    }
+
+    /**
+     * { bounds: { north, south, east, west } } or { bbox: [west, south, east, north] }
+     */
+    resolveBounds(location) {
+        const bounds = location.bounds || {
+            west: location.bbox[0],
+            south: location.bbox[1],
+            east: location.bbox[2],
+            north: location.bbox[3]
+        };
+        const mapBounds = this.validateBounds(bounds);
+        return this.buildArea({
+            key: `bounds:${[mapBounds.north, mapBounds.south, mapBounds.east, mapBounds.west].map(v => v.toFixed(4)).join(',')}`,
+            type: 'bounds',
+            label: location.name || 'Map bounds',
+            mapBounds
+        });
+    }
+
+    /**
+     * GeoJSON Polygon / MultiPolygon (or a Feature wrapping one): sent to Zillow as a custom region
+     * within its bounding box; results are still checked against the polygon, holes included
+     */
+    resolveGeometry(location) {
+        const geometry = location.type === 'Feature' ? location.geometry : location;
+        const name = location.name || location.properties?.name;
+
+        let polygons;
+        if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+        else if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+        else throw new Error(`Input error: location geometry must be a GeoJSON Polygon or MultiPolygon.`);
+
+        const points = polygons.flatMap(polygon => polygon[0] || []);
+        if (points.length < 3 || points.some(point => !Array.isArray(point) || point.length < 2)) {
+            throw new Error(`Input error: location polygon needs at least three [longitude, latitude] points.`);
+        }
+
+        const mapBounds = this.validateBounds({
+            north: Math.max(...points.map(point => point[1])),
+            south: Math.min(...points.map(point => point[1])),
+            east: Math.max(...points.map(point => point[0])),
+            west: Math.min(...points.map(point => point[0]))
+        });
+        const hash = crypto.createHash('sha1').update(JSON.stringify(polygons)).digest('hex').slice(0, 12);
+
+        return this.buildArea({ key: `polygon:${hash}`, type: 'polygon', label: name || 'Custom polygon', mapBounds, polygons });
+    }
+
+    buildArea(area) {
+        return {
+            key: area.key,
+            type: area.type,
+            label: area.label,
+            searchTerm: area.searchTerm || null,
+            path: area.searchTerm ? `${area.searchTerm.replace(/\s+/g, '-').replace(/[^\w,.-]/g, '')}_rb` : null,
+            zipCode: area.zipCode || null,
+            regionType: ZILLOW_REGION_TYPES[area.type] ?? null,
+            regionId: null,
+            mapBounds: area.mapBounds || null,
+            polygons: area.polygons || null
+        };
+    }
+
+    validateRegionId(regionId) {
+        const value = Number(regionId);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Input error: location regionId must be a positive integer.`);
+        }
+        return value;
+    }
+
+    /**
+     * Take the region id Zillow resolved the area's search term to, from a page's `regionSelection`
+     */
+    applyRegionSelection(area, regionSelection) {
+        if (!area?.regionType || area.regionId || !Array.isArray(regionSelection)) return false;
+
+        const region = regionSelection.find(entry => Number(entry?.regionType) === area.regionType && Number(entry?.regionId) > 0);
+        if (!region) return false;
+
+        area.regionId = Number(region.regionId);
+        return true;
+    }
+
+    /**
+     * Whether a point lies inside the area's polygon (always true for areas without one)
+     */
+    containsPoint(area, latitude, longitude) {
+        if (!area?.polygons) return true;
+        return area.polygons.some(([outer, ...holes]) =>
+            this.isInRing(outer, latitude, longitude) &&
+            !holes.some(hole => this.isInRing(hole, latitude, longitude)));
+    }
+
+    /**
+     * Ray casting over a ring of [longitude, latitude] points
+     */
+    isInRing(ring, latitude, longitude) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            const crosses = (yi > latitude) !== (yj > latitude) &&
+                longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+            if (crosses) inside = !inside;
+        }
+        return inside;
+    }
+
+    validateBounds(bounds) {
+        const mapBounds = {
+            north: Number(bounds.north),
+            south: Number(bounds.south),
+            east: Number(bounds.east),
+            west: Number(bounds.west)
+        };
+        if (Object.values(mapBounds).some(value => !Number.isFinite(value)) ||
+            mapBounds.north <= mapBounds.south || mapBounds.east <= mapBounds.west) {
+            throw new Error(`Input error: location bounds need numeric north > south and east > west.`);
+        }
+        return mapBounds;
+    }
+
+    normalizeState(state) {
+        const value = String(state || '').trim();
+        return /^[A-Za-z]{2}$/.test(value) ? value.toUpperCase() : null;
+    }
+
+    slugify(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+}
@@ -1,7 +1,28 @@
 import { Actor } from 'apify';
-import { PuppeteerCrawler, ProxyConfiguration } from 'crawlee';
+import { PuppeteerCrawler, CheerioCrawler, ProxyConfiguration, sleep } from 'crawlee';
 import { UnifiedSelectorManager } from './unified-selector-manager.js';
 import { URLGenerator } from './url-generator.js';
+import { SelectorCacheStore } from './selector-cache-store.js';
+import { SnapshotStore } from './snapshot-store.js';
+import { DealAnalyzer } from './deal-analyzer.js';
+import { KeywordEngine, KEYWORD_FILTER_MODES, KEYWORD_SEARCH_MODES } from './keyword-engine.js';
+import { PropertyRegistry } from './property-registry.js';
+import { DeltaTracker, DELTA_MODES } from './delta-tracker.js';
+import { RentMarket } from './rent-market.js';
+import { CompsSelector } from './comps-selector.js';
+import { LocationResolver } from './location-resolver.js';
+import { MapTiler } from './map-tiler.js';
+import { SearchCoverage } from './search-coverage.js';
+import { PropertyNormalizer } from './property-normalizer.js';
+import { ResultExporter, OUTPUT_FORMATS } from './result-exporter.js';
+import { WebhookDispatcher } from './webhook-dispatcher.js';
+import { RunReport } from './run-report.js';
+import { PageClassifier } from './page-classifier.js';
+import { SessionTracker } from './session-tracker.js';
+import { ThrottleController } from './throttle-controller.js';
+import { PageReadiness } from './page-readiness.js';
+import { ResourceBlocker } from './resource-blocker.js';
+import { HttpDetailFetcher, DETAIL_FETCH_MODES, HTTP_SESSION_POOL_STATE_KEY, HTTP_MAX_CONCURRENCY, BROWSER_HEADER_OPTIONS } from './http-detail-fetcher.js';
 
 // Initialize the Apify Actor
 await Actor.init();
@@ -28,18 +49,43 @@ const {
     mode = 'comprehensive',
     startUrls = [],
     zipCodes = [],
+    locations = [],
     searchFilters = {},
+    listingType = 'for_sale',
+    rentEstimates = true,
     keywords = [],
     keywordFilterMode = 'any',
+    minKeywordScore = 5,
+    keywordSearch = 'off',
+    keywordBatchSize = 5,
     enableAI = true,
     maxProperties = 100,
     maxPages = 10,
+    tileDenseSearches = true,
+    maxTileDepth = 5,
     maxItems = null,
     proxyConfiguration,
     includeImages = true,
     includeContactInfo = true,
     testMode = false,
-    discoveryMode = 'enhanced'
+    discoveryMode = 'enhanced',
+    persistSelectorCache = true,
+    selectorCacheMaxAgeDays = 30,
+    captureSnapshots = false,
+    snapshotDirectory = null,
+    snapshotStoreName = null,
+    dealAnalysis = null,
+    soldComps = null,
+    deltaMode = 'off',
+    deltaStoreName = 'zillow-delta-state',
+    outputFormats = [],
+    csvColumns = [],
+    webhooks = null,
+    sessionPool = {},
+    maxRequestsPerMinute = 120,
+    targetBlockRate = 0.05,
+    resourceBlocking = {},
+    detailFetchMode = 'hybrid'
 } = input;
 
 // Validate input based on mode
@@ -50,29 +96,117 @@ if (mode === 'search' || mode === 'details') {
 }
 
 if (mode === 'zipcode' || mode === 'comprehensive') {
-    if (!zipCodes || !Array.isArray(zipCodes) || zipCodes.length === 0) {
-        throw new Error(`Input error: 'zipCodes' must be a non-empty array for ${mode} mode.`);
-    }
-}
-
-// Fixer-upper keywords for property filtering
-const fixerUpperKeywords = [
-    'fixer-upper', 'needs TLC', 'handyman special', 'as-is', 'investor special',
-    'needs work', 'needs repairs', 'tear down', 'cash only', 'motivated seller',
-    'needs updating', 'needs renovation', 'needs remodeling', 'needs improvement',
-    'bring your contractor', 'great potential', 'diamond in the rough',
-    'unfinished', 'uninhabitable', 'project house', 'needs love', 'needs restoration',
-    'sold as-is', 'rehab opportunity', 'needs complete rehab', 'fixer', 'distressed',
-    'needs attention', 'not move-in ready', 'outdated', 'needs new roof',
-    'needs foundation repair', 'water damage', 'fire damage', 'mold', 'repairs needed',
-    'priced to sell', 'bargain', 'must sell', 'below market', 'value add',
-    'opportunity knocks', 'make an offer', ...keywords
-].map(k => k.toLowerCase());
-
-const proxy = await Actor.createProxyConfiguration(proxyConfiguration);
+    const hasZipCodes = Array.isArray(zipCodes) && zipCodes.length > 0;
+    const hasLocations = Array.isArray(locations) && locations.length > 0;
+    if (!hasZipCodes && !hasLocations) {
+        throw new Error(`Input error: 'zipCodes' or 'locations' must be a non-empty array for ${mode} mode.`);
+    }
+}
+
+if (mode === 'replay') {
+    if (!snapshotDirectory && !snapshotStoreName) {
+        throw new Error(`Input error: 'snapshotDirectory' or 'snapshotStoreName' is required for replay mode.`);
+    }
+}
+
+if (!KEYWORD_FILTER_MODES.includes(keywordFilterMode)) {
+    throw new Error(`Input error: 'keywordFilterMode' must be one of ${KEYWORD_FILTER_MODES.join(', ')}.`);
+}
+
+if (!KEYWORD_SEARCH_MODES.includes(keywordSearch)) {
+    throw new Error(`Input error: 'keywordSearch' must be one of ${KEYWORD_SEARCH_MODES.join(', ')}.`);
+}
+
+if (!Number.isInteger(keywordBatchSize) || keywordBatchSize < 1) {
+    throw new Error(`Input error: 'keywordBatchSize' must be a positive integer.`);
+}
+
+if (!Array.isArray(outputFormats) || outputFormats.some(format => !OUTPUT_FORMATS[format])) {
+    throw new Error(`Input error: 'outputFormats' must be a list of ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+}
+
+if (!Array.isArray(csvColumns) || csvColumns.some(column => typeof column !== 'string')) {
+    throw new Error(`Input error: 'csvColumns' must be a list of column names.`);
+}
+
+if (!DELTA_MODES.includes(deltaMode)) {
+    throw new Error(`Input error: 'deltaMode' must be one of ${DELTA_MODES.join(', ')}.`);
+}
+
+if (!DETAIL_FETCH_MODES.includes(detailFetchMode)) {
+    throw new Error(`Input error: 'detailFetchMode' must be one of ${DETAIL_FETCH_MODES.join(', ')}.`);
+}
+
+// Fixer-upper keyword engine: built-in weighted keywords plus the user's own
+const keywordEngine = new KeywordEngine({ customKeywords: keywords });
+keywordEngine.validateFilterMode(keywordFilterMode);
+
+// Replay never touches the network, so it runs without a proxy
+const proxy = mode === 'replay' ? undefined : await Actor.createProxyConfiguration(proxyConfiguration);
 const requestQueue = await Actor.openRequestQueue();
-const selectorManager = new UnifiedSelectorManager();
+const selectorCacheStore = persistSelectorCache ?
+    new SelectorCacheStore({ maxAgeDays: selectorCacheMaxAgeDays }) :
+    null;
+const pageReadiness = new PageReadiness();
+const selectorManager = new UnifiedSelectorManager({ cacheStore: selectorCacheStore, readiness: pageReadiness });
 const urlGenerator = new URLGenerator();
+urlGenerator.getListingType(listingType);
+// Fail fast on unknown or invalid search filters instead of silently dropping them
+urlGenerator.searchFilters.normalize(searchFilters);
+const locationResolver = new LocationResolver();
+const propertyNormalizer = new PropertyNormalizer();
+const pageClassifier = new PageClassifier();
+const sessionTracker = new SessionTracker(sessionPool || {});
+const throttleController = new ThrottleController({
+    maxConcurrency: mode === 'details' ? 5 : 3,
+    maxRequestsPerMinute,
+    targetBlockRate
+});
+// Replay pages are already served offline, so only live pages block images, fonts and trackers
+const resourceBlocker = mode !== 'replay' && resourceBlocking?.enabled !== false ?
+    new ResourceBlocker(resourceBlocking || {}) :
+    null;
+// Hybrid detail fetching: detail pages are read over plain HTTP first and loaded in the browser only when that fails
+const detailFetcher = detailFetchMode === 'hybrid' && mode !== 'replay' ?
+    new HttpDetailFetcher({ selectorManager, classifier: pageClassifier }) :
+    null;
+const httpDetailQueue = detailFetcher ? await openHttpDetailQueue() : null;
+const mapTiler = new MapTiler({ maxDepth: tileDenseSearches ? maxTileDepth : 0 });
+
+// Search areas: zip codes plus city, county, neighborhood, bounds or polygon locations
+const searchAreas = new Map();
+if (mode === 'zipcode' || mode === 'comprehensive') {
+    for (const zipCode of zipCodes || []) {
+        if (!urlGenerator.isValidZipCode(zipCode)) {
+            console.warn(`Invalid zip code format: ${zipCode}, skipping...`);
+            continue;
+        }
+        const area = locationResolver.resolve(String(zipCode));
+        searchAreas.set(area.key, area);
+    }
+    for (const location of locations || []) {
+        const area = locationResolver.resolve(location);
+        searchAreas.set(area.key, area);
+    }
+}
+const dealAnalyzer = dealAnalysis && dealAnalysis.enabled !== false ?
+    new DealAnalyzer(dealAnalysis) :
+    null;
+const compsSelector = soldComps && soldComps.enabled !== false ?
+    new CompsSelector(soldComps) :
+    null;
+if (dealAnalyzer?.arvSource === 'comps' && !compsSelector) {
+    throw new Error(`Input error: dealAnalysis.arvSource 'comps' requires 'soldComps' to be enabled.`);
+}
+// Real-time delivery of matching records to the deal desk
+const webhookDispatcher = webhooks && webhooks.enabled !== false ?
+    new WebhookDispatcher(webhooks) :
+    null;
+// Rent comps per zip for buy-and-hold metrics on for-sale records
+const rentMarket = rentEstimates && listingType === 'for_sale' ? new RentMarket() : null;
+const snapshotStore = mode === 'replay' || captureSnapshots ?
+    new SnapshotStore({ directory: snapshotDirectory, keyValueStoreName: snapshotStoreName }) :
+    null;
 
 // Statistics tracking
 let totalProperties = 0;
@@ -80,17 +214,71 @@ let totalPages = 0;
 let successfulExtractions = 0;
 let failedExtractions = 0;
 let itemsCounter = 0;
-const zipCodeStats = new Map();
+const locationStats = new Map();
+// Location searches waiting for the prioritized keyword searches: { area, requestMode, searchUrl }
+const deferredSearches = [];
+const dealOffers = [];
+
+// Expected vs collected results for every location search, across its pages and map tiles
+const searchCoverage = new SearchCoverage();
+// Per-location and per-search-type yield and categorized errors for the RUN_REPORT record
+const runReport = new RunReport();
+// Run-wide zpid registry: each property is kept once, with every search it was found under
+const propertyRegistry = new PropertyRegistry();
+
+// Run state survives migrations: throttle settings so a restart during a block does not resume at full
+// speed, session counts (the sessions and their cookies are persisted by the session pool) and run totals
+await persistComponent('SEARCH_COVERAGE', searchCoverage);
+await persistComponent('SESSION_STATS', sessionTracker);
+await persistComponent('THROTTLE_STATE', throttleController);
+await persistComponent('RESOURCE_BLOCKING_STATE', resourceBlocker);
+await persistComponent('DETAIL_FETCH_STATE', detailFetcher);
+await persistComponent('RUN_REPORT_STATE', runReport);
+await persistComponent('PROPERTY_REGISTRY', propertyRegistry);
+await persistComponent('RENT_MARKET', rentMarket);
+// Undeliverable webhook payloads are kept even if the run is migrated before it finishes
+await persistComponent('WEBHOOK_DEAD_LETTERS', webhookDispatcher);
+
 const modeStats = {
     searchPages: 0,
     detailPages: 0,
-    zipcodePages: 0,
+    locationPages: 0,
     keywordMatches: 0,
-    keywordFiltered: 0
+    keywordFiltered: 0,
+    keywordSearchHits: 0,
+    outsideArea: 0,
+    dealsAnalyzed: 0,
+    dealsFiltered: 0,
+    compSearches: 0,
+    unchangedSkipped: 0,
+    removedListings: 0,
+    invalidRecords: 0
 };
 
 console.log(`🚀 Starting Unified Zillow Scraper in ${mode.toUpperCase()} mode...`);
 
+if (selectorCacheStore) {
+    const loadedSelectors = await selectorManager.loadCache();
+    console.log(`🧠 Loaded ${loadedSelectors} learned selectors from previous runs`);
+
+    // Keep the learned selectors safe across migrations and aborts
+    Actor.on('persistState', async () => {
+        await selectorManager.saveCache();
+    });
+}
+
+// Delta mode: compare each record with the fingerprints saved by the previous run
+const deltaTracker = deltaMode !== 'off' ? new DeltaTracker({ storeName: deltaStoreName }) : null;
+if (deltaTracker) {
+    const previousCount = await deltaTracker.load();
+    deltaTracker.restoreRunState(await Actor.getValue('DELTA_RUN_STATE'));
+    console.log(`🔁 Delta mode '${deltaMode}': loaded ${previousCount} fingerprints from '${deltaStoreName}'`);
+
+    Actor.on('persistState', async () => {
+        await Actor.setValue('DELTA_RUN_STATE', deltaTracker.getRunState());
+    });
+}
+
 // Initialize request queue based on mode
 if (mode === 'search') {
     // Search mode: Process Zillow search result URLs
@@ -119,8 +307,9 @@ if (mode === 'search') {
             console.warn(`URL does not appear to be a Zillow detail page, skipping: ${url}`);
             continue;
         }
-        await requestQueue.addRequest({
+        await enqueueRequest({
             url,
+            uniqueKey: getDetailUniqueKey(url),
             userData: {
                 label: 'DETAIL',
                 mode: 'details',
@@ -129,68 +318,18 @@ if (mode === 'search') {
         });
     }
 } else if (mode === 'zipcode') {
-    // Zipcode mode: Search by zip codes
-    console.log(`📍 Zipcode Mode: Processing ${zipCodes.length} zip codes with ${discoveryMode} discovery`);
-    for (const zipCode of zipCodes) {
-        if (!urlGenerator.isValidZipCode(zipCode)) {
-            console.warn(`Invalid zip code format: ${zipCode}, skipping...`);
-            continue;
-        }
-
-        const searchUrls = generateSearchUrls(zipCode, searchFilters, discoveryMode);
-        
-        for (const searchUrl of searchUrls) {
-            await requestQueue.addRequest({
-                url: searchUrl.url,
-                userData: {
-                    label: 'ZIPCODE_SEARCH',
-                    zipCode: zipCode,
-                    page: 1,
-                    searchType: searchUrl.label,
-                    mode: 'zipcode'
-                }
-            });
-        }
-        
-        zipCodeStats.set(zipCode, {
-            properties: 0,
-            pages: 0,
-            errors: 0,
-            searchTypes: searchUrls.map(u => u.label)
-        });
+    // Zipcode mode: Search by zip codes and locations
+    console.log(`📍 Zipcode Mode: Processing ${searchAreas.size} locations with ${discoveryMode} discovery`);
+    for (const area of searchAreas.values()) {
+        await enqueueLocationSearches(area, 'zipcode');
     }
 } else if (mode === 'comprehensive') {
-    // Comprehensive mode: Combine zipcode search with detail extraction
-    console.log(`🎯 Comprehensive Mode: Processing ${zipCodes.length} zip codes + ${startUrls.length} URLs`);
+    // Comprehensive mode: Combine location search with detail extraction
+    console.log(`🎯 Comprehensive Mode: Processing ${searchAreas.size} locations + ${startUrls.length} URLs`);
     
-    // Add zipcode searches
-    for (const zipCode of zipCodes) {
-        if (!urlGenerator.isValidZipCode(zipCode)) {
-            console.warn(`Invalid zip code format: ${zipCode}, skipping...`);
-            continue;
-        }
-
-        const searchUrls = generateSearchUrls(zipCode, searchFilters, discoveryMode);
-        
-        for (const searchUrl of searchUrls) {
-            await requestQueue.addRequest({
-                url: searchUrl.url,
-                userData: {
-                    label: 'COMPREHENSIVE_SEARCH',
-                    zipCode: zipCode,
-                    page: 1,
-                    searchType: searchUrl.label,
-                    mode: 'comprehensive'
-                }
-            });
-        }
-        
-        zipCodeStats.set(zipCode, {
-            properties: 0,
-            pages: 0,
-            errors: 0,
-            searchTypes: searchUrls.map(u => u.label)
-        });
+    // Add location searches
+    for (const area of searchAreas.values()) {
+        await enqueueLocationSearches(area, 'comprehensive');
     }
     
     // Add direct URLs
@@ -202,8 +341,12 @@ if (mode === 'search') {
         }
         
         if (url.includes('/homedetails/')) {
-            await requestQueue.addRequest({
+            const directProperty = { url, zpid: selectorManager.extractZpidFromUrl(url) };
+            propertyRegistry.register(directProperty);
+            propertyRegistry.claimDetail(directProperty);
+            await enqueueRequest({
                 url,
+                uniqueKey: getDetailUniqueKey(url),
                 userData: {
                     label: 'DETAIL',
                     mode: 'comprehensive',
@@ -221,6 +364,46 @@ if (mode === 'search') {
             });
         }
     }
+} else if (mode === 'replay') {
+    // Replay mode: Run the normal pipeline against saved HTML snapshots
+    const snapshots = await snapshotStore.load();
+    console.log(`📼 Replay Mode: Processing ${snapshots.length} saved pages`);
+
+    for (const snapshot of snapshots) {
+        // Comps searches are reached again from their subject's detail page
+        if (snapshot.label === 'SOLD_COMPS') continue;
+
+        const area = getRequestArea(snapshot.userData || {});
+        if (area && !locationStats.has(area.key)) {
+            locationStats.set(area.key, {
+                label: area.label,
+                properties: 0,
+                pages: 0,
+                errors: 0,
+                searchTypes: []
+            });
+        }
+
+        await requestQueue.addRequest({
+            url: snapshot.url,
+            uniqueKey: snapshot.label === 'DETAIL' ? getDetailUniqueKey(snapshot.url) : snapshot.url,
+            userData: {
+                mode: 'replay',
+                ...snapshot.userData,
+                label: snapshot.label,
+                replayKey: snapshot.key
+            }
+        });
+    }
+}
+
+if (captureSnapshots && mode !== 'replay') {
+    console.log(`📼 Capturing visited pages to ${snapshotDirectory || `key-value store '${snapshotStore.keyValueStoreName}'`}`);
+
+    // Keep the manifest current in case the run is migrated or aborted
+    Actor.on('persistState', async () => {
+        await snapshotStore.saveManifest();
+    });
 }
 
 // Create and configure the PuppeteerCrawler
@@ -232,86 +415,505 @@ const crawler = new PuppeteerCrawler({
         stealth: true,
     },
     minConcurrency: 1,
-    maxConcurrency: mode === 'details' ? 5 : 3,
+    maxConcurrency: throttleController.concurrency,
     maxRequestRetries: 3,
 
-    requestHandler: async ({ page, request, log }) => {
+    // Each session keeps its own cookies (and proxy IP); blocked sessions are retired instead of reused
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    sessionPoolOptions: sessionTracker.getPoolOptions(),
+
+    // The HTTP detail crawler adds its fallbacks here, so the browser crawler waits for both queues
+    // (and for searches held back behind prioritized keyword searches)
+    autoscaledPoolOptions: { isFinishedFunction: allQueuesFinished },
+
+    preNavigationHooks: [
+        async (crawlingContext) => {
+            const { page, request } = crawlingContext;
+            if (request.userData.replayKey) {
+                await serveSnapshot(page, request);
+            } else {
+                if (resourceBlocker) await resourceBlocker.attach(page);
+                // Request rate and Retry-After pauses, then a jittered delay
+                await throttleController.waitForSlot();
+                await sleep(throttleController.getDelay());
+            }
+            crawlingContext.fetchStartedAt = Date.now();
+        },
+    ],
+
+    requestHandler: async ({ page, request, response, session, log, fetchStartedAt }) => {
         const { label, zipCode, page: pageNum, searchType, mode: requestMode, source } = request.userData;
 
+        // Classify the page before extracting anything from it
+        let pageOutcome = await pageClassifier.inspect(page, {
+            response,
+            pageType: label === 'DETAIL' ? 'detail' : 'search',
+            replay: Boolean(request.userData.replayKey)
+        });
+        // A sold comps search that no longer exists just has no comps
+        if (label === 'SOLD_COMPS' && pageOutcome === 'not_found') pageOutcome = 'empty_results';
+        runReport.recordPageOutcome(pageOutcome);
+
+        const action = pageClassifier.getAction(pageOutcome);
+        sessionTracker.record(session, pageOutcome, { blocked: action === 'retire_session' });
+
+        const adjustment = throttleController.record(action === 'retire_session', {
+            retryAfter: typeof response?.headers === 'function' ? response.headers()['retry-after'] : null
+        });
+        if (adjustment) applyThrottle(adjustment, log);
+        if (action === 'retire_session') {
+            // Retried on a fresh session; the error reaches failedRequestHandler once retries run out
+            sessionTracker.retire(session);
+            log.warning(`Retired session ${session?.id ?? 'unknown'}: page classified as ${pageOutcome}`);
+            throw new Error(`Page classified as ${pageOutcome}: ${request.url}`);
+        }
+        if (action === 'skip') {
+            request.noRetry = true;
+            log.info(`Skipping ${request.url}: page classified as ${pageOutcome}`);
+            await abandonRequest(request, log);
+            return;
+        }
+
         // Handle different request types
         if (label === 'SEARCH_PAGE') {
-            await handleSearchPage(page, request, log);
+            await handleSearchPage(page, request, log, pageOutcome);
         } else if (label === 'ZIPCODE_SEARCH' || label === 'COMPREHENSIVE_SEARCH') {
-            await handleZipcodeSearch(page, request, log);
+            await handleLocationSearch(page, request, log, pageOutcome);
+        } else if (label === 'RENT_COMPS') {
+            await handleRentComps(page, request, log, pageOutcome);
+        } else if (label === 'SOLD_COMPS') {
+            await handleSoldComps(page, request, log, pageOutcome);
         } else if (label === 'DETAIL') {
             await handleDetailPage(page, request, log);
+            detailFetcher?.recordBrowserDetail(Date.now() - fetchStartedAt);
         }
 
-        // Check if the maxItems limit has been reached
-        if (maxItems && itemsCounter >= maxItems) {
-            log.info(`Reached maxItems limit of ${maxItems}. Stopping crawl.`);
-            await crawler.autoscaledPool.abort();
+        if (captureSnapshots && mode !== 'replay') {
+            try {
+                await snapshotStore.save({
+                    url: request.url,
+                    label,
+                    userData: request.userData,
+                    html: await page.content()
+                });
+            } catch (error) {
+                log.warn(`Failed to capture snapshot of ${request.url}: ${error.message}`);
+            }
         }
+
+        await stopAtMaxItems(log);
     },
 
-    failedRequestHandler: async ({ request, log }) => {
+    failedRequestHandler: async ({ request, log }, error) => {
         log.error(`Request ${request.url} failed after multiple retries.`);
         failedExtractions++;
-        
-        if (request.userData.zipCode) {
-            const stats = zipCodeStats.get(request.userData.zipCode);
+        runReport.recordError(error || request.errorMessages?.at(-1), getReportContext(request.userData));
+        if (request.userData.label === 'DETAIL') runReport.recordDetail(false);
+
+        const locationKey = getLocationKey(request.userData);
+        if (locationKey && request.userData.label !== 'SOLD_COMPS') {
+            const stats = locationStats.get(locationKey);
             if (stats) stats.errors++;
         }
+
+        await abandonRequest(request, log);
     },
 });
 
+// HTTP crawler for detail pages: browser-like headers, its own sessions, no retries (a failed fetch goes to the browser)
+const httpCrawler = detailFetcher ? new CheerioCrawler({
+    requestQueue: httpDetailQueue,
+    proxyConfiguration: proxy,
+    minConcurrency: 1,
+    maxConcurrency: throttleController.scaleConcurrency(HTTP_MAX_CONCURRENCY),
+    maxRequestRetries: 0,
+    // 5xx responses reach the handler, so they are classified and their Retry-After is honored
+    ignoreHttpErrorStatusCodes: [500, 502, 503, 504],
+
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    sessionPoolOptions: { ...sessionTracker.getPoolOptions(), persistStateKey: HTTP_SESSION_POOL_STATE_KEY },
+
+    autoscaledPoolOptions: { isFinishedFunction: allQueuesFinished },
+
+    preNavigationHooks: [
+        async (crawlingContext, gotOptions) => {
+            gotOptions.headerGeneratorOptions = BROWSER_HEADER_OPTIONS;
+            // Shares the request rate and Retry-After pauses with the browser crawler
+            await throttleController.waitForSlot();
+            crawlingContext.fetchStartedAt = Date.now();
+        },
+    ],
+
+    requestHandler: handleHttpDetail,
+
+    failedRequestHandler: async ({ request, log }, error) => {
+        log.warning(`HTTP fetch of ${request.url} failed: ${error?.message || request.errorMessages?.at(-1)}`);
+        await fallbackToBrowser(request, 'request_failed', log);
+    },
+}) : null;
+
+/**
+ * Apply a throttle adjustment to the running pools; the delay and request rate are read per request.
+ * The HTTP detail crawler is scaled by the same factor from its own maximum
+ */
+function applyThrottle(adjustment, log) {
+    limitConcurrency(crawler.autoscaledPool, adjustment.concurrency);
+    limitConcurrency(httpCrawler?.autoscaledPool, throttleController.scaleConcurrency(HTTP_MAX_CONCURRENCY));
+
+    const direction = adjustment.direction === 'slow_down' ? 'Slowing down' : 'Speeding up';
+    log.info(`${direction} at block rate ${(adjustment.blockRate * 100).toFixed(1)}%: concurrency ${adjustment.concurrency}, delay ${adjustment.delayMs}ms, ${adjustment.requestsPerMinute} requests/min`);
+}
+
+function limitConcurrency(pool, concurrency) {
+    if (!pool) return;
+    pool.maxConcurrency = concurrency;
+    if (pool.desiredConcurrency > concurrency) pool.desiredConcurrency = concurrency;
+}
+
+/**
+ * Settle a request that will not be processed: the subject of a sold comps search is still saved
+ * without comps, and an unfinished search can neither complete its coverage nor prove removals
+ */
+async function abandonRequest(request, log) {
+    const { label } = request.userData;
+
+    if (label === 'SOLD_COMPS') {
+        const { subject, keywordAnalysis, mode: requestMode, source } = request.userData;
+        await finishDetailRecord(subject, keywordAnalysis, { mode: requestMode, source }, log);
+        return;
+    }
+
+    if (label === 'ZIPCODE_SEARCH' || label === 'COMPREHENSIVE_SEARCH') {
+        searchCoverage.closeTile(getSearchKey(request), false);
+    }
+
+    // A search with a failed page cannot prove that a listing disappeared
+    if (deltaTracker && label !== 'DETAIL') {
+        deltaTracker.markSearchFailed(getSearchKey(request));
+    }
+}
+
+/**
+ * Add a request to the queue; in replay mode only pages that have a snapshot are followed.
+ * In hybrid mode detail pages go to the HTTP crawler unless they are marked for the browser
+ */
+async function enqueueRequest(requestOptions, options = {}) {
+    if (mode === 'replay') {
+        const snapshot = snapshotStore.findByUrl(requestOptions.url);
+        if (!snapshot) return null;
+
+        requestOptions = {
+            ...requestOptions,
+            userData: { ...requestOptions.userData, replayKey: snapshot.key }
+        };
+    }
+
+    if (httpDetailQueue && requestOptions.userData?.label === 'DETAIL' && requestOptions.userData.fetch !== 'browser') {
+        return httpDetailQueue.addRequest(requestOptions, options);
+    }
+    return requestQueue.addRequest(requestOptions, options);
+}
+
+/**
+ * Queue for the HTTP detail crawler: unnamed, so the platform expires it like the run's default storages.
+ * Its id is kept in the default store, so a migrated run reopens the same queue
+ */
+async function openHttpDetailQueue() {
+    let queueId = await Actor.getValue('HTTP_DETAIL_QUEUE_ID');
+    if (!queueId) {
+        ({ id: queueId } = await Actor.config.getStorageClient().requestQueues().getOrCreate());
+        await Actor.setValue('HTTP_DETAIL_QUEUE_ID', queueId);
+    }
+    return Actor.openRequestQueue(queueId);
+}
+
+/**
+ * Either crawler can add requests to the other's queue, so each keeps running until both are done.
+ * The browser queue is checked again last, in case an HTTP fallback arrived in between. Searches held
+ * back behind prioritized keyword searches are queued then, and the crawl goes on with them
+ */
+async function allQueuesFinished() {
+    const drained = await requestQueue.isFinished() &&
+        (!httpDetailQueue || await httpDetailQueue.isFinished()) &&
+        await requestQueue.isFinished();
+    if (!drained) return false;
+    return !(await releaseDeferredSearches());
+}
+
+/**
+ * Queue the searches held back by keywordSearch 'prioritize'; false when there were none left
+ */
+async function releaseDeferredSearches() {
+    if (deferredSearches.length === 0) return false;
+
+    const searches = deferredSearches.splice(0);
+    console.log(`🔑 Keyword searches done; queuing ${searches.length} other location searches`);
+    for (const { area, requestMode, searchUrl } of searches) {
+        await enqueueLocationSearch(area, requestMode, searchUrl);
+    }
+    return true;
+}
+
+/**
+ * Stop both crawlers once the maxItems limit has been reached
+ */
+async function stopAtMaxItems(log) {
+    if (!maxItems || itemsCounter < maxItems) return;
+
+    log.info(`Reached maxItems limit of ${maxItems}. Stopping crawl.`);
+    await crawler.autoscaledPool?.abort();
+    await httpCrawler?.autoscaledPool?.abort();
+}
+
+/**
+ * Save a record in the canonical schema, tagged with its change since the previous run in delta mode;
+ * returns the saved record, or null when it was skipped
+ */
+async function saveProperty(record) {
+    const normalized = propertyNormalizer.normalize(record);
+    if (normalized.validationErrors.length > 0) modeStats.invalidRecords++;
+
+    // Removed listings come from the delta tracker already classified
+    if (deltaTracker && normalized.changeType !== 'removed') {
+        Object.assign(normalized, deltaTracker.classify(normalized));
+
+        if (deltaMode === 'changes' && normalized.changeType === 'unchanged') {
+            modeStats.unchangedSkipped++;
+            return null;
+        }
+    }
+
+    await Actor.pushData(normalized);
+    runReport.recordSaved(normalized);
+    webhookDispatcher?.add(normalized);
+    return normalized;
+}
+
+/**
+ * Queue every discovery search for a location, plus its rent comps. With keywordSearch 'prioritize'
+ * the other searches wait until the keyword searches and their detail pages are done, so keyword
+ * hits claim their detail pages first
+ */
+async function enqueueLocationSearches(area, requestMode) {
+    const searchUrls = generateSearchUrls(area, searchFilters, discoveryMode, listingType);
+
+    for (const searchUrl of searchUrls) {
+        if (keywordSearch === 'prioritize' && !searchUrl.keywords) {
+            deferredSearches.push({ area, requestMode, searchUrl });
+            continue;
+        }
+        await enqueueLocationSearch(area, requestMode, searchUrl);
+    }
+    await enqueueRentComps(area, requestMode);
+
+    locationStats.set(area.key, {
+        label: area.label,
+        properties: 0,
+        pages: 0,
+        errors: 0,
+        searchTypes: searchUrls.map(u => u.label)
+    });
+}
+
+async function enqueueLocationSearch(area, requestMode, searchUrl) {
+    await requestQueue.addRequest({
+        url: searchUrl.url,
+        userData: {
+            label: requestMode === 'comprehensive' ? 'COMPREHENSIVE_SEARCH' : 'ZIPCODE_SEARCH',
+            ...getLocationUserData(area),
+            page: 1,
+            searchType: searchUrl.label,
+            listingType,
+            mode: requestMode,
+            ...(searchUrl.keywords ? { keywordBatch: searchUrl.keywords } : {})
+        }
+    });
+}
+
+/**
+ * Location fields carried by search requests (zipCode is kept for zip areas)
+ */
+function getLocationUserData(area) {
+    const userData = { locationKey: area.key, location: area };
+    if (area.zipCode) userData.zipCode = area.zipCode;
+    return userData;
+}
+
+/**
+ * Search area of a request; requests saved before locations existed only carry a zip code
+ */
+function getRequestArea(userData) {
+    if (userData.location) return userData.location;
+    return userData.zipCode ? locationResolver.resolve(String(userData.zipCode)) : null;
+}
+
+function getLocationKey(userData) {
+    return userData.locationKey || (userData.zipCode ? `zip:${userData.zipCode}` : null);
+}
+
+/**
+ * Location and search type a request's pages and errors are reported under
+ */
+function getReportContext(userData) {
+    return {
+        locationKey: getLocationKey(userData),
+        location: userData.location?.label || null,
+        searchType: userData.searchType || null,
+        label: userData.label
+    };
+}
+
+/**
+ * Queue the location's rental search ahead of everything else so its median rent is known before details arrive
+ */
+async function enqueueRentComps(area, requestMode) {
+    if (!rentMarket) return;
+
+    await requestQueue.addRequest({
+        url: urlGenerator.generateSearchUrl(area, {}, 1, 'for_rent'),
+        userData: {
+            label: 'RENT_COMPS',
+            ...getLocationUserData(area),
+            page: 1,
+            searchType: 'rent_comps',
+            listingType: 'for_rent',
+            mode: requestMode
+        }
+    }, { forefront: true });
+}
+
+/**
+ * Whether a record is for-sale inventory (rentals and sold homes get no yield metrics)
+ */
+function isForSaleRecord(record) {
+    if (record.listingType) return record.listingType === 'for_sale';
+    const status = record.homeStatus || record.statusType;
+    return !['FOR_RENT', 'SOLD', 'RECENTLY_SOLD'].includes(status);
+}
+
+/**
+ * Rent estimate, gross yield and price-to-rent ratio for a for-sale record
+ */
+function getRentMetrics(record, locationKey) {
+    if (!rentMarket || !isForSaleRecord(record)) return {};
+    const recordZip = record.searchZipCode || (String(record.address || '').match(/\b(\d{5})(?:-\d{4})?\s*$/) || [])[1];
+    return rentMarket.estimate(record, locationKey || record.searchLocationKey || (recordZip ? `zip:${recordZip}` : null));
+}
+
+/**
+ * Delta search key: one per location and search type, or the search URL itself
+ */
+function getSearchKey(request) {
+    const locationKey = getLocationKey(request.userData);
+    const { searchType } = request.userData;
+    return locationKey && searchType ? `${locationKey}:${searchType}` : `url:${request.url}`;
+}
+
+/**
+ * Detail requests are keyed by zpid so each property is fetched once, whichever URL variant found it
+ */
+function getDetailUniqueKey(url, zpid = null) {
+    const id = zpid || selectorManager.extractZpidFromUrl(url);
+    return id ? `zpid:${id}` : url;
+}
+
+/**
+ * Queue a discovered property's detail page unless it is already queued
+ */
+async function enqueueDetail(property, userData, options = {}) {
+    if (!propertyRegistry.claimDetail(property)) return false;
+
+    await enqueueRequest({
+        url: property.url,
+        uniqueKey: getDetailUniqueKey(property.url, property.zpid),
+        userData: {
+            label: 'DETAIL',
+            searchData: property,
+            ...userData
+        }
+    }, options);
+    return true;
+}
+
+/**
+ * Restore a component from the state saved under `key` and save its toJSON() there on every persistState
+ */
+async function persistComponent(key, component) {
+    if (!component) return;
+
+    component.restore(await Actor.getValue(key));
+    Actor.on('persistState', async () => {
+        await Actor.setValue(key, component.toJSON());
+    });
+}
+
+// Saved HTML each replay page answers its navigation with; the request listener is added once per page
+const snapshotHtmlByPage = new WeakMap();
+
+/**
+ * Answer the page's navigation with the saved HTML and keep every other request offline
+ */
+async function serveSnapshot(page, request) {
+    const html = await snapshotStore.getHtml(request.userData.replayKey);
+    const listening = snapshotHtmlByPage.has(page);
+    snapshotHtmlByPage.set(page, html);
+    if (listening) return;
+
+    await page.setRequestInterception(true);
+    page.on('request', (interceptedRequest) => {
+        if (interceptedRequest.isInterceptResolutionHandled()) return;
+
+        if (interceptedRequest.isNavigationRequest() && interceptedRequest.frame() === page.mainFrame()) {
+            interceptedRequest.respond({
+                status: 200,
+                contentType: 'text/html; charset=utf-8',
+                body: snapshotHtmlByPage.get(page)
+            });
+        } else {
+            interceptedRequest.abort();
+        }
+    });
+}
+
 /**
  * Handle search result pages (from user-provided search URLs)
  */
-async function handleSearchPage(page, request, log) {
+async function handleSearchPage(page, request, log, pageOutcome) {
     const { mode: requestMode, source } = request.userData;
     
     log.info(`Processing search page: ${request.url}`);
     modeStats.searchPages++;
 
     try {
-        // Check for blocking or errors
-        const isBlocked = await checkForBlocking(page);
-        if (isBlocked) {
-            throw new Error(`Blocked or no results: ${request.url}`);
-        }
-
-        await page.waitForTimeout(3000);
-
         // Extract property listings from search page
-        const properties = await selectorManager.extractSearchResults(page, request.url);
+        const { results: properties, totalResultCount, source: resultSource } = await extractSearchResults(page, request, pageOutcome);
         
-        log.info(`Found ${properties.length} properties on search page`);
+        log.info(`Found ${properties.length} properties on search page (${resultSource}${totalResultCount !== null ? `, ${totalResultCount} total` : ''})`);
 
         // Process each property
+        let added = 0;
         for (const property of properties) {
             try {
                 property.searchUrl = request.url;
                 property.source = source || 'search_page';
 
-                // In comprehensive mode, add detail extraction to queue
+                deltaTracker?.markSeen(property.zpid, getSearchKey(request));
+                const { isNew } = propertyRegistry.register(property);
+                if (!isNew) continue;
+
+                // In comprehensive mode, add detail extraction to queue;
+                // in search mode the registry keeps the record until the end of the run
                 if (requestMode === 'comprehensive' && property.url) {
-                    await requestQueue.addRequest({
-                        url: property.url,
-                        userData: {
-                            label: 'DETAIL',
-                            searchData: property,
-                            mode: 'comprehensive',
-                            source: 'discovered'
-                        }
+                    await enqueueDetail(property, {
+                        mode: 'comprehensive',
+                        source: 'discovered'
                     });
-                } else {
-                    // In search mode, save basic property data
-                    await Actor.pushData(property);
-                    successfulExtractions++;
                 }
 
                 totalProperties++;
+                added++;
 
             } catch (error) {
                 log.warn(`Failed to process property: ${error.message}`);
@@ -320,62 +922,102 @@ async function handleSearchPage(page, request, log) {
         }
 
         totalPages++;
+        runReport.recordPage(getReportContext(request.userData), added);
+
+        // A single search page is only complete when it holds every result
+        if (deltaTracker && totalResultCount !== null && properties.length >= totalResultCount) {
+            deltaTracker.markSearchComplete(getSearchKey(request));
+        }
 
     } catch (error) {
         log.error(`Failed to process search page: ${error.message}`);
         failedExtractions++;
+        runReport.recordError(error, getReportContext(request.userData));
+        deltaTracker?.markSearchFailed(getSearchKey(request));
     }
 }
 
 /**
- * Handle zipcode search pages
+ * Handle location search pages (zip code, city, county, neighborhood, bounds or polygon)
  */
-async function handleZipcodeSearch(page, request, log) {
-    const { zipCode, page: pageNum, searchType, mode: requestMode } = request.userData;
+async function handleLocationSearch(page, request, log, pageOutcome) {
+    const { page: pageNum, searchType, listingType: searchListingType = 'for_sale', mode: requestMode, tileDepth = 0 } = request.userData;
+    const area = getRequestArea(request.userData);
+    const locationKey = area.key;
+    const zipCode = area.zipCode;
+    const searchKey = getSearchKey(request);
+    const searchLabel = requestMode === 'comprehensive' ? 'COMPREHENSIVE_SEARCH' : 'ZIPCODE_SEARCH';
+
+    // Map tiles carry their depth and bounds through pagination, keyword searches their keyword batch
+    const tileUserData = tileDepth > 0 ? { tileDepth, tileBounds: request.userData.tileBounds } : {};
+    const { keywordBatch = null } = request.userData;
+    const keywordUserData = keywordBatch ? { keywordBatch } : {};
     
-    log.info(`Processing zipcode search for ${zipCode}, page ${pageNum}, type ${searchType}: ${request.url}`);
-    modeStats.zipcodePages++;
+    log.info(`Processing location search for ${area.label}, page ${pageNum}, type ${searchType}: ${request.url}`);
+    modeStats.locationPages++;
 
     try {
-        const isBlocked = await checkForBlocking(page);
-        if (isBlocked) {
-            throw new Error(`Blocked or no results for zip code ${zipCode}: ${request.url}`);
-        }
+        const { results: properties, totalResultCount, mapBounds, regionSelection, source: resultSource } = await extractSearchResults(page, request, pageOutcome);
 
-        await page.waitForTimeout(3000);
-
-        const properties = await selectorManager.extractSearchResults(page, request.url);
+        // Later pages and tiles of a named area select its region by id once Zillow has resolved it
+        if (locationResolver.applyRegionSelection(area, regionSelection)) {
+            log.info(`Resolved ${area.label} to Zillow region ${area.regionId}`);
+        }
         
-        log.info(`Found ${properties.length} properties on page ${pageNum} for zip code ${zipCode}`);
+        log.info(`Found ${properties.length} properties on page ${pageNum} for ${area.label}${tileDepth > 0 ? ` (tile depth ${tileDepth})` : ''} (${resultSource}${totalResultCount !== null ? `, ${totalResultCount} total` : ''})`);
+
+        searchCoverage.get(searchKey, { locationKey, location: area.label, searchType });
+        if (tileDepth === 0 && pageNum === 1) {
+            searchCoverage.setExpected(searchKey, totalResultCount);
+        }
 
         // Process each property
+        let added = 0;
         for (const property of properties) {
             try {
-                property.searchZipCode = zipCode;
+                // Polygon searches send outer rings only; keep only what falls inside the drawn area
+                if (!isInsideArea(area, property)) {
+                    modeStats.outsideArea++;
+                    continue;
+                }
+
+                if (zipCode) property.searchZipCode = zipCode;
+                property.searchLocation = area.label;
+                property.searchLocationKey = locationKey;
                 property.searchPage = pageNum;
                 property.searchType = searchType;
                 property.searchUrl = request.url;
+                property.listingType = searchListingType;
+                if (keywordBatch) {
+                    property.keywordSearchHit = true;
+                    property.keywordSearchTerms = keywordBatch;
+                    modeStats.keywordSearchHits++;
+                }
 
-                // In comprehensive mode, add detail extraction to queue
-                if (requestMode === 'comprehensive' && property.url) {
-                    await requestQueue.addRequest({
-                        url: property.url,
-                        userData: {
-                            label: 'DETAIL',
-                            zipCode: zipCode,
-                            searchData: property,
-                            mode: 'comprehensive',
-                            source: 'zipcode_search'
-                        }
-                    });
-                } else {
-                    // In zipcode mode, save basic property data
-                    await Actor.pushData(property);
-                    successfulExtractions++;
+                deltaTracker?.markSeen(property.zpid, searchKey);
+                searchCoverage.addResult(searchKey, property.zpid);
+
+                // Overlapping discovery searches only add their tags to an already-seen property
+                const { isNew } = propertyRegistry.register(property, { zipCode, searchType, searchPage: pageNum });
+
+                // In comprehensive mode, add detail extraction to queue (keyword hits first when prioritized);
+                // in zipcode mode the registry keeps the record until the end of the run
+                if (requestMode === 'comprehensive' && property.url && (isNew || keywordBatch)) {
+                    const detailUserData = {
+                        locationKey,
+                        listingType: searchListingType,
+                        mode: 'comprehensive',
+                        source: keywordBatch ? 'keyword_search' : 'zipcode_search'
+                    };
+                    if (zipCode) detailUserData.zipCode = zipCode;
+                    await enqueueDetail(property, detailUserData, { forefront: Boolean(keywordBatch) && keywordSearch === 'prioritize' });
                 }
 
+                if (!isNew) continue;
+
                 totalProperties++;
-                const stats = zipCodeStats.get(zipCode);
+                added++;
+                const stats = locationStats.get(locationKey);
                 if (stats) stats.properties++;
 
             } catch (error) {
@@ -385,39 +1027,128 @@ async function handleZipcodeSearch(page, request, log) {
         }
 
         totalPages++;
-        const stats = zipCodeStats.get(zipCode);
+        runReport.recordPage({ locationKey, location: area.label, searchType }, added);
+        const stats = locationStats.get(locationKey);
         if (stats) stats.pages++;
 
-        // Check if we should continue to next page
-        const shouldContinue = 
-            stats && stats.pages < maxPages && 
-            stats.properties < maxProperties &&
-            properties.length > 0;
-
-        if (shouldContinue) {
-            const hasNext = await selectorManager.hasNextPage(page, request.url);
-            
-            if (hasNext) {
-                const nextPageUrl = urlGenerator.generateSearchUrl(zipCode, searchFilters, pageNum + 1);
-                await requestQueue.addRequest({
-                    url: nextPageUrl,
+        // Dense search: paging would stop at Zillow's result cap, so split the map into quadrants instead
+        const overCap = pageNum === 1 && totalResultCount > mapTiler.resultCap;
+
+        // Check if we should continue to next page; a tiled search is after full coverage, so only maxItems caps it
+        const tiled = tileDenseSearches && (tileDepth > 0 || overCap);
+        const reachedLimit = !stats || (!tiled && (stats.pages >= maxPages || stats.properties >= maxProperties));
+        const shouldContinue = !reachedLimit && properties.length > 0;
+
+        // The search ran to its last page (not cut short by limits), so missing listings are really gone
+        let searchComplete = !reachedLimit && properties.length === 0;
+        let tileFinished = true;
+
+        const tileBounds = overCap && !reachedLimit ?
+            mapTiler.normalizeBounds(request.userData.tileBounds) || mapTiler.getUrlBounds(request.url) || mapTiler.normalizeBounds(mapBounds) :
+            null;
+
+        if (tileBounds && mapTiler.shouldSplit(totalResultCount, tileDepth)) {
+            let queuedTiles = 0;
+            for (const tile of mapTiler.split(tileBounds)) {
+                const queued = await enqueueRequest({
+                    url: urlGenerator.applyRegion(mapTiler.getTileUrl(request.url, tile), area),
                     userData: {
-                        label: requestMode === 'comprehensive' ? 'COMPREHENSIVE_SEARCH' : 'ZIPCODE_SEARCH',
-                        zipCode: zipCode,
-                        page: pageNum + 1,
+                        label: searchLabel,
+                        ...getLocationUserData(area),
+                        page: 1,
                         searchType: searchType,
-                        mode: requestMode
+                        listingType: searchListingType,
+                        mode: requestMode,
+                        ...keywordUserData,
+                        tileDepth: tileDepth + 1,
+                        tileBounds: tile
                     }
                 });
-                log.info(`Added page ${pageNum + 1} for zip code ${zipCode}`);
+                if (queued) queuedTiles++;
+            }
+
+            searchCoverage.openTiles(searchKey, queuedTiles);
+            searchComplete = queuedTiles === 4;
+            log.info(`${totalResultCount} results for ${area.label} exceed the ${mapTiler.resultCap} result cap; split into ${queuedTiles} map tiles (depth ${tileDepth + 1})`);
+        } else {
+            if (overCap) {
+                searchCoverage.markCapped(searchKey);
+                log.warning(`${totalResultCount} results for ${area.label} exceed the ${mapTiler.resultCap} result cap and cannot be split further; coverage will be partial`);
+            }
+
+            if (shouldContinue) {
+                const hasNext = await selectorManager.hasNextPage(page, request.url);
+                searchComplete = !hasNext;
+                
+                if (hasNext) {
+                    // Next page of this same search, keeping its location, tile, listing type and discovery filters
+                    const nextPageUrl = urlGenerator.applyRegion(urlGenerator.generatePageUrl(request.url, pageNum + 1), area);
+                    const queued = await enqueueRequest({
+                        url: nextPageUrl,
+                        userData: {
+                            label: searchLabel,
+                            ...getLocationUserData(area),
+                            ...tileUserData,
+                            ...keywordUserData,
+                            page: pageNum + 1,
+                            searchType: searchType,
+                            listingType: searchListingType,
+                            mode: requestMode
+                        }
+                    });
+                    tileFinished = !queued;
+                    if (queued) log.info(`Added page ${pageNum + 1} for ${area.label}`);
+                }
             }
         }
 
+        // The whole search is complete once every tile ran to its last page
+        if (tileFinished && searchCoverage.closeTile(searchKey, searchComplete)) {
+            deltaTracker?.markSearchComplete(searchKey);
+        }
+
     } catch (error) {
-        log.error(`Failed to process zipcode search for ${zipCode}: ${error.message}`);
-        const stats = zipCodeStats.get(zipCode);
+        log.error(`Failed to process location search for ${area.label}: ${error.message}`);
+        const stats = locationStats.get(locationKey);
         if (stats) stats.errors++;
         failedExtractions++;
+        runReport.recordError(error, { locationKey, location: area.label, searchType });
+        searchCoverage.closeTile(searchKey, false);
+        deltaTracker?.markSearchFailed(searchKey);
+    }
+}
+
+/**
+ * Whether a search result lies inside its area's polygon (results without coordinates are kept)
+ */
+function isInsideArea(area, property) {
+    const latitude = Number(property.latitude);
+    const longitude = Number(property.longitude);
+    if (property.latitude == null || property.longitude == null || isNaN(latitude) || isNaN(longitude)) return true;
+    return locationResolver.containsPoint(area, latitude, longitude);
+}
+
+/**
+ * Handle a location's rental search: collect asking rents for the rent market, without saving the rentals
+ */
+async function handleRentComps(page, request, log, pageOutcome) {
+    const area = getRequestArea(request.userData);
+
+    log.info(`Processing rent comps for ${area.label}: ${request.url}`);
+
+    try {
+        const { results: rentals } = await extractSearchResults(page, request, pageOutcome);
+        const added = rentals
+            .filter(rental => isInsideArea(area, rental))
+            .filter(rental => rentMarket.addRental(area.key, rental)).length;
+
+        totalPages++;
+        runReport.recordPage({ searchType: 'rent_comps' });
+        log.info(`Collected ${added} rent comps for ${area.label} (median rent ${rentMarket.getMedianRent(area.key) ?? 'unknown'})`);
+
+    } catch (error) {
+        log.warn(`Failed to collect rent comps for ${area.label}: ${error.message}`);
+        runReport.recordError(error, { searchType: 'rent_comps' });
     }
 }
 
@@ -425,117 +1156,315 @@ async function handleZipcodeSearch(page, request, log) {
  * Handle property detail pages
  */
 async function handleDetailPage(page, request, log) {
-    const { zipCode, searchData, mode: requestMode, source } = request.userData;
-    
     log.info(`Processing property details: ${request.url}`);
     modeStats.detailPages++;
 
     try {
-        const isBlocked = await checkForBlocking(page);
-        if (isBlocked) {
-            throw new Error(`Blocked by anti-bot measures on URL: ${request.url}`);
+        if (!(await pageReadiness.waitForDetail(page))) {
+            log.warning(`Property data did not appear within ${pageReadiness.timeoutMs / 1000}s, extracting what is there: ${request.url}`);
         }
-
-        await page.waitForTimeout(2000);
         
         // Extract detailed property data
         const propertyData = await selectorManager.extractPropertyDetails(page, request.url);
+        await processDetailRecord(propertyData, request, log);
+    } catch (error) {
+        await recordDetailFailure(error, request, log);
+    }
+}
 
-        // Merge with search data if available
-        const combinedData = searchData ? 
-            { ...searchData, ...propertyData } : 
-            propertyData;
-
-        // Enhanced data processing
-        const processedData = await processPropertyData(combinedData, page);
-
-        // Keyword filtering for fixer-upper properties
-        const description = (processedData.description || '').toLowerCase();
-        const matchedKeywords = fixerUpperKeywords.filter(keyword => 
-            description.includes(keyword)
-        );
-
-        // Apply keyword filtering based on mode
-        let shouldSave = false;
-        if (keywordFilterMode === 'none') {
-            shouldSave = true;
-        } else if (keywordFilterMode === 'any') {
-            shouldSave = fixerUpperKeywords.length === 0 || matchedKeywords.length > 0;
-        } else if (keywordFilterMode === 'all') {
-            shouldSave = fixerUpperKeywords.length === 0 || matchedKeywords.length === fixerUpperKeywords.length;
+/**
+ * Handle a detail page fetched over plain HTTP; pages it cannot read are loaded in the browser instead
+ */
+async function handleHttpDetail({ request, body, response, session, log, fetchStartedAt }) {
+    const html = body.toString();
+    const verdict = detailFetcher.evaluate({ html, status: response?.statusCode ?? null, url: request.loadedUrl || request.url });
+
+    // HTTP responses count toward the block rate and their sessions like browser pages
+    const blocked = pageClassifier.getAction(verdict.outcome) === 'retire_session';
+    runReport.recordPageOutcome(verdict.outcome);
+    sessionTracker.record(session, verdict.outcome, { blocked });
+    const adjustment = throttleController.record(blocked, { retryAfter: response?.headers?.['retry-after'] ?? null });
+    if (adjustment) applyThrottle(adjustment, log);
+
+    if (verdict.action === 'fallback') {
+        if (blocked) sessionTracker.retire(session);
+        await fallbackToBrowser(request, verdict.reason, log);
+        return;
+    }
+
+    if (verdict.action === 'skip') {
+        log.info(`Skipping ${request.url}: page classified as ${verdict.outcome}`);
+        await abandonRequest(request, log);
+        return;
+    }
+
+    log.info(`Processing property details over HTTP: ${request.url}`);
+    modeStats.detailPages++;
+    try {
+        await processDetailRecord(verdict.property, request, log);
+    } catch (error) {
+        await recordDetailFailure(error, request, log);
+    }
+    detailFetcher.recordHttpDetail(Date.now() - fetchStartedAt);
+
+    if (captureSnapshots) {
+        try {
+            await snapshotStore.save({ url: request.url, label: 'DETAIL', userData: request.userData, html });
+        } catch (error) {
+            log.warn(`Failed to capture snapshot of ${request.url}: ${error.message}`);
         }
+    }
 
-        if (shouldSave) {
-            const result = {
-                ...processedData,
-                url: request.url,
-                scrapedAt: new Date().toISOString(),
-                isFixerUpper: matchedKeywords.length > 0,
-                matchedKeywords: matchedKeywords,
-                extractionMethod: 'unified-selector-manager',
-                mode: requestMode,
-                source: source || 'unknown',
-                selectorStats: enableAI ? selectorManager.getStats() : null
-            };
-
-            await Actor.pushData(result);
-            successfulExtractions++;
-            modeStats.keywordMatches++;
-            log.info(`Successfully scraped: ${result.address || 'Unknown address'}`);
-        } else {
-            modeStats.keywordFiltered++;
-            log.info(`Property filtered out - no matching keywords: ${request.url}`);
+    await stopAtMaxItems(log);
+}
+
+/**
+ * Re-queue a detail page the HTTP crawler could not read for the browser crawler
+ */
+async function fallbackToBrowser(request, reason, log) {
+    detailFetcher.recordFallback(reason);
+    log.info(`Loading ${request.url} in the browser (${reason})`);
+
+    await enqueueRequest({
+        url: request.url,
+        uniqueKey: request.uniqueKey,
+        userData: { ...request.userData, fetch: 'browser', httpFallbackReason: reason }
+    });
+}
+
+/**
+ * Keyword filtering, sold comps and saving for an extracted detail record
+ */
+async function processDetailRecord(propertyData, request, log) {
+    const { searchData, mode: requestMode, source } = request.userData;
+
+    // Merge with search data if available
+    const combinedData = searchData ? 
+        { ...searchData, ...propertyData } : 
+        propertyData;
+
+    // Enhanced data processing
+    const processedData = await processPropertyData(combinedData);
+    Object.assign(processedData, getRentMetrics(processedData, getLocationKey(request.userData)));
+
+    // Keyword scoring for fixer-upper properties
+    const keywordAnalysis = keywordEngine.analyze(processedData.description);
+
+    // Apply keyword filtering based on mode
+    const shouldSave = keywordEngine.matchesFilter(keywordAnalysis, keywordFilterMode, minKeywordScore);
+    runReport.recordKeywordResult(shouldSave);
+    processedData.url = request.url;
+
+    if (!shouldSave) {
+        deltaTracker?.observe(propertyNormalizer.normalize(processedData));
+        modeStats.keywordFiltered++;
+        log.info(`Property filtered out - keyword filter '${keywordFilterMode}' not met (score ${keywordAnalysis.distressScore}): ${request.url}`);
+    } else if (!(await enqueueSoldComps(processedData, keywordAnalysis, request.userData))) {
+        await finishDetailRecord(processedData, keywordAnalysis, { mode: requestMode, source }, log);
+    }
+
+    itemsCounter++;
+    runReport.recordDetail(true);
+}
+
+/**
+ * Count and log a detail page whose record could not be built
+ */
+async function recordDetailFailure(error, request, log) {
+    failedExtractions++;
+    runReport.recordDetail(false);
+    runReport.recordError(error, getReportContext(request.userData));
+    log.error(`Failed to scrape ${request.url}: ${error.message}`);
+    
+    if (testMode) {
+        await Actor.pushData({
+            url: request.url,
+            error: error.message,
+            scrapedAt: new Date().toISOString(),
+            success: false,
+            mode: request.userData.mode
+        });
+    }
+}
+
+/**
+ * Queue the recently sold search for a subject's comps; returns false when comps are off or cannot be searched
+ */
+async function enqueueSoldComps(subject, keywordAnalysis, userData) {
+    if (!compsSelector) return false;
+
+    const compsUrl = urlGenerator.generateSoldCompsUrl(subject, {
+        ...soldComps,
+        zipCode: userData.zipCode || subject.searchZipCode || null
+    });
+    if (!compsUrl) return false;
+
+    // The pending record travels with the request, so it survives migrations
+    const queued = await enqueueRequest({
+        url: compsUrl,
+        uniqueKey: `comps:${subject.zpid || subject.url}`,
+        userData: {
+            label: 'SOLD_COMPS',
+            searchType: 'sold_comps',
+            subject,
+            keywordAnalysis,
+            zipCode: userData.zipCode,
+            mode: userData.mode,
+            source: userData.source
         }
+    });
+    if (!queued) return false;
+
+    modeStats.compSearches++;
+    return true;
+}
+
+/**
+ * Handle a subject's recently sold search: attach the best comps, then finish the subject record
+ */
+async function handleSoldComps(page, request, log, pageOutcome) {
+    const { subject, keywordAnalysis, mode: requestMode, source } = request.userData;
 
-        itemsCounter++;
+    log.info(`Processing sold comps for ${subject.address || subject.url}`);
+
+    let compsData = {};
+    try {
+        const { results: soldHomes } = await extractSearchResults(page, request, pageOutcome);
+        compsData = compsSelector.select(subject, soldHomes);
+        totalPages++;
+        runReport.recordPage({ searchType: 'sold_comps' });
 
+        log.info(`Selected ${compsData.compCount} of ${soldHomes.length} sold homes as comps (ARV ${compsData.arvFromComps ?? 'unknown'})`);
     } catch (error) {
-        failedExtractions++;
-        log.error(`Failed to scrape ${request.url}: ${error.message}`);
-        
-        if (testMode) {
-            await Actor.pushData({
-                url: request.url,
-                error: error.message,
-                scrapedAt: new Date().toISOString(),
-                success: false,
-                mode: requestMode
-            });
+        log.warn(`Failed to collect sold comps for ${subject.url}: ${error.message}`);
+        runReport.recordError(error, { searchType: 'sold_comps' });
+    }
+
+    await finishDetailRecord({ ...subject, ...compsData }, keywordAnalysis, { mode: requestMode, source }, log);
+}
+
+/**
+ * Deal analysis and saving for a detail record that passed the keyword filter
+ */
+async function finishDetailRecord(processedData, keywordAnalysis, { mode: requestMode, source }, log) {
+    const { matchedKeywords } = keywordAnalysis;
+
+    // Deal analysis: ARV, rehab budget and maximum allowable offer
+    let dealData = {};
+    if (dealAnalyzer) {
+        dealData = dealAnalyzer.analyze(processedData, matchedKeywords);
+        modeStats.dealsAnalyzed++;
+
+        if (!dealAnalyzer.passesMinSpread(dealData)) {
+            deltaTracker?.observe(propertyNormalizer.normalize(processedData));
+            modeStats.dealsFiltered++;
+            log.info(`Property filtered out - spread ${dealData.spreadVsList} below minimum: ${processedData.url}`);
+            return;
         }
     }
+
+    const result = {
+        ...processedData,
+        ...propertyRegistry.getSearchTags(processedData),
+        scrapedAt: new Date().toISOString(),
+        isFixerUpper: matchedKeywords.length > 0,
+        matchedKeywords: matchedKeywords,
+        negatedKeywords: keywordAnalysis.negatedKeywords,
+        distressScore: keywordAnalysis.distressScore,
+        ...dealData,
+        extractionMethod: 'unified-selector-manager',
+        mode: requestMode,
+        source: source || 'unknown'
+    };
+
+    successfulExtractions++;
+    modeStats.keywordMatches++;
+    const saved = await saveProperty(result);
+    if (saved) {
+        log.info(`Successfully scraped: ${saved.fullAddress || 'Unknown address'}${saved.changeType ? ` (${saved.changeType})` : ''}`);
+    } else {
+        log.info(`Unchanged since last run, not saved: ${result.address || result.url}`);
+    }
+
+    // Offers only list properties that made it into the dataset
+    if (dealAnalyzer && saved && result.spreadVsList !== null) {
+        dealOffers.push({
+            zpid: result.zpid || null,
+            url: result.url,
+            address: result.address || null,
+            price: result.price,
+            arv: result.arv,
+            estimatedRehab: result.estimatedRehab,
+            maxAllowableOffer: result.maxAllowableOffer,
+            spreadVsList: result.spreadVsList,
+            projectedProfit: result.projectedProfit
+        });
+    }
 }
 
 /**
- * Check for blocking or access issues
+ * Search results of a page, once the result list is ready; a page classified as an empty search holds none.
+ * The page's expected vs extracted listing count goes into the run report
  */
-async function checkForBlocking(page) {
-    return await page.evaluate(() => 
-        document.title.includes('Are you a human?') || 
-        document.body.textContent.includes('blocked') ||
-        document.body.textContent.includes('Access Denied') ||
-        document.body.textContent.includes('No results found')
-    );
+async function extractSearchResults(page, request, pageOutcome) {
+    if (pageOutcome === 'empty_results') {
+        return { results: [], totalResultCount: 0, mapBounds: null, source: 'empty-results' };
+    }
+
+    const pageNumber = getPageNumber(request);
+    await pageReadiness.waitForSearchResults(page);
+    const searchPage = await selectorManager.extractSearchPage(page, request.url, { pageNumber });
+
+    runReport.recordPageCounts({
+        ...getReportContext(request.userData),
+        url: request.url,
+        page: pageNumber,
+        expectedCount: pageReadiness.getExpectedCount(searchPage.totalResultCount, pageNumber),
+        extractedCount: searchPage.results.length,
+        source: searchPage.source
+    });
+    return searchPage;
+}
+
+/**
+ * Page number of a search request; start URLs carry it in their search state
+ */
+function getPageNumber(request) {
+    if (request.userData.page) return request.userData.page;
+    try {
+        return urlGenerator.decodeSearchUrl(request.url).page;
+    } catch (error) {
+        return 1;
+    }
 }
 
 /**
  * Generate search URLs based on discovery mode
  */
-function generateSearchUrls(zipCode, filters, discoveryMode) {
+function generateSearchUrls(location, filters, discoveryMode, listingType = 'for_sale') {
     const urls = [];
+
+    // Zillow keyword searches narrow results to listings mentioning fixer-upper terms; they run first
+    if (keywordSearch !== 'off') {
+        const keywordBatches = keywordEngine.getSearchBatches(keywordBatchSize);
+        urls.push(...urlGenerator.generateKeywordUrls(location, keywordBatches, filters, listingType));
+        if (keywordSearch === 'only') return urls;
+    }
     
     // Always include primary search
     urls.push({
-        url: urlGenerator.generateSearchUrl(zipCode, filters),
+        url: urlGenerator.generateSearchUrl(location, filters, 1, listingType),
         label: 'primary',
         description: 'Primary search with user filters'
     });
 
     if (discoveryMode === 'enhanced' || discoveryMode === 'comprehensive') {
-        const discoveryUrls = urlGenerator.generateDiscoveryUrls(zipCode, {
+        const discoveryUrls = urlGenerator.generateDiscoveryUrls(location, {
             includePriceSearches: true,
             includeTimeSearches: true,
             includeTypeSearches: false,
-            includeDistressedSearches: discoveryMode === 'comprehensive'
+            includeDistressedSearches: discoveryMode === 'comprehensive',
+            listingType
         });
         
         urls.push(...discoveryUrls.slice(0, discoveryMode === 'comprehensive' ? 10 : 5));
@@ -547,26 +1476,9 @@ function generateSearchUrls(zipCode, filters, discoveryMode) {
 /**
  * Process and enhance extracted property data
  */
-async function processPropertyData(data, page) {
-    const processed = { ...data };
-
-    // Enhanced price processing
-    if (processed.price) {
-        processed.price = cleanPrice(processed.price);
-    }
-
-    // Enhanced bed/bath processing
-    if (processed.beds) {
-        processed.beds = extractNumber(processed.beds);
-    }
-    if (processed.baths) {
-        processed.baths = extractNumber(processed.baths);
-    }
-
-    // Enhanced square footage processing
-    if (processed.sqft) {
-        processed.sqft = extractNumber(processed.sqft.replace(/,/g, ''));
-    }
+async function processPropertyData(data) {
+    // Numeric fields are typed once here, so deal, rent and comps stages compute with numbers
+    const processed = propertyNormalizer.coerce(data);
 
     // Enhanced image processing
     if (includeImages && processed.images && Array.isArray(processed.images)) {
@@ -582,6 +1494,8 @@ async function processPropertyData(data, page) {
     if (!includeContactInfo) {
         delete processed.agentName;
         delete processed.agentPhone;
+        delete processed.agentEmail;
+        delete processed.brokerPhone;
         delete processed.contactEmails;
         delete processed.contactPhones;
     }
@@ -589,30 +1503,101 @@ async function processPropertyData(data, page) {
     return processed;
 }
 
-/**
- * Clean and standardize price strings
- */
-function cleanPrice(priceStr) {
-    if (!priceStr) return null;
-    
-    const cleaned = priceStr.replace(/[^\d,.-]/g, '');
-    const number = parseFloat(cleaned.replace(/,/g, ''));
-    
-    return isNaN(number) ? priceStr : number;
+// Run the crawler; in hybrid mode the HTTP detail crawler runs alongside it
+try {
+    await Promise.all([crawler.run(), httpCrawler?.run()]);
+} finally {
+    await httpDetailQueue?.drop();
 }
 
-/**
- * Extract numeric values from strings
- */
-function extractNumber(str) {
-    if (!str) return null;
-    
-    const match = str.match(/[\d.]+/);
-    return match ? parseFloat(match[0]) : null;
+// Save each unique search-only property once, with its merged search tags
+const searchRecords = propertyRegistry.getSearchRecords();
+for (const record of searchRecords) {
+    Object.assign(record, getRentMetrics(record));
+    await saveProperty(record);
+    successfulExtractions++;
+}
+if (searchRecords.length > 0) {
+    console.log(`📦 Saved ${searchRecords.length} unique search results`);
+}
+
+// Delta mode: report listings that fully completed searches no longer return, then save fingerprints
+if (deltaTracker) {
+    const removedListings = deltaTracker.getRemoved();
+    for (const record of removedListings) {
+        await saveProperty({ ...record, scrapedAt: new Date().toISOString() });
+    }
+    modeStats.removedListings = removedListings.length;
+
+    const { fingerprints } = await deltaTracker.save();
+    console.log(`🔁 Saved ${Object.keys(fingerprints).length} fingerprints, ${removedListings.length} listings removed since last run`);
 }
 
-// Run the crawler
-await crawler.run();
+// Deliver the last webhook batch and wait for retries; undeliverable payloads go to a dead-letter list
+if (webhookDispatcher) {
+    await webhookDispatcher.flush();
+    if (webhookDispatcher.deadLetters.length > 0) {
+        await Actor.setValue('WEBHOOK_DEAD_LETTERS', webhookDispatcher.toJSON());
+    }
+}
+
+// Result files for spreadsheets and GIS tools, built from everything saved to the dataset
+if (outputFormats.length > 0) {
+    const dataset = await Actor.openDataset();
+    const records = [];
+    await dataset.forEach(item => {
+        records.push(item);
+    });
+
+    const resultExporter = new ResultExporter({ csvColumns });
+    for (const file of resultExporter.export(records, outputFormats)) {
+        await Actor.setValue(file.key, file.body, { contentType: file.contentType });
+    }
+    console.log(`📤 Exported ${records.length} records as ${outputFormats.map(format => OUTPUT_FORMATS[format].key).join(', ')}`);
+}
+
+// Coverage per location search: expected vs collected across pages and map tiles
+const coverageReport = searchCoverage.getReport();
+if (coverageReport.length > 0) {
+    await Actor.setValue('COVERAGE', coverageReport);
+}
+
+// Persist learned selectors for the next run
+await selectorManager.saveCache();
+
+// Selector performance is reported once per run, not copied into every record
+if (enableAI) {
+    await Actor.setValue('SELECTOR_STATS', selectorManager.getStats());
+}
+
+// Run report: yield, errors, selector sources and throughput, as JSON and as a standalone HTML page
+const report = runReport.build({
+    mode,
+    totalProperties,
+    totalPages,
+    modeStats,
+    selectorStats: selectorManager.getStats(),
+    coverage: coverageReport,
+    webhooks: webhookDispatcher ? webhookDispatcher.getStats() : null,
+    sessions: sessionTracker.getReport(),
+    throttle: throttleController.getStats(),
+    resources: resourceBlocker ? resourceBlocker.getStats() : null,
+    detailFetch: detailFetcher ? detailFetcher.getStats() : null
+});
+await Actor.setValue('RUN_REPORT', report);
+await Actor.setValue('RUN_REPORT.html', runReport.toHtml(report), { contentType: 'text/html; charset=utf-8' });
+
+// Ranked offer list: best spread first
+if (dealAnalyzer) {
+    dealOffers.sort((a, b) => b.spreadVsList - a.spreadVsList);
+    await Actor.setValue('OFFER_LIST', dealOffers);
+    console.log(`💰 Saved ${dealOffers.length} analyzed deals to OFFER_LIST`);
+}
+
+if (captureSnapshots && mode !== 'replay') {
+    const manifest = await snapshotStore.saveManifest();
+    console.log(`📼 Saved ${manifest.entries.length} page snapshots for replay`);
+}
 
 // Log final statistics
 console.log(`\n🎉 === Unified Zillow Scraper Complete ===`);
@@ -621,19 +1606,92 @@ console.log(`Total properties found: ${totalProperties}`);
 console.log(`Total pages processed: ${totalPages}`);
 console.log(`Successful extractions: ${successfulExtractions}`);
 console.log(`Failed extractions: ${failedExtractions}`);
-console.log(`Success rate: ${totalProperties > 0 ? ((successfulExtractions / totalProperties) * 100).toFixed(2) : 0}%`);
+console.log(`Records saved: ${report.totals.recordsSaved}`);
+if (report.searchPages.pages > 0) {
+    console.log(`Incomplete search pages: ${report.searchPages.incomplete} of ${report.searchPages.pages} (fewer listings extracted than expected)`);
+}
+if (report.detailExtraction.successRate !== null) {
+    console.log(`Detail success rate: ${(report.detailExtraction.successRate * 100).toFixed(2)}% (${report.detailExtraction.succeeded} of ${report.totals.detailPages} detail pages)`);
+}
+console.log(`Duration: ${runReport.formatDuration(report.durationSeconds)}, ${report.throughput.pagesPerMinute ?? 0} pages/min`);
+console.log(`Full report saved to RUN_REPORT and RUN_REPORT.html`);
 
 console.log(`\n📊 === Mode Statistics ===`);
 console.log(`Search pages processed: ${modeStats.searchPages}`);
-console.log(`Zipcode pages processed: ${modeStats.zipcodePages}`);
+console.log(`Location search pages processed: ${modeStats.locationPages}`);
 console.log(`Detail pages processed: ${modeStats.detailPages}`);
 console.log(`Properties matching keywords: ${modeStats.keywordMatches}`);
 console.log(`Properties filtered by keywords: ${modeStats.keywordFiltered}`);
+if (report.keywords.matchRate !== null) {
+    console.log(`Keyword match rate: ${(report.keywords.matchRate * 100).toFixed(2)}%`);
+}
+if (keywordSearch !== 'off') {
+    console.log(`Keyword search hits: ${modeStats.keywordSearchHits}`);
+}
+if (dealAnalyzer) {
+    console.log(`Deals analyzed: ${modeStats.dealsAnalyzed}`);
+    console.log(`Deals below minimum spread: ${modeStats.dealsFiltered}`);
+}
+if (compsSelector) {
+    console.log(`Sold comps searches: ${modeStats.compSearches}`);
+}
+console.log(`Records with validation errors: ${modeStats.invalidRecords}`);
+if (Object.keys(report.pageOutcomes).length > 0) {
+    console.log(`Page outcomes: ${Object.entries(report.pageOutcomes).map(([outcome, count]) => `${outcome} ${count}`).join(', ')}`);
+}
+if (deltaTracker) {
+    console.log(`Unchanged listings skipped: ${modeStats.unchangedSkipped}`);
+    console.log(`Removed listings: ${modeStats.removedListings}`);
+}
+
+if (webhookDispatcher) {
+    const webhookStats = webhookDispatcher.getStats();
+    console.log(`\n📨 === Webhook Delivery ===`);
+    console.log(`Matching records: ${webhookStats.matched}`);
+    console.log(`Deliveries: ${webhookStats.deliveries} (${webhookStats.deliveredRecords} records), retries: ${webhookStats.retries}`);
+    console.log(`Failed deliveries: ${webhookStats.failedDeliveries}${webhookStats.deadLettered > 0 ? ' (saved to WEBHOOK_DEAD_LETTERS)' : ''}`);
+}
+
+if (report.sessions.used > 0) {
+    console.log(`\n🍪 === Sessions ===`);
+    console.log(`Sessions used: ${report.sessions.used}, retired: ${report.sessions.retired}`);
+    console.log(`Pages: ${report.sessions.pages}, blocked: ${report.sessions.blocks}`);
+}
+
+console.log(`\n🚦 === Throttle ===`);
+console.log(`Block rate: ${(report.throttle.blockRate * 100).toFixed(1)}% (target ${(targetBlockRate * 100).toFixed(1)}%), ${report.throttle.blocked} of ${report.throttle.pages} pages blocked`);
+console.log(`Slow-downs: ${report.throttle.slowDowns}, speed-ups: ${report.throttle.speedUps}, Retry-After pauses: ${report.throttle.retryAfterPauses}`);
+console.log(`Final settings: concurrency ${report.throttle.concurrency}, delay ${report.throttle.delayMs}ms, ${report.throttle.requestsPerMinute} requests/min`);
+
+if (report.detailFetch) {
+    const { httpDetails, browserDetails, browserFallbacks, httpShare, avgHttpMs, avgBrowserMs, speedup } = report.detailFetch;
+    console.log(`\n⚡ === Detail Fetching ===`);
+    console.log(`Detail pages over HTTP: ${httpDetails}, in the browser: ${browserDetails} (${httpShare === null ? 'n/a' : `${(httpShare * 100).toFixed(1)}%`} over HTTP)`);
+    console.log(`Browser fallbacks: ${browserFallbacks}${browserFallbacks > 0 ? ` (${Object.entries(report.detailFetch.fallbackReasons).map(([reason, count]) => `${reason} ${count}`).join(', ')})` : ''}`);
+    console.log(`Average time per detail page: ${avgHttpMs ?? 'n/a'}ms over HTTP, ${avgBrowserMs ?? 'n/a'}ms in the browser${speedup ? ` (${speedup}x faster)` : ''}`);
+}
+
+if (report.resources) {
+    const megabytes = bytes => `${((bytes || 0) / 1048576).toFixed(2)} MB`;
+    console.log(`\n🧱 === Resource Blocking ===`);
+    console.log(`Blocked requests: ${report.resources.blockedRequests} (${report.resources.blockedRequestsPerPage ?? 0} per page)`);
+    console.log(`Estimated bandwidth saved: ${megabytes(report.resources.estimatedBytesSaved)} (${megabytes(report.resources.estimatedBytesSavedPerPage)} per page)`);
+    console.log(`Transferred: ${megabytes(report.resources.transferredBytes)} (${megabytes(report.resources.transferredBytesPerPage)} per page)`);
+}
+
+if (locationStats.size > 0) {
+    console.log(`\n📍 === Location Breakdown ===`);
+    for (const stats of locationStats.values()) {
+        console.log(`${stats.label}: ${stats.properties} properties, ${stats.pages} pages, ${stats.errors} errors, search types: ${stats.searchTypes.join(', ')}`);
+    }
+}
 
-if (zipCodeStats.size > 0) {
-    console.log(`\n📍 === Zip Code Breakdown ===`);
-    for (const [zipCode, stats] of zipCodeStats.entries()) {
-        console.log(`${zipCode}: ${stats.properties} properties, ${stats.pages} pages, ${stats.errors} errors, search types: ${stats.searchTypes.join(', ')}`);
+if (coverageReport.length > 0) {
+    console.log(`\n📐 === Search Coverage ===`);
+    for (const row of coverageReport) {
+        const expected = row.expected !== null ? row.expected : 'unknown';
+        const pct = row.coveragePct !== null ? ` (${row.coveragePct}%)` : '';
+        console.log(`${row.location} [${row.searchType}]: ${row.collected} of ${expected} collected${pct}, ${row.tiles} tiles${row.capped ? ', capped' : ''}${row.complete ? '' : ', incomplete'}`);
     }
 }
 
@@ -0,0 +1,75 @@
+/**
+ * Map Tiler for Dense Searches
+ * Zillow stops paginating at about 20 pages / 800 results per search; searches above that cap are
+ * split into map-bounds quadrants, recursively, until every tile fits under it
+ */
+export class MapTiler {
+    constructor(options = {}) {
+        this.resultCap = options.resultCap ?? 800;
+        this.maxDepth = options.maxDepth ?? 5;
+    }
+
+    /**
+     * Whether a search with this many results must be split (false once the depth limit is reached)
+     */
+    shouldSplit(totalResultCount, depth = 0) {
+        return typeof totalResultCount === 'number' &&
+            totalResultCount > this.resultCap &&
+            depth < this.maxDepth;
+    }
+
+    /**
+     * Four quadrants of a bounding box: north-west, north-east, south-west, south-east
+     */
+    split(bounds) {
+        const midLat = (bounds.north + bounds.south) / 2;
+        const midLng = (bounds.east + bounds.west) / 2;
+        return [
+            { north: bounds.north, south: midLat, east: midLng, west: bounds.west },
+            { north: bounds.north, south: midLat, east: bounds.east, west: midLng },
+            { north: midLat, south: bounds.south, east: midLng, west: bounds.west },
+            { north: midLat, south: bounds.south, east: bounds.east, west: midLng }
+        ];
+    }
+
+    /**
+     * Map bounds a search URL asks for, if any
+     */
+    getUrlBounds(searchUrl) {
+        try {
+            const state = JSON.parse(new URL(searchUrl).searchParams.get('searchQueryState') || '{}');
+            return this.normalizeBounds(state.mapBounds);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The same search restricted to a tile, from its first page
+     */
+    getTileUrl(searchUrl, bounds) {
+        const url = new URL(searchUrl);
+        const state = JSON.parse(url.searchParams.get('searchQueryState') || '{}');
+        state.mapBounds = { ...bounds };
+        state.isMapVisible = true;
+        state.pagination = {};
+        url.searchParams.set('searchQueryState', JSON.stringify(state));
+        return url.toString();
+    }
+
+    /**
+     * Numeric { north, south, east, west } or null
+     */
+    normalizeBounds(bounds) {
+        if (!bounds) return null;
+        const normalized = {
+            north: Number(bounds.north),
+            south: Number(bounds.south),
+            east: Number(bounds.east),
+            west: Number(bounds.west)
+        };
+        const valid = Object.values(normalized).every(Number.isFinite) &&
+            normalized.north > normalized.south && normalized.east > normalized.west;
+        return valid ? normalized : null;
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * Number Utilities
+ * Reads numbers from scraped values that may be numbers, formatted strings ("$1,250/mo", "1,800 sqft") or missing
+ */
+
+/**
+ * A finite number, or null for missing and unparseable values
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+}
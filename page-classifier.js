@@ -0,0 +1,112 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Page Classifier
+ * Tells a usable page apart from captchas, denials, rate limits, missing listings and empty searches.
+ * Block checks only read the title, headings and the text of short pages, so words in a listing
+ * description ("driveway blocked by tree") never count
+ */
+
+// Outcome -> what the crawler does with the page
+export const PAGE_OUTCOMES = {
+    ok: 'process',
+    captcha: 'retire_session',
+    access_denied: 'retire_session',
+    rate_limited: 'retire_session',
+    not_found: 'skip',
+    empty_results: 'record_empty'
+};
+
+// Block pages are short; longer pages are only checked by title and headings
+const MAX_BLOCK_PAGE_TEXT = 3000;
+
+export const LISTING_SELECTORS = ['[data-testid="property-card"]', 'article[data-zpid]', '.list-card'];
+
+// PerimeterX press-and-hold and common captcha widgets
+const CAPTCHA_SELECTORS = ['#px-captcha', 'iframe[src*="captcha"]', '.g-recaptcha', '.h-captcha'];
+
+const CAPTCHA_PATTERN = /are you a human|press\s*(?:&|and)\s*hold|verify (?:that )?you are (?:a )?human|captcha/i;
+const RATE_LIMIT_PATTERN = /too many requests|rate limit(?:ed)?\b/i;
+const ACCESS_DENIED_PATTERN = /access (?:to this page has been )?denied|you have been blocked|request (?:was )?blocked|\bforbidden\b/i;
+const NOT_FOUND_PATTERN = /page not found|\b404\b|no longer available|listing (?:was|has been) removed|can.t find (?:that|this) (?:page|home)/i;
+const EMPTY_RESULTS_PATTERN = /no (?:matching )?results|no homes? (?:found|match)|\b0 (?:homes|results)\b|couldn.t find any (?:homes|results)/i;
+
+export class PageClassifier {
+    /**
+     * Classify a live page; `response` is the navigation response when there is one. Replayed pages
+     * keep their snapshot URL, which for bare HTML files is not a homedetails URL, so it is not checked
+     */
+    async inspect(page, { response = null, pageType = 'search', replay = false } = {}) {
+        const snapshot = await page.evaluate((listingSelectors, captchaSelectors, maxBlockPageText) => {
+            const text = document.body?.innerText || '';
+            const listingCount = Math.max(0, ...listingSelectors.map(selector => document.querySelectorAll(selector).length));
+            return {
+                title: document.title || '',
+                headings: [...document.querySelectorAll('h1, h2, h3')].slice(0, 20).map(heading => heading.textContent.trim()).join('\n'),
+                shortText: text.length <= maxBlockPageText ? text : '',
+                // Empty-search messages can sit anywhere on a page without listings
+                emptyText: listingCount === 0 ? text.slice(0, 20000) : '',
+                hasCaptcha: captchaSelectors.some(selector => document.querySelector(selector)),
+                listingCount
+            };
+        }, LISTING_SELECTORS, CAPTCHA_SELECTORS, MAX_BLOCK_PAGE_TEXT);
+
+        return this.classify({
+            ...snapshot,
+            status: typeof response?.status === 'function' ? response.status() : null,
+            url: replay ? '' : page.url()
+        }, pageType);
+    }
+
+    /**
+     * Classify a page fetched without a browser from its HTML and HTTP status
+     */
+    inspectHtml(html, { status = null, url = '', pageType = 'search' } = {}) {
+        const $ = cheerio.load(html || '');
+        const listingCount = Math.max(0, ...LISTING_SELECTORS.map(selector => $(selector).length));
+        const hasCaptcha = CAPTCHA_SELECTORS.some(selector => $(selector).length > 0);
+        const headings = $('h1, h2, h3').slice(0, 20).map((index, heading) => $(heading).text().trim()).get().join('\n');
+        const title = $('title').first().text();
+
+        // Visible text only, like innerText in the browser
+        $('script, style, noscript, template').remove();
+        const text = $('body').text().replace(/\s+/g, ' ').trim();
+
+        return this.classify({
+            title,
+            headings,
+            shortText: text.length <= MAX_BLOCK_PAGE_TEXT ? text : '',
+            emptyText: listingCount === 0 ? text.slice(0, 20000) : '',
+            hasCaptcha,
+            listingCount,
+            status,
+            url
+        }, pageType);
+    }
+
+    /**
+     * Outcome for a page snapshot: { status, url, title, headings, shortText, emptyText, hasCaptcha, listingCount }
+     */
+    classify(snapshot, pageType = 'search') {
+        const { status = null, url = '', title = '', headings = '', shortText = '', emptyText = '', hasCaptcha = false, listingCount = 0 } = snapshot;
+        const visible = [title, headings, shortText].join('\n');
+
+        if (hasCaptcha || CAPTCHA_PATTERN.test(visible)) return 'captcha';
+        if (status === 429 || RATE_LIMIT_PATTERN.test(visible)) return 'rate_limited';
+        if (status === 401 || status === 403 || ACCESS_DENIED_PATTERN.test(visible)) return 'access_denied';
+        if (status === 404 || status === 410 || NOT_FOUND_PATTERN.test([title, headings].join('\n'))) return 'not_found';
+
+        // A removed listing redirects away from its homedetails page
+        if (pageType === 'detail' && url && !/\/homedetails\/|_zpid/.test(url)) return 'not_found';
+
+        if (pageType === 'search' && listingCount === 0 && EMPTY_RESULTS_PATTERN.test([visible, emptyText].join('\n'))) {
+            return 'empty_results';
+        }
+
+        return 'ok';
+    }
+
+    getAction(outcome) {
+        return PAGE_OUTCOMES[outcome] || 'process';
+    }
+}
@@ -0,0 +1,115 @@
+import { LISTING_SELECTORS } from './page-classifier.js';
+
+/**
+ * Page Readiness
+ * Waits for a page's content instead of sleeping a fixed time: the result list (or its embedded
+ * search state) on search pages, the property JSON on detail pages. Zillow renders only the first
+ * cards of a result list until it is scrolled, so the list is scrolled until every card is loaded
+ */
+
+// Listings per Zillow search page
+export const SEARCH_PAGE_SIZE = 40;
+
+// Scrollable result list; the whole document when the layout has none
+const RESULT_LIST_SELECTORS = ['#search-page-list-container', '#grid-search-results', '.search-page-list-container'];
+
+const RESULT_COUNT_SELECTORS = ['[data-testid="result-count"]', '.result-count', '.total-text'];
+
+export class PageReadiness {
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs ?? 15000;
+        this.scrollStepPx = options.scrollStepPx ?? 1000;
+        this.scrollDelayMs = options.scrollDelayMs ?? 400;
+        this.maxScrolls = options.maxScrolls ?? 30;
+        this.stableRounds = options.stableRounds ?? 3;
+        this.pageSize = options.pageSize ?? SEARCH_PAGE_SIZE;
+    }
+
+    /**
+     * Wait until the embedded search state or the first listing card is present; false on timeout
+     */
+    async waitForSearchResults(page) {
+        return this.waitFor(page, (listingSelectors) => {
+            const nextData = document.querySelector('script#__NEXT_DATA__')?.textContent || '';
+            return nextData.includes('"listResults"') ||
+                [...document.querySelectorAll('script[type="application/json"]')].some(script => script.textContent.includes('"listResults"')) ||
+                listingSelectors.some(selector => document.querySelector(selector));
+        }, LISTING_SELECTORS);
+    }
+
+    /**
+     * Wait until the embedded property JSON or the rendered price and address are present; false on timeout
+     */
+    async waitForDetail(page) {
+        return this.waitFor(page, () => {
+            const nextData = document.querySelector('script#__NEXT_DATA__')?.textContent || '';
+            return nextData.includes('gdpClientCache') ||
+                Boolean(document.querySelector('script#hdpApolloPreloadedData')) ||
+                Boolean(document.querySelector('[data-testid="price"], .ds-price') && document.querySelector('h1'));
+        });
+    }
+
+    async waitFor(page, predicate, ...args) {
+        try {
+            await page.waitForFunction(predicate, { timeout: this.timeoutMs, polling: 250 }, ...args);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Scroll the result list step by step until the card count reaches `expectedCount` or stops
+     * growing for `stableRounds` steps; returns { cardCount, scrolls }
+     */
+    async loadAllCards(page, { expectedCount = null } = {}) {
+        let cardCount = await this.countCards(page);
+        let stable = 0;
+        let scrolls = 0;
+
+        while (scrolls < this.maxScrolls && stable < this.stableRounds) {
+            if (expectedCount !== null && cardCount >= expectedCount) break;
+
+            await page.evaluate((listSelectors, step) => {
+                const list = listSelectors.map(selector => document.querySelector(selector))
+                    .find(element => element && element.scrollHeight > element.clientHeight);
+                (list || document.scrollingElement || document.body).scrollBy(0, step);
+            }, RESULT_LIST_SELECTORS, this.scrollStepPx);
+            scrolls++;
+            await new Promise(resolve => setTimeout(resolve, this.scrollDelayMs));
+
+            const newCount = await this.countCards(page);
+            stable = newCount > cardCount ? 0 : stable + 1;
+            cardCount = Math.max(cardCount, newCount);
+        }
+
+        return { cardCount, scrolls };
+    }
+
+    async countCards(page) {
+        return page.evaluate(listingSelectors =>
+            Math.max(0, ...listingSelectors.map(selector => document.querySelectorAll(selector).length)),
+        LISTING_SELECTORS);
+    }
+
+    /**
+     * Total result count shown above the list ("1,234 results"), or null
+     */
+    async readResultCount(page) {
+        const text = await page.evaluate(selectors => {
+            const element = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+            return element ? element.textContent : null;
+        }, RESULT_COUNT_SELECTORS);
+
+        const match = text?.replace(/,/g, '').match(/(\d+)\s*(?:results|homes)/i);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    /**
+     * Listings a page should hold: a full page, or what is left of the total on the last page
+     */
+    getExpectedCount(totalResultCount, pageNumber = 1) {
+        if (totalResultCount === null || totalResultCount === undefined) return null;
+        return Math.max(0, Math.min(this.pageSize, totalResultCount - (pageNumber - 1) * this.pageSize));
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * Property Normalizer for the Canonical Output Schema
+ * Every dataset record, whatever stage produced it, is typed and unit-normalized to one versioned schema;
+ * values that cannot be coerced are dropped to null and listed in `validationErrors`
+ */
+
+export const PROPERTY_SCHEMA_VERSION = 1;
+
+export const HOME_TYPES = ['SINGLE_FAMILY', 'CONDO', 'TOWNHOUSE', 'MULTI_FAMILY', 'MANUFACTURED', 'LOT', 'APARTMENT', 'UNKNOWN'];
+
+export const LISTING_STATUSES = ['FOR_SALE', 'COMING_SOON', 'PENDING', 'FOR_RENT', 'SOLD', 'OFF_MARKET', 'UNKNOWN'];
+
+// Text patterns for home types, checked in order (DOM text such as "Single Family Residence")
+const HOME_TYPE_PATTERNS = [
+    ['TOWNHOUSE', /town\s*(house|home)/i],
+    ['CONDO', /condo|co-?op/i],
+    ['MULTI_FAMILY', /multi[\s_-]*family|duplex|triplex|fourplex|quadruplex/i],
+    ['MANUFACTURED', /manufactured|mobile/i],
+    ['LOT', /\blots?\b|\bland\b/i],
+    ['APARTMENT', /apartment/i],
+    ['SINGLE_FAMILY', /single[\s_-]*family|\bhouse\b|\bhome\b/i]
+];
+
+// Zillow homeStatus / statusType values and status text patterns
+const STATUS_PATTERNS = [
+    ['COMING_SOON', /coming[\s_]*soon/i],
+    ['PENDING', /pending|under[\s_]*contract|contingent/i],
+    ['FOR_RENT', /for[\s_]*rent|rental/i],
+    ['SOLD', /sold/i],
+    ['OFF_MARKET', /off[\s_]*market|\bother\b/i],
+    ['FOR_SALE', /for[\s_]*sale|fsb[ao]|new[\s_]*construction|foreclos|auction|active/i]
+];
+
+const MONEY_FIELDS = ['price', 'zestimate', 'rentZestimate', 'lastSoldPrice', 'taxAssessedValue'];
+const DATE_FIELDS = ['soldDate', 'lastSoldDate'];
+const TIMESTAMP_FIELDS = ['extractedAt', 'scrapedAt'];
+
+// Superseded by canonical fields: lotSize -> lotSizeSqft, propertyType -> homeType, homeStatus/statusType -> status
+const SUPERSEDED_FIELDS = ['lotSize', 'propertyType', 'homeStatus', 'statusType', 'selectorStats'];
+
+export class PropertyNormalizer {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Canonical record: typed fields, structured address, schemaVersion and validationErrors
+     */
+    normalize(record) {
+        const errors = [];
+        const normalized = { schemaVersion: PROPERTY_SCHEMA_VERSION, ...this.coerce(record, errors) };
+
+        normalized.homeType = this.normalizeHomeType(record.homeType ?? record.propertyType, errors);
+        normalized.status = this.normalizeStatus(record.status ?? record.homeStatus ?? record.statusType, record.statusText, errors);
+
+        for (const field of DATE_FIELDS) {
+            if (record[field] === undefined) continue;
+            normalized[field] = this.toIsoDate(record[field], field, errors);
+        }
+        for (const field of TIMESTAMP_FIELDS) {
+            if (record[field] === undefined) continue;
+            normalized[field] = this.toIsoTimestamp(record[field], field, errors);
+        }
+
+        if (record.address !== undefined) {
+            normalized.address = this.parseAddress(record.address, errors);
+            normalized.fullAddress = this.formatAddress(normalized.address);
+        }
+
+        if (normalized.zpid !== undefined && normalized.zpid !== null) normalized.zpid = String(normalized.zpid);
+        if (!normalized.zpid && !normalized.url) errors.push('zpid/url: a record needs a zpid or a url');
+
+        for (const field of SUPERSEDED_FIELDS) delete normalized[field];
+
+        normalized.validationErrors = errors;
+        return normalized;
+    }
+
+    /**
+     * Numeric fields only (price, beds, baths, sqft, lot size, year built...), for stages that
+     * compute with them before the record is saved
+     */
+    coerce(record, errors = []) {
+        const coerced = { ...record };
+
+        for (const field of MONEY_FIELDS) {
+            if (record[field] === undefined) continue;
+            coerced[field] = this.toMoney(record[field], field, errors);
+        }
+
+        if (record.beds !== undefined) coerced.beds = this.toNumber(record.beds, 'beds', errors);
+        if (record.baths !== undefined) coerced.baths = this.toNumber(record.baths, 'baths', errors);
+        if (record.sqft !== undefined) coerced.sqft = this.toInteger(record.sqft, 'sqft', errors);
+        if (record.daysOnZillow !== undefined) coerced.daysOnZillow = this.toInteger(record.daysOnZillow, 'daysOnZillow', errors);
+
+        if (record.lotSizeSqft !== undefined || record.lotSize !== undefined) {
+            coerced.lotSizeSqft = record.lotSizeSqft !== undefined ?
+                this.toInteger(record.lotSizeSqft, 'lotSizeSqft', errors) :
+                this.toLotSizeSqft(record.lotSize, errors);
+        }
+
+        if (record.yearBuilt !== undefined) {
+            coerced.yearBuilt = this.toYear(record.yearBuilt, errors);
+        }
+
+        return coerced;
+    }
+
+    /**
+     * "$1,250,000", "$450K", "$1.2M", "$2,100/mo" -> number
+     */
+    toMoney(value, field, errors) {
+        if (value === null || value === '') return null;
+        if (typeof value === 'number') return this.checkNumber(value, field, errors);
+
+        const match = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM])?\b/);
+        if (!match) return this.reject(field, value, 'a price', errors);
+
+        const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    toNumber(value, field, errors) {
+        if (value === null || value === '') return null;
+        if (typeof value === 'number') return this.checkNumber(value, field, errors);
+
+        const match = String(value).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : this.reject(field, value, 'a number', errors);
+    }
+
+    toInteger(value, field, errors) {
+        const number = this.toNumber(value, field, errors);
+        return number === null ? null : Math.round(number);
+    }
+
+    checkNumber(value, field, errors) {
+        return Number.isFinite(value) && value >= 0 ? value : this.reject(field, value, 'a non-negative number', errors);
+    }
+
+    /**
+     * Lot size in square feet; text in acres ("0.25 acres") is converted
+     */
+    toLotSizeSqft(value, errors) {
+        if (value === null || value === '') return null;
+        if (typeof value === 'number') return this.checkNumber(Math.round(value), 'lotSize', errors);
+
+        const text = String(value).replace(/,/g, '');
+        const match = text.match(/\d+(?:\.\d+)?/);
+        if (!match) return this.reject('lotSize', value, 'a lot size in sqft or acres', errors);
+
+        const number = parseFloat(match[0]);
+        return Math.round(/acre/i.test(text) ? number * 43560 : number);
+    }
+
+    /**
+     * Four-digit year between 1700 and two years from now ("Built in 1978" -> 1978)
+     */
+    toYear(value, errors) {
+        if (value === null || value === '') return null;
+        const match = String(value).match(/\b(1[7-9]\d{2}|2\d{3})\b/);
+        const year = match ? parseInt(match[1]) : null;
+        if (!year || year > this.now().getFullYear() + 2) return this.reject('yearBuilt', value, 'a year', errors);
+        return year;
+    }
+
+    normalizeHomeType(value, errors) {
+        if (value === null || value === undefined || value === '') return 'UNKNOWN';
+
+        const text = String(value).trim();
+        if (HOME_TYPES.includes(text.toUpperCase())) return text.toUpperCase();
+        if (/^HOME_TYPE_UNKNOWN$/i.test(text)) return 'UNKNOWN';
+
+        const match = HOME_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+        if (match) return match[0];
+
+        errors.push(`homeType: unrecognized value '${text}'`);
+        return 'UNKNOWN';
+    }
+
+    normalizeStatus(value, statusText, errors) {
+        for (const candidate of [value, statusText]) {
+            if (candidate === null || candidate === undefined || candidate === '') continue;
+
+            const text = String(candidate).trim();
+            if (LISTING_STATUSES.includes(text.toUpperCase())) return text.toUpperCase();
+
+            const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+            if (match) return match[0];
+        }
+
+        if (value) errors.push(`status: unrecognized value '${value}'`);
+        return 'UNKNOWN';
+    }
+
+    /**
+     * "123 Main St APT 4, Phoenix, AZ 85001" (or an address object) -> { street, unit, city, state, zip }
+     */
+    parseAddress(value, errors) {
+        const address = { street: null, unit: null, city: null, state: null, zip: null };
+        if (value === null || value === '') return address;
+
+        if (typeof value === 'object') {
+            const { street, unit } = this.splitUnit(value.street ?? value.streetAddress ?? null);
+            return {
+                street,
+                unit: value.unit ?? unit,
+                city: value.city ?? null,
+                state: value.state ? String(value.state).toUpperCase() : null,
+                zip: value.zip ?? value.zipcode ?? null
+            };
+        }
+
+        const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+        const stateZip = parts.length > 1 ? parts[parts.length - 1].match(/^([A-Za-z]{2})(?:\s+(\d{5})(?:-\d{4})?)?$/) : null;
+        if (!stateZip) {
+            errors.push(`address: could not parse '${value}'`);
+            return { ...address, ...this.splitUnit(parts.join(', ')) };
+        }
+
+        address.state = stateZip[1].toUpperCase();
+        address.zip = stateZip[2] || null;
+        address.city = parts.length > 2 ? parts[parts.length - 2] : null;
+        Object.assign(address, this.splitUnit(parts.slice(0, parts.length > 2 ? -2 : -1).join(', ')));
+        return address;
+    }
+
+    splitUnit(street) {
+        if (!street) return { street: null, unit: null };
+        const match = street.match(/^(.*?)[\s,]+(?:(?:apt|unit|ste|suite)\.?\s*|#\s*)([\w-]+)$/i);
+        return match ? { street: match[1], unit: match[2] } : { street, unit: null };
+    }
+
+    formatAddress(address) {
+        const street = [address.street, address.unit ? `#${address.unit}` : null].filter(Boolean).join(' ');
+        const locality = [address.city, [address.state, address.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        return [street, locality].filter(Boolean).join(', ') || null;
+    }
+
+    /**
+     * Calendar date as YYYY-MM-DD (epoch milliseconds and date strings accepted)
+     */
+    toIsoDate(value, field, errors) {
+        const date = this.toDate(value);
+        if (date === undefined) return this.reject(field, value, 'a date', errors);
+        return date ? date.toISOString().slice(0, 10) : null;
+    }
+
+    toIsoTimestamp(value, field, errors) {
+        const date = this.toDate(value);
+        if (date === undefined) return this.reject(field, value, 'a timestamp', errors);
+        return date ? date.toISOString() : null;
+    }
+
+    /**
+     * Date, null for empty values, undefined when unparsable
+     */
+    toDate(value) {
+        if (value === null || value === '') return null;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) value = `${value}T00:00:00Z`;
+        const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+        return isNaN(date.getTime()) ? undefined : date;
+    }
+
+    reject(field, value, expected, errors) {
+        errors.push(`${field}: expected ${expected}, got ${JSON.stringify(value)}`);
+        return null;
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Property Registry for Run-Wide Deduplication
+ * Tracks every property by zpid across discovery strategies, merging the searches it was found under
+ */
+export class PropertyRegistry {
+    constructor() {
+        this.properties = new Map();
+    }
+
+    /**
+     * Dedup key: zpid when known, otherwise the detail URL
+     */
+    getKey(property) {
+        if (property.zpid) return `zpid:${property.zpid}`;
+        return property.url ? `url:${property.url}` : null;
+    }
+
+    /**
+     * Record a sighting; returns { isNew, entry } where isNew is true the first time the property is seen
+     */
+    register(property, context = {}) {
+        // Properties without zpid or URL cannot be deduplicated, but are still kept
+        const key = this.getKey(property) || `anonymous:${this.properties.size}`;
+
+        let entry = this.properties.get(key);
+        const isNew = !entry;
+
+        if (isNew) {
+            entry = {
+                key,
+                record: { ...property },
+                searchTypes: [],
+                searchPages: [],
+                zipCodes: [],
+                detailQueued: false
+            };
+            this.properties.set(key, entry);
+        } else {
+            // Fill fields the first sighting did not have
+            for (const [field, value] of Object.entries(property)) {
+                if (entry.record[field] === undefined || entry.record[field] === null) {
+                    entry.record[field] = value;
+                }
+            }
+        }
+
+        const { searchType, searchPage, zipCode } = context;
+        if (searchType && !entry.searchTypes.includes(searchType)) {
+            entry.searchTypes.push(searchType);
+        }
+        if (searchType || searchPage) {
+            const seen = entry.searchPages.some(p => p.searchType === searchType && p.page === searchPage);
+            if (!seen) entry.searchPages.push({ searchType: searchType || null, page: searchPage || null });
+        }
+        if (zipCode && !entry.zipCodes.includes(zipCode)) {
+            entry.zipCodes.push(zipCode);
+        }
+
+        return { isNew, entry };
+    }
+
+    get(property) {
+        const key = this.getKey(property);
+        return key ? this.properties.get(key) || null : null;
+    }
+
+    /**
+     * Merged search tags for a property, ready to spread into a record
+     */
+    getSearchTags(property) {
+        const entry = this.get(property);
+        if (!entry) return {};
+        return {
+            searchTypes: [...entry.searchTypes],
+            searchPages: entry.searchPages.map(p => ({ ...p }))
+        };
+    }
+
+    /**
+     * Mark the property's detail page as queued; returns false when it already was
+     */
+    claimDetail(property) {
+        const entry = this.get(property);
+        if (!entry) return true;
+        if (entry.detailQueued) return false;
+        entry.detailQueued = true;
+        return true;
+    }
+
+    /**
+     * Search records with their merged tags, one per unique property that has no detail page queued
+     */
+    getSearchRecords() {
+        return [...this.properties.values()]
+            .filter(entry => !entry.detailQueued)
+            .map(entry => ({
+                ...entry.record,
+                searchTypes: [...entry.searchTypes],
+                searchPages: entry.searchPages.map(p => ({ ...p }))
+            }));
+    }
+
+    get size() {
+        return this.properties.size;
+    }
+
+    toJSON() {
+        return { properties: [...this.properties.values()] };
+    }
+
+    restore(state) {
+        this.properties.clear();
+        for (const entry of state?.properties || []) {
+            this.properties.set(entry.key, entry);
+        }
+        return this;
+    }
+}
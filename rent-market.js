@@ -0,0 +1,91 @@
+import { toNumber } from './number-utils.js';
+
+/**
+ * Rent Market for Buy-and-Hold Metrics
+ * Collects scraped rental asking rents per search area (zip code or location) and estimates rent,
+ * gross yield and price-to-rent ratio for for-sale properties
+ */
+export class RentMarket {
+    constructor(options = {}) {
+        // Bedroom-matched medians need a few comps to be meaningful
+        this.minBedroomComps = options.minBedroomComps ?? 3;
+        this.rents = new Map();
+    }
+
+    /**
+     * Record a rental listing's monthly rent for its search area
+     */
+    addRental(areaKey, rental) {
+        const rent = toNumber(rental.price);
+        if (!areaKey || !rent) return false;
+
+        if (!this.rents.has(areaKey)) this.rents.set(areaKey, []);
+        this.rents.get(areaKey).push({ rent, beds: toNumber(rental.beds) });
+        return true;
+    }
+
+    /**
+     * Median rent for a search area, optionally limited to one bedroom count
+     */
+    getMedianRent(areaKey, beds = null) {
+        let comps = this.rents.get(areaKey) || [];
+        if (beds !== null) comps = comps.filter(comp => comp.beds === beds);
+        if (comps.length === 0) return null;
+
+        const sorted = comps.map(comp => comp.rent).sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    getCompCount(areaKey) {
+        return (this.rents.get(areaKey) || []).length;
+    }
+
+    /**
+     * Rent estimate and yield metrics: Rent Zestimate first, then the area's median scraped rent
+     */
+    estimate(record, areaKey) {
+        const price = toNumber(record.price);
+        const beds = toNumber(record.beds);
+        let rentEstimate = toNumber(record.rentZestimate);
+        let rentEstimateSource = rentEstimate ? 'rentZestimate' : null;
+
+        if (!rentEstimate && areaKey) {
+            const bedroomComps = beds !== null ?
+                (this.rents.get(areaKey) || []).filter(comp => comp.beds === beds).length :
+                0;
+
+            if (bedroomComps >= this.minBedroomComps) {
+                rentEstimate = this.getMedianRent(areaKey, beds);
+                rentEstimateSource = 'areaBedroomMedian';
+            } else {
+                rentEstimate = this.getMedianRent(areaKey);
+                rentEstimateSource = rentEstimate ? 'areaMedian' : null;
+            }
+        }
+
+        const metrics = {
+            rentEstimate: rentEstimate || null,
+            rentEstimateSource,
+            grossYield: null,
+            priceToRentRatio: null
+        };
+
+        if (rentEstimate && price) {
+            const annualRent = rentEstimate * 12;
+            metrics.grossYield = Math.round((annualRent / price) * 10000) / 100;
+            metrics.priceToRentRatio = Math.round((price / annualRent) * 100) / 100;
+        }
+
+        return metrics;
+    }
+
+    toJSON() {
+        return { rents: Object.fromEntries(this.rents) };
+    }
+
+    restore(state) {
+        this.rents = new Map(Object.entries(state?.rents || {}));
+        return this;
+    }
+}
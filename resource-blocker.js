@@ -0,0 +1,135 @@
+/**
+ * Resource Blocker
+ * Aborts images, media, fonts and ad/tracker requests in the browser to save proxy bandwidth.
+ * Image URLs are still read from `src` attributes and the embedded JSON, which do not need the
+ * image to load. Allow patterns win over everything, then deny patterns, then the defaults
+ */
+
+export const BLOCKABLE_RESOURCE_TYPES = ['image', 'media', 'font', 'stylesheet', 'script', 'xhr', 'fetch', 'other'];
+
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+// Ad, analytics and tracking hosts (matched against the request host and its parents)
+export const TRACKER_DOMAINS = [
+    'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'googlesyndication.com', 'googleadservices.com',
+    'adservice.google.com', 'facebook.net', 'facebook.com/tr', 'bat.bing.com', 'clarity.ms', 'scorecardresearch.com',
+    'quantserve.com', 'hotjar.com', 'nr-data.net', 'newrelic.com', 'segment.io', 'segment.com', 'optimizely.com',
+    'amazon-adsystem.com', 'adsrvr.org', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com', 'ct.pinterest.com',
+    'analytics.tiktok.com', 'sc-static.net', 'branch.io', 'moatads.com', 'adnxs.com'
+];
+
+// Anti-bot challenges must load, or the session gets flagged for skipping them
+const ALWAYS_ALLOWED = ['perimeterx', 'px-cdn', 'px-cloud', 'px-captcha', 'captcha'];
+
+// Typical transfer size of a request that was not made, for the bandwidth estimate
+const ESTIMATED_BYTES = { image: 80000, media: 500000, font: 40000, script: 60000, stylesheet: 30000, other: 10000 };
+
+export class ResourceBlocker {
+    constructor(options = {}) {
+        this.resourceTypes = options.resourceTypes || DEFAULT_BLOCKED_RESOURCE_TYPES;
+        this.blockTrackers = options.blockTrackers !== false;
+        this.allow = options.allow || [];
+        this.deny = options.deny || [];
+
+        if (!Array.isArray(this.resourceTypes) || this.resourceTypes.some(type => !BLOCKABLE_RESOURCE_TYPES.includes(type))) {
+            throw new Error(`Input error: resourceBlocking.resourceTypes must be a list of ${BLOCKABLE_RESOURCE_TYPES.join(', ')}.`);
+        }
+        for (const list of ['allow', 'deny']) {
+            if (!Array.isArray(this[list]) || this[list].some(pattern => typeof pattern !== 'string' || pattern === '')) {
+                throw new Error(`Input error: resourceBlocking.${list} must be a list of URL substrings.`);
+            }
+        }
+
+        this.stats = { pages: 0, blockedRequests: 0, allowedRequests: 0, estimatedBytesSaved: 0, transferredBytes: 0 };
+        this.blockedByType = {};
+    }
+
+    /**
+     * Whether a request should be aborted; `reason` says which rule decided it
+     */
+    check(url, resourceType) {
+        const lowerUrl = url.toLowerCase();
+        if (ALWAYS_ALLOWED.some(pattern => lowerUrl.includes(pattern))) return { block: false, reason: 'anti-bot' };
+        if (this.allow.some(pattern => lowerUrl.includes(pattern.toLowerCase()))) return { block: false, reason: 'allow' };
+        if (this.deny.some(pattern => lowerUrl.includes(pattern.toLowerCase()))) return { block: true, reason: 'deny' };
+        if (this.resourceTypes.includes(resourceType)) return { block: true, reason: 'resource-type' };
+        if (this.blockTrackers && this.isTracker(url)) return { block: true, reason: 'tracker' };
+        return { block: false, reason: 'default' };
+    }
+
+    isTracker(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        const host = parsed.hostname.toLowerCase();
+        const target = `${host}${parsed.pathname}`;
+        return TRACKER_DOMAINS.some(domain => domain.includes('/')
+            ? target === domain || target.startsWith(`${domain}/`) || target.endsWith(`.${domain}`) || target.includes(`.${domain}/`)
+            : host === domain || host.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Intercept a page's requests before it navigates; the page's transferred bytes are measured too
+     */
+    async attach(page) {
+        this.stats.pages++;
+
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+
+            const resourceType = request.resourceType();
+            if (this.check(request.url(), resourceType).block) {
+                this.recordBlocked(resourceType);
+                request.abort('blockedbyclient');
+            } else {
+                this.stats.allowedRequests++;
+                request.continue();
+            }
+        });
+
+        try {
+            const client = await page.target().createCDPSession();
+            await client.send('Network.enable');
+            client.on('Network.loadingFinished', (event) => {
+                this.stats.transferredBytes += event.encodedDataLength || 0;
+            });
+        } catch (error) {
+            // Transfer sizes are informational; interception works without them
+        }
+    }
+
+    recordBlocked(resourceType) {
+        this.stats.blockedRequests++;
+        this.stats.estimatedBytesSaved += ESTIMATED_BYTES[resourceType] ?? ESTIMATED_BYTES.other;
+        this.blockedByType[resourceType] = (this.blockedByType[resourceType] || 0) + 1;
+    }
+
+    /**
+     * Run report section: totals, per-page averages and blocked requests by type
+     */
+    getStats() {
+        const perPage = value => this.stats.pages > 0 ? Math.round(value / this.stats.pages) : null;
+        return {
+            ...this.stats,
+            blockedRequestsPerPage: perPage(this.stats.blockedRequests),
+            estimatedBytesSavedPerPage: perPage(this.stats.estimatedBytesSaved),
+            transferredBytesPerPage: perPage(this.stats.transferredBytes),
+            blockedByType: { ...this.blockedByType }
+        };
+    }
+
+    toJSON() {
+        return { stats: this.stats, blockedByType: this.blockedByType };
+    }
+
+    restore(state) {
+        if (!state) return this;
+        this.stats = { ...this.stats, ...state.stats };
+        this.blockedByType = { ...state.blockedByType };
+        return this;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Result Exporter for Spreadsheet and GIS Tools
+ * Turns the run's dataset records into a flattened CSV, a GeoJSON FeatureCollection and NDJSON
+ */
+
+export const OUTPUT_FORMATS = {
+    csv: { key: 'results.csv', contentType: 'text/csv; charset=utf-8' },
+    geojson: { key: 'results.geojson', contentType: 'application/geo+json' },
+    ndjson: { key: 'results.ndjson', contentType: 'application/x-ndjson' }
+};
+
+// Default leading CSV columns; every other column follows in the order it is first seen
+const DEFAULT_CSV_COLUMNS = [
+    'zpid', 'url', 'fullAddress', 'address.street', 'address.unit', 'address.city', 'address.state', 'address.zip',
+    'status', 'homeType', 'price', 'zestimate', 'rentZestimate', 'beds', 'baths', 'sqft', 'lotSizeSqft', 'yearBuilt',
+    'daysOnZillow', 'latitude', 'longitude', 'isFixerUpper', 'distressScore', 'matchedKeywords'
+];
+
+// Keyword analysis lists of { keyword, category, weight, position }, written as their keywords
+const KEYWORD_LIST_FIELDS = ['matchedKeywords', 'negatedKeywords'];
+
+export class ResultExporter {
+    constructor(options = {}) {
+        this.csvColumns = options.csvColumns?.length ? options.csvColumns : null;
+    }
+
+    /**
+     * One file per requested format: [{ format, key, contentType, body }]
+     */
+    export(records, formats) {
+        return formats.map(format => {
+            const { key, contentType } = OUTPUT_FORMATS[format];
+            const body = format === 'csv' ? this.toCsv(records) :
+                format === 'geojson' ? JSON.stringify(this.toGeoJson(records)) :
+                this.toNdjson(records);
+            return { format, key, contentType, body };
+        });
+    }
+
+    /**
+     * CSV with flattened columns: `csvColumns` exactly when given, otherwise the default order
+     */
+    toCsv(records) {
+        const rows = records.map(record => this.flatten(record));
+
+        let columns = this.csvColumns;
+        if (!columns) {
+            const seen = new Set();
+            for (const row of rows) Object.keys(row).forEach(column => seen.add(column));
+            columns = [
+                ...DEFAULT_CSV_COLUMNS.filter(column => seen.has(column)),
+                ...[...seen].filter(column => !DEFAULT_CSV_COLUMNS.includes(column))
+            ];
+        }
+
+        const lines = [columns.map(column => this.escapeCsv(column)).join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => this.escapeCsv(row[column])).join(','));
+        }
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Flatten a record into CSV cells:
+     * - nested objects become dotted columns (`address.city`)
+     * - lists of values are joined with "; ", keyword matches by their keyword (`matchedKeywords`)
+     * - `images` keeps only its first URL, as `primaryImage` (the count is in `imageCount`)
+     * - `priceHistory` / `taxHistory` become one readable entry per event, joined with "; "
+     * - other lists of objects (comps, search pages) stay as JSON
+     */
+    flatten(record, prefix = '', row = {}) {
+        for (const [field, value] of Object.entries(record)) {
+            const column = prefix ? `${prefix}.${field}` : field;
+
+            if (value === null || value === undefined) {
+                row[column] = null;
+            } else if (column === 'images' && Array.isArray(value)) {
+                row.primaryImage = value[0] || null;
+            } else if (column === 'priceHistory' && Array.isArray(value)) {
+                row[column] = value.map(event => [event.date, event.event, event.price].filter(part => part !== null && part !== undefined).join(' ')).join('; ');
+            } else if (KEYWORD_LIST_FIELDS.includes(column) && Array.isArray(value)) {
+                row[column] = value.map(entry => (entry && typeof entry === 'object' ? entry.keyword : entry)).join('; ');
+            } else if (column === 'taxHistory' && Array.isArray(value)) {
+                row[column] = value.map(entry => `${entry.year}: tax ${entry.taxPaid ?? 'n/a'}, assessed ${entry.assessedValue ?? 'n/a'}`).join('; ');
+            } else if (Array.isArray(value)) {
+                row[column] = value.every(item => item === null || typeof item !== 'object') ?
+                    value.join('; ') :
+                    JSON.stringify(value);
+            } else if (typeof value === 'object') {
+                this.flatten(value, column, row);
+            } else {
+                row[column] = value;
+            }
+        }
+        return row;
+    }
+
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+
+        // Spreadsheets run cells starting with = + - @ (or a tab before one) as formulas
+        if (typeof value === 'string' && /^[=+\-@\t]/.test(text)) text = `'${text}`;
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * FeatureCollection of points; records without coordinates are left out
+     */
+    toGeoJson(records) {
+        const features = [];
+        for (const record of records) {
+            const latitude = Number(record.latitude);
+            const longitude = Number(record.longitude);
+            if (record.latitude == null || record.longitude == null || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+            const properties = { ...record };
+            delete properties.latitude;
+            delete properties.longitude;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [longitude, latitude] },
+                properties
+            });
+        }
+        return { type: 'FeatureCollection', features };
+    }
+
+    toNdjson(records) {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Run Report
+ * Collects per-location and per-search-type yield, pages and categorized errors while the crawl runs,
+ * and turns them with the end-of-run totals into a RUN_REPORT record and a self-contained HTML page
+ */
+
+export const RUN_REPORT_VERSION = 1;
+
+// Error categories, checked in order against the error message
+export const ERROR_CATEGORIES = [
+    ['blocked', /blocked|captcha|anti-bot|access[ _]denied|rate[ _]limited|forbidden|\b403\b|\b429\b/i],
+    ['timeout', /timeout|timed out/i],
+    ['network', /net::|ERR_|ECONN|ENOTFOUND|EAI_AGAIN|socket|proxy|navigation failed/i],
+    ['extraction', /.*/]
+];
+
+// Records that did not come from a generated location search were found from the start URLs
+const START_URLS_SEARCH_TYPE = 'start_urls';
+
+// Delta mode records for listings that previous searches returned and this run's no longer do
+const REMOVED_SEARCH_TYPE = 'removed_listings';
+
+export class RunReport {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.startedAt = this.now().toISOString();
+        this.locations = new Map();
+        this.searchTypes = new Map();
+        this.errors = {};
+        this.detailPages = { succeeded: 0, failed: 0 };
+        this.keywordFilter = { passed: 0, filtered: 0 };
+        this.pageOutcomes = {};
+        this.pageCounts = [];
+    }
+
+    /**
+     * Per-location row, keyed by location key (zip code, city, bounds...)
+     */
+    getLocation(locationKey, label) {
+        if (!this.locations.has(locationKey)) {
+            this.locations.set(locationKey, { locationKey, location: label || locationKey, pages: 0, results: 0, saved: 0, errors: 0 });
+        }
+        const entry = this.locations.get(locationKey);
+        if (label && entry.location === locationKey) entry.location = label;
+        return entry;
+    }
+
+    getSearchType(searchType) {
+        const key = searchType || START_URLS_SEARCH_TYPE;
+        if (!this.searchTypes.has(key)) {
+            this.searchTypes.set(key, { searchType: key, pages: 0, results: 0, saved: 0, errors: 0 });
+        }
+        return this.searchTypes.get(key);
+    }
+
+    /**
+     * A search page was processed; `results` counts the properties it added to the run
+     */
+    recordPage({ locationKey = null, location = null, searchType = null } = {}, results = 0) {
+        const rows = [this.getSearchType(searchType)];
+        if (locationKey) rows.push(this.getLocation(locationKey, location));
+        for (const row of rows) {
+            row.pages++;
+            row.results += results;
+        }
+    }
+
+    /**
+     * A record was written to the dataset
+     */
+    recordSaved(record) {
+        this.getSearchType(record.changeType === 'removed' ? REMOVED_SEARCH_TYPE : record.searchType).saved++;
+        if (record.searchLocationKey) this.getLocation(record.searchLocationKey, record.searchLocation).saved++;
+    }
+
+    recordDetail(succeeded) {
+        this.detailPages[succeeded ? 'succeeded' : 'failed']++;
+    }
+
+    /**
+     * Page classifier outcome of every loaded page, retries included
+     */
+    recordPageOutcome(outcome) {
+        this.pageOutcomes[outcome] = (this.pageOutcomes[outcome] || 0) + 1;
+    }
+
+    /**
+     * Listings a search page should hold vs listings extracted from it
+     */
+    recordPageCounts({ url = null, locationKey = null, location = null, searchType = null, page = 1, expectedCount = null, extractedCount = 0, source = null } = {}) {
+        this.pageCounts.push({
+            url,
+            locationKey,
+            location,
+            searchType: searchType || START_URLS_SEARCH_TYPE,
+            page,
+            expectedCount,
+            extractedCount,
+            source,
+            complete: expectedCount === null ? null : extractedCount >= expectedCount
+        });
+    }
+
+    recordKeywordResult(passed) {
+        this.keywordFilter[passed ? 'passed' : 'filtered']++;
+    }
+
+    /**
+     * Count an error under its category and against its location and search type
+     */
+    recordError(error, { locationKey = null, location = null, searchType = null, label = null } = {}) {
+        const category = this.categorize(error);
+        this.errors[category] = (this.errors[category] || 0) + 1;
+
+        // Detail pages are not search pages; their errors only count against their location
+        if (label !== 'DETAIL') this.getSearchType(searchType).errors++;
+        if (locationKey) this.getLocation(locationKey, location).errors++;
+        return category;
+    }
+
+    categorize(error) {
+        const message = typeof error === 'string' ? error : error?.message || '';
+        return ERROR_CATEGORIES.find(([, pattern]) => pattern.test(message))[0];
+    }
+
+    /**
+     * The RUN_REPORT record
+     */
+    build({ mode = null, totalProperties = 0, totalPages = 0, modeStats = {}, selectorStats = {}, coverage = [], webhooks = null, sessions = null, throttle = null, resources = null, detailFetch = null } = {}) {
+        const finishedAt = this.now().toISOString();
+        const durationSeconds = Math.max(0, (Date.parse(finishedAt) - Date.parse(this.startedAt)) / 1000);
+        const minutes = durationSeconds / 60;
+        const detailAttempts = this.detailPages.succeeded + this.detailPages.failed;
+        const keywordChecked = this.keywordFilter.passed + this.keywordFilter.filtered;
+        const sources = selectorStats.selectorSources || { cache: 0, hierarchy: 0, ai: 0 };
+        const savedRecords = [...this.searchTypes.values()].reduce((sum, row) => sum + row.saved, 0);
+
+        return {
+            reportVersion: RUN_REPORT_VERSION,
+            mode,
+            startedAt: this.startedAt,
+            finishedAt,
+            durationSeconds: Math.round(durationSeconds),
+            totals: {
+                propertiesFound: totalProperties,
+                recordsSaved: savedRecords,
+                pagesProcessed: totalPages,
+                searchPages: (modeStats.searchPages || 0) + (modeStats.locationPages || 0),
+                detailPages: detailAttempts,
+                errors: Object.values(this.errors).reduce((sum, count) => sum + count, 0)
+            },
+            throughput: {
+                pagesPerMinute: minutes > 0 ? this.round(totalPages / minutes) : null,
+                recordsPerMinute: minutes > 0 ? this.round(savedRecords / minutes) : null
+            },
+            detailExtraction: {
+                succeeded: this.detailPages.succeeded,
+                failed: this.detailPages.failed,
+                successRate: this.rate(this.detailPages.succeeded, detailAttempts)
+            },
+            keywords: {
+                checked: keywordChecked,
+                matched: this.keywordFilter.passed,
+                filtered: this.keywordFilter.filtered,
+                matchRate: this.rate(this.keywordFilter.passed, keywordChecked),
+                keywordSearchHits: modeStats.keywordSearchHits || 0
+            },
+            selectors: {
+                embeddedJson: selectorStats.jsonExtractions || 0,
+                cache: sources.cache,
+                hierarchy: sources.hierarchy,
+                ai: sources.ai,
+                aiCalls: selectorStats.aiCalls || 0,
+                cachedSelectors: selectorStats.cachedSelectors || 0
+            },
+            errorsByCategory: { ...this.errors },
+            pageOutcomes: { ...this.pageOutcomes },
+            searchPages: {
+                pages: this.pageCounts.length,
+                incomplete: this.pageCounts.filter(row => row.complete === false).length,
+                unknownExpected: this.pageCounts.filter(row => row.complete === null).length,
+                rows: this.pageCounts.map(row => ({ ...row }))
+            },
+            byLocation: [...this.locations.values()].map(row => this.withYield(row)),
+            bySearchType: [...this.searchTypes.values()].map(row => this.withYield(row)),
+            coverage,
+            modeStats: { ...modeStats },
+            webhooks,
+            sessions,
+            throttle,
+            resources,
+            detailFetch
+        };
+    }
+
+    /**
+     * Results and saved records per page
+     */
+    withYield(row) {
+        return {
+            ...row,
+            resultsPerPage: row.pages > 0 ? this.round(row.results / row.pages) : null,
+            savedPerPage: row.pages > 0 ? this.round(row.saved / row.pages) : null
+        };
+    }
+
+    rate(part, total) {
+        return total > 0 ? this.round(part / total, 4) : null;
+    }
+
+    round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Single HTML page with inline styles and no external resources
+     */
+    toHtml(report) {
+        const percent = value => value === null || value === undefined ? 'n/a' : `${this.round(value * 100, 1)}%`;
+        const facts = rows => `<table>${rows.map(([name, value]) => `<tr><th>${this.escapeHtml(name)}</th><td>${this.escapeHtml(value ?? 'n/a')}</td></tr>`).join('')}</table>`;
+        const table = (columns, rows) => rows.length === 0 ? '<p class="empty">None</p>' :
+            `<table><tr>${columns.map(([, title]) => `<th>${this.escapeHtml(title)}</th>`).join('')}</tr>` +
+            rows.map(row => `<tr>${columns.map(([field]) => `<td>${this.escapeHtml(row[field] ?? 'n/a')}</td>`).join('')}</tr>`).join('') +
+            '</table>';
+        const yieldColumns = [['pages', 'Pages'], ['results', 'Results'], ['saved', 'Saved'], ['errors', 'Errors'], ['resultsPerPage', 'Results / page'], ['savedPerPage', 'Saved / page']];
+
+        const sections = [
+            ['Summary', facts([
+                ['Mode', report.mode],
+                ['Started', report.startedAt],
+                ['Finished', report.finishedAt],
+                ['Duration', this.formatDuration(report.durationSeconds)],
+                ['Properties found', report.totals.propertiesFound],
+                ['Records saved', report.totals.recordsSaved],
+                ['Pages processed', report.totals.pagesProcessed],
+                ['Pages / minute', report.throughput.pagesPerMinute],
+                ['Records / minute', report.throughput.recordsPerMinute]
+            ])],
+            ['Detail Extraction', facts([
+                ['Succeeded', report.detailExtraction.succeeded],
+                ['Failed', report.detailExtraction.failed],
+                ['Success rate', percent(report.detailExtraction.successRate)]
+            ])],
+            ['Keywords', facts([
+                ['Checked', report.keywords.checked],
+                ['Matched', report.keywords.matched],
+                ['Filtered out', report.keywords.filtered],
+                ['Match rate', percent(report.keywords.matchRate)],
+                ['Keyword search hits', report.keywords.keywordSearchHits]
+            ])],
+            ['Selector Sources', facts([
+                ['Embedded JSON', report.selectors.embeddedJson],
+                ['Cache', report.selectors.cache],
+                ['Hierarchy', report.selectors.hierarchy],
+                ['AI', report.selectors.ai],
+                ['AI calls', report.selectors.aiCalls]
+            ])],
+            ['Errors by Category', table([['category', 'Category'], ['count', 'Count']],
+                Object.entries(report.errorsByCategory).map(([category, count]) => ({ category, count })))],
+            ['Page Outcomes', table([['outcome', 'Outcome'], ['count', 'Pages']],
+                Object.entries(report.pageOutcomes || {}).map(([outcome, count]) => ({ outcome, count })))],
+            ['By Location', table([['location', 'Location'], ...yieldColumns], report.byLocation)],
+            ['By Search Type', table([['searchType', 'Search type'], ...yieldColumns], report.bySearchType)],
+            ['Throttle', facts([
+                ['Block rate (last pages)', percent(report.throttle?.blockRate)],
+                ['Target block rate', percent(report.throttle?.targetBlockRate)],
+                ['Slow-downs', report.throttle?.slowDowns],
+                ['Speed-ups', report.throttle?.speedUps],
+                ['Retry-After pauses', report.throttle?.retryAfterPauses],
+                ['Final concurrency', report.throttle?.concurrency],
+                ['Final delay (ms)', report.throttle?.delayMs],
+                ['Final requests / minute', report.throttle?.requestsPerMinute]
+            ])],
+            ['Detail Fetching', facts([
+                ['Detail pages over HTTP', report.detailFetch?.httpDetails],
+                ['Detail pages in the browser', report.detailFetch?.browserDetails],
+                ['Share over HTTP', percent(report.detailFetch?.httpShare)],
+                ['Browser fallbacks', report.detailFetch?.browserFallbacks],
+                ['Fallback reasons', Object.entries(report.detailFetch?.fallbackReasons || {}).map(([reason, count]) => `${reason} ${count}`).join(', ') || null],
+                ['Average ms / page over HTTP', report.detailFetch?.avgHttpMs],
+                ['Average ms / page in the browser', report.detailFetch?.avgBrowserMs],
+                ['Speedup', report.detailFetch?.speedup ? `${report.detailFetch.speedup}x` : null]
+            ])],
+            ['Resource Blocking', facts([
+                ['Pages intercepted', report.resources?.pages],
+                ['Blocked requests', report.resources?.blockedRequests],
+                ['Blocked requests / page', report.resources?.blockedRequestsPerPage],
+                ['Estimated KB saved', this.kilobytes(report.resources?.estimatedBytesSaved)],
+                ['Estimated KB saved / page', this.kilobytes(report.resources?.estimatedBytesSavedPerPage)],
+                ['KB transferred / page', this.kilobytes(report.resources?.transferredBytesPerPage)],
+                ['Blocked by type', Object.entries(report.resources?.blockedByType || {}).map(([type, count]) => `${type} ${count}`).join(', ') || null]
+            ])],
+            ['Sessions', table([['sessionId', 'Session'], ['pages', 'Pages'], ['successes', 'Successes'], ['blocks', 'Blocks'], ['retired', 'Retired']],
+                report.sessions?.sessions || [])],
+            ['Incomplete Search Pages', table([['location', 'Location'], ['searchType', 'Search type'], ['page', 'Page'], ['expectedCount', 'Expected'], ['extractedCount', 'Extracted'], ['source', 'Source'], ['url', 'URL']],
+                (report.searchPages?.rows || []).filter(row => row.complete === false))],
+            ['Search Coverage', table([['location', 'Location'], ['searchType', 'Search type'], ['expected', 'Expected'], ['collected', 'Collected'], ['coveragePct', 'Coverage %'], ['tiles', 'Tiles'], ['complete', 'Complete']], report.coverage || [])]
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Zillow Scraper Run Report - ${this.escapeHtml(report.startedAt)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2933; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.15rem; margin-top: 2rem; }
+table { border-collapse: collapse; margin-top: 0.5rem; }
+th, td { border: 1px solid #d9e2ec; padding: 0.3rem 0.7rem; text-align: left; }
+th { background: #f0f4f8; }
+.empty { color: #829ab1; }
+</style>
+</head>
+<body>
+<h1>Zillow Scraper Run Report</h1>
+${sections.map(([title, body]) => `<h2>${title}</h2>\n${body}`).join('\n')}
+</body>
+</html>
+`;
+    }
+
+    kilobytes(bytes) {
+        return bytes === null || bytes === undefined ? null : Math.round(bytes / 1024);
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    toJSON() {
+        return {
+            startedAt: this.startedAt,
+            locations: [...this.locations.values()],
+            searchTypes: [...this.searchTypes.values()],
+            errors: this.errors,
+            detailPages: this.detailPages,
+            keywordFilter: this.keywordFilter,
+            pageOutcomes: this.pageOutcomes,
+            pageCounts: this.pageCounts
+        };
+    }
+
+    restore(state) {
+        if (!state) return this;
+        this.startedAt = state.startedAt || this.startedAt;
+        this.locations = new Map((state.locations || []).map(row => [row.locationKey, row]));
+        this.searchTypes = new Map((state.searchTypes || []).map(row => [row.searchType, row]));
+        this.errors = { ...state.errors };
+        this.detailPages = { ...this.detailPages, ...state.detailPages };
+        this.keywordFilter = { ...this.keywordFilter, ...state.keywordFilter };
+        this.pageOutcomes = { ...state.pageOutcomes };
+        this.pageCounts = [...(state.pageCounts || [])];
+        return this;
+    }
+}
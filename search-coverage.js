@@ -0,0 +1,104 @@
+/**
+ * Search Coverage Tracker
+ * Follows each location search across its pages and map tiles: expected vs collected results,
+ * and whether every tile ran to its last page
+ */
+export class SearchCoverage {
+    constructor() {
+        this.searches = new Map();
+    }
+
+    /**
+     * Entry for a search; a search starts with one open tile (its root)
+     */
+    get(searchKey, details = {}) {
+        if (!this.searches.has(searchKey)) {
+            this.searches.set(searchKey, {
+                searchKey,
+                locationKey: details.locationKey || null,
+                location: details.location || null,
+                searchType: details.searchType || null,
+                expected: null,
+                zpids: new Set(),
+                tiles: 1,
+                openTiles: 1,
+                incompleteTiles: 0,
+                capped: false
+            });
+        }
+        return this.searches.get(searchKey);
+    }
+
+    setExpected(searchKey, totalResultCount) {
+        const entry = this.get(searchKey);
+        if (entry.expected === null && typeof totalResultCount === 'number') {
+            entry.expected = totalResultCount;
+        }
+    }
+
+    addResult(searchKey, zpid) {
+        if (zpid) this.get(searchKey).zpids.add(String(zpid));
+    }
+
+    /**
+     * A tile was split into child tiles that are now queued
+     */
+    openTiles(searchKey, count) {
+        const entry = this.get(searchKey);
+        entry.tiles += count;
+        entry.openTiles += count;
+    }
+
+    /**
+     * A tile was still over the result cap and could not be split further
+     */
+    markCapped(searchKey) {
+        this.get(searchKey).capped = true;
+    }
+
+    /**
+     * A tile finished; returns true when this completes the whole search without gaps
+     */
+    closeTile(searchKey, complete) {
+        const entry = this.get(searchKey);
+        entry.openTiles = Math.max(0, entry.openTiles - 1);
+        if (!complete) entry.incompleteTiles++;
+        return this.isComplete(searchKey);
+    }
+
+    isComplete(searchKey) {
+        const entry = this.searches.get(searchKey);
+        return Boolean(entry) && entry.openTiles === 0 && entry.incompleteTiles === 0;
+    }
+
+    /**
+     * Coverage report, one row per search
+     */
+    getReport() {
+        return [...this.searches.values()].map(entry => ({
+            location: entry.location,
+            locationKey: entry.locationKey,
+            searchType: entry.searchType,
+            expected: entry.expected,
+            collected: entry.zpids.size,
+            coveragePct: entry.expected ? Math.round((entry.zpids.size / entry.expected) * 1000) / 10 : null,
+            tiles: entry.tiles,
+            complete: entry.openTiles === 0 && entry.incompleteTiles === 0,
+            capped: entry.capped
+        }));
+    }
+
+    toJSON() {
+        return {
+            searches: [...this.searches.values()].map(entry => ({ ...entry, zpids: [...entry.zpids] }))
+        };
+    }
+
+    restore(state) {
+        this.searches.clear();
+        for (const entry of state?.searches || []) {
+            this.searches.set(entry.searchKey, { ...entry, zpids: new Set(entry.zpids) });
+        }
+        return this;
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * Search Filter Model
+ * Validates search filters (the flat input-schema fields or the nested form), compiles them to
+ * Zillow's `filterState` and decodes a `filterState` back into the same model
+ */
+
+// Nested range filters and the Zillow filterState key each compiles to
+const RANGE_FILTERS = {
+    price: { key: 'price', bounds: ['min', 'max'] },
+    beds: { key: 'beds', bounds: ['min', 'max'] },
+    baths: { key: 'baths', bounds: ['min'] },
+    sqft: { key: 'sqft', bounds: ['min', 'max'] },
+    lotSize: { key: 'lotSize', bounds: ['min', 'max'] },
+    yearBuilt: { key: 'built', bounds: ['min', 'max'] },
+    hoa: { key: 'hoa', bounds: ['max'] }
+};
+
+// Flat input-schema fields and the range bound each one sets
+const FLAT_FILTERS = {
+    minPrice: ['price', 'min'],
+    maxPrice: ['price', 'max'],
+    minBeds: ['beds', 'min'],
+    maxBeds: ['beds', 'max'],
+    minBaths: ['baths', 'min'],
+    minSqft: ['sqft', 'min'],
+    maxSqft: ['sqft', 'max'],
+    minLotSize: ['lotSize', 'min'],
+    maxLotSize: ['lotSize', 'max'],
+    minYearBuilt: ['yearBuilt', 'min'],
+    maxYearBuilt: ['yearBuilt', 'max'],
+    maxHoa: ['hoa', 'max']
+};
+
+// Zillow includes every home type unless it is switched off
+const PROPERTY_TYPES = {
+    'houses': 'isSingleFamily',
+    'condos': 'isCondo',
+    'townhomes': 'isTownhouse',
+    'multi-family': 'isMultiFamily',
+    'lots': 'isLotLand',
+    'manufactured': 'isManufactured',
+    'apartments': 'isApartment'
+};
+
+const DAYS_ON_MARKET = ['1', '7', '14', '30', '90', '180', '365', '6m', '12m', '24m', '36m'];
+
+const SORT_ORDERS = {
+    'relevance': 'globalrelevanceex',
+    'newest': 'days',
+    'price_low': 'pricea',
+    'price_high': 'priced',
+    'beds': 'beds',
+    'baths': 'baths',
+    'sqft': 'size',
+    'lot_size': 'lot'
+};
+
+const BASEMENT_TYPES = ['finished', 'unfinished', 'any'];
+
+const DISTRESS_TYPES = {
+    'auction': 'isAuction',
+    'foreclosure': 'isForeclosureAuction',
+    'preForeclosure': 'isPreForeclosureAuction',
+    'bankOwned': 'isBankOwned'
+};
+
+// Listing-type switches set by the URL generator, not by filters
+const LISTING_TYPE_KEYS = [
+    'isForSaleByAgent', 'isForSaleByOwner', 'isNewConstruction', 'isComingSoon',
+    'isForSaleForeclosure', 'isForRent', 'isRecentlySold'
+];
+
+export const SEARCH_FILTER_KEYS = [
+    ...Object.keys(RANGE_FILTERS),
+    ...Object.keys(FLAT_FILTERS),
+    'propertyType', 'propertyTypes', 'daysOnMarket', 'garage', 'basement',
+    'singleStory', 'exclude55Plus', 'sort', 'distress', 'keywords'
+];
+
+export class SearchFilters {
+    /**
+     * Validate filters and return the nested model; throws an Input error on unknown keys or bad values
+     */
+    normalize(filters = {}) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new Error(`Input error: 'searchFilters' must be an object.`);
+        }
+
+        const unknown = Object.keys(filters).filter(key => !SEARCH_FILTER_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Input error: unknown searchFilters ${unknown.length === 1 ? 'key' : 'keys'} ${unknown.map(key => `'${key}'`).join(', ')}. Supported keys: ${SEARCH_FILTER_KEYS.join(', ')}.`);
+        }
+
+        const model = {};
+
+        for (const [name, { bounds }] of Object.entries(RANGE_FILTERS)) {
+            if (filters[name] === undefined || filters[name] === null) continue;
+            const range = filters[name];
+            if (typeof range !== 'object' || Array.isArray(range)) {
+                throw new Error(`Input error: searchFilters.${name} must be an object with ${bounds.join('/')}.`);
+            }
+            const extra = Object.keys(range).filter(bound => !bounds.includes(bound));
+            if (extra.length > 0) {
+                throw new Error(`Input error: searchFilters.${name} only supports ${bounds.join(' and ')}, not ${extra.join(', ')}.`);
+            }
+            for (const bound of bounds) {
+                if (range[bound] !== undefined && range[bound] !== null) {
+                    this.setBound(model, name, bound, range[bound], `${name}.${bound}`);
+                }
+            }
+        }
+
+        for (const [key, [name, bound]] of Object.entries(FLAT_FILTERS)) {
+            if (filters[key] === undefined || filters[key] === null) continue;
+            if (model[name]?.[bound] !== undefined) {
+                throw new Error(`Input error: searchFilters.${key} conflicts with searchFilters.${name}.${bound}; use one of them.`);
+            }
+            this.setBound(model, name, bound, filters[key], key);
+        }
+
+        for (const [name, range] of Object.entries(model)) {
+            if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+                throw new Error(`Input error: searchFilters.${name} minimum (${range.min}) is greater than its maximum (${range.max}).`);
+            }
+        }
+
+        const propertyTypes = this.normalizePropertyTypes(filters);
+        if (propertyTypes) model.propertyTypes = propertyTypes;
+
+        if (filters.daysOnMarket !== undefined && filters.daysOnMarket !== null && String(filters.daysOnMarket) !== 'any') {
+            const days = String(filters.daysOnMarket);
+            if (!DAYS_ON_MARKET.includes(days)) {
+                throw new Error(`Input error: searchFilters.daysOnMarket must be one of any, ${DAYS_ON_MARKET.join(', ')}.`);
+            }
+            model.daysOnMarket = days;
+        }
+
+        for (const flag of ['garage', 'singleStory', 'exclude55Plus']) {
+            if (filters[flag] === undefined || filters[flag] === null) continue;
+            if (typeof filters[flag] !== 'boolean') {
+                throw new Error(`Input error: searchFilters.${flag} must be true or false.`);
+            }
+            if (filters[flag]) model[flag] = true;
+        }
+
+        if (filters.basement !== undefined && filters.basement !== null) {
+            if (!BASEMENT_TYPES.includes(filters.basement)) {
+                throw new Error(`Input error: searchFilters.basement must be one of ${BASEMENT_TYPES.join(', ')}.`);
+            }
+            model.basement = filters.basement;
+        }
+
+        if (filters.sort !== undefined && filters.sort !== null) {
+            if (!SORT_ORDERS[filters.sort]) {
+                throw new Error(`Input error: searchFilters.sort must be one of ${Object.keys(SORT_ORDERS).join(', ')}.`);
+            }
+            model.sort = filters.sort;
+        }
+
+        if (filters.distress !== undefined && filters.distress !== null) {
+            const distress = [].concat(filters.distress);
+            const invalid = distress.filter(type => !DISTRESS_TYPES[type]);
+            if (invalid.length > 0) {
+                throw new Error(`Input error: unknown searchFilters.distress ${invalid.join(', ')}. Use ${Object.keys(DISTRESS_TYPES).join(', ')}.`);
+            }
+            if (distress.length > 0) model.distress = Object.keys(DISTRESS_TYPES).filter(type => distress.includes(type));
+        }
+
+        // Free-text listing keywords; a list is one OR-batch
+        if (filters.keywords !== undefined && filters.keywords !== null) {
+            const keywords = [].concat(filters.keywords).map(keyword => String(keyword).trim()).filter(Boolean);
+            if (keywords.length > 0) model.keywords = keywords.join(', ');
+        }
+
+        return model;
+    }
+
+    setBound(model, name, bound, value, field) {
+        const number = Number(value);
+        if (value === '' || typeof value === 'boolean' || !Number.isFinite(number) || number < 0) {
+            throw new Error(`Input error: searchFilters.${field} must be a non-negative number.`);
+        }
+        model[name] = { ...(model[name] || {}), [bound]: number };
+    }
+
+    /**
+     * `propertyType` (one type, as in the input schema) or `propertyTypes` (a list); 'all' means no filter
+     */
+    normalizePropertyTypes(filters) {
+        if (filters.propertyType !== undefined && filters.propertyTypes !== undefined) {
+            throw new Error(`Input error: use either searchFilters.propertyType or searchFilters.propertyTypes, not both.`);
+        }
+
+        const value = filters.propertyTypes ?? filters.propertyType;
+        if (value === undefined || value === null) return null;
+
+        const types = [].concat(value);
+        if (types.includes('all')) return null;
+
+        const invalid = types.filter(type => !PROPERTY_TYPES[type]);
+        if (invalid.length > 0) {
+            throw new Error(`Input error: unknown property type ${invalid.map(type => `'${type}'`).join(', ')}. Use all, ${Object.keys(PROPERTY_TYPES).join(', ')}.`);
+        }
+
+        // Stable order, so equal filters always compile to the same URL
+        const selected = Object.keys(PROPERTY_TYPES).filter(type => types.includes(type));
+        return selected.length > 0 && selected.length < Object.keys(PROPERTY_TYPES).length ? selected : null;
+    }
+
+    /**
+     * Compile filters (validated first) to Zillow's filterState
+     */
+    toFilterState(filters = {}) {
+        const model = this.normalize(filters);
+        const filterState = {};
+
+        for (const [name, { key }] of Object.entries(RANGE_FILTERS)) {
+            if (model[name]) filterState[key] = { ...model[name] };
+        }
+
+        if (model.propertyTypes) {
+            for (const [type, key] of Object.entries(PROPERTY_TYPES)) {
+                if (!model.propertyTypes.includes(type)) filterState[key] = { value: false };
+            }
+        }
+
+        if (model.daysOnMarket) filterState.doz = { value: model.daysOnMarket };
+        if (model.garage) filterState.hasGarage = { value: true };
+        if (model.singleStory) filterState.singleStory = { value: true };
+        if (model.exclude55Plus) filterState.ageRestricted55Plus = { value: 'e' };
+
+        if (model.basement) {
+            if (model.basement !== 'unfinished') filterState.isBasementFinished = { value: true };
+            if (model.basement !== 'finished') filterState.isBasementUnfinished = { value: true };
+        }
+
+        if (model.sort) filterState.sortSelection = { value: SORT_ORDERS[model.sort] };
+
+        for (const type of model.distress || []) {
+            filterState[DISTRESS_TYPES[type]] = { value: true };
+        }
+
+        if (model.keywords) filterState.att = { value: model.keywords };
+
+        return filterState;
+    }
+
+    /**
+     * Decode a Zillow filterState into the model; listing-type switches are left to the URL generator
+     * and keys this model cannot express are returned in `unsupported`
+     */
+    fromFilterState(filterState = {}) {
+        const filters = {};
+        const unsupported = [];
+        const handled = new Set(LISTING_TYPE_KEYS);
+
+        for (const [name, { key, bounds }] of Object.entries(RANGE_FILTERS)) {
+            const range = filterState[key];
+            if (!range) continue;
+            handled.add(key);
+            for (const bound of bounds) {
+                if (range[bound] !== undefined && range[bound] !== null) {
+                    filters[name] = { ...(filters[name] || {}), [bound]: Number(range[bound]) };
+                }
+            }
+        }
+
+        const excludedTypes = Object.entries(PROPERTY_TYPES).filter(([, key]) => filterState[key]?.value === false);
+        Object.values(PROPERTY_TYPES).forEach(key => handled.add(key));
+        if (excludedTypes.length > 0) {
+            filters.propertyTypes = Object.keys(PROPERTY_TYPES).filter(type => !excludedTypes.some(([excluded]) => excluded === type));
+        }
+
+        const flags = {
+            doz: () => { filters.daysOnMarket = String(filterState.doz.value); },
+            att: () => { filters.keywords = filterState.att.value; },
+            hasGarage: () => { if (filterState.hasGarage.value) filters.garage = true; },
+            singleStory: () => { if (filterState.singleStory.value) filters.singleStory = true; },
+            ageRestricted55Plus: () => { if (filterState.ageRestricted55Plus.value === 'e') filters.exclude55Plus = true; },
+            sortSelection: () => {
+                const sort = Object.keys(SORT_ORDERS).find(name => SORT_ORDERS[name] === filterState.sortSelection.value);
+                if (sort) filters.sort = sort;
+                else unsupported.push('sortSelection');
+            }
+        };
+        for (const [key, decode] of Object.entries(flags)) {
+            if (filterState[key] === undefined) continue;
+            handled.add(key);
+            decode();
+        }
+
+        const finished = filterState.isBasementFinished?.value === true;
+        const unfinished = filterState.isBasementUnfinished?.value === true;
+        handled.add('isBasementFinished').add('isBasementUnfinished');
+        if (finished || unfinished) {
+            filters.basement = finished && unfinished ? 'any' : finished ? 'finished' : 'unfinished';
+        }
+
+        const distress = Object.keys(DISTRESS_TYPES).filter(type => filterState[DISTRESS_TYPES[type]]?.value === true);
+        Object.values(DISTRESS_TYPES).forEach(key => handled.add(key));
+        if (distress.length > 0) filters.distress = distress;
+
+        unsupported.push(...Object.keys(filterState).filter(key => !handled.has(key)));
+
+        return { filters: this.normalize(filters), unsupported };
+    }
+}
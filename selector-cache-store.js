@@ -0,0 +1,142 @@
+import { Actor } from 'apify';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SELECTOR_CACHE_SCHEMA_VERSION = 1;
+
+/**
+ * Selector Cache Store
+ * Persists learned selectors between runs in a named key-value store (on the Apify platform)
+ * or a local JSON file (everywhere else)
+ */
+export class SelectorCacheStore {
+    constructor(options = {}) {
+        this.storeName = options.storeName || 'zillow-selector-cache';
+        this.recordKey = options.recordKey || 'SELECTOR_CACHE';
+        this.filePath = options.filePath || path.join(process.cwd(), 'storage', 'selector-cache.json');
+        this.useKeyValueStore = options.useKeyValueStore ?? Actor.isAtHome();
+
+        // Expiry policy: entries unused for maxAgeDays are dropped, AI-learned ones are kept longer
+        this.maxAgeDays = options.maxAgeDays ?? 30;
+        this.aiMaxAgeDays = options.aiMaxAgeDays ?? this.maxAgeDays * 3;
+        this.maxEntries = options.maxEntries || 500;
+    }
+
+    /**
+     * Load persisted entries into a Map keyed by cache key
+     */
+    async load() {
+        try {
+            const data = this.useKeyValueStore ?
+                await this.loadFromKeyValueStore() :
+                await this.loadFromFile();
+            return this.deserialize(data);
+        } catch (error) {
+            console.warn(`Could not load selector cache: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    /**
+     * Persist the given cache Map
+     */
+    async save(cache) {
+        const data = this.serialize(cache);
+
+        try {
+            if (this.useKeyValueStore) {
+                const store = await Actor.openKeyValueStore(this.storeName);
+                await store.setValue(this.recordKey, data);
+            } else {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, JSON.stringify(data, null, 2), 'utf8');
+            }
+        } catch (error) {
+            console.warn(`Could not save selector cache: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    async loadFromKeyValueStore() {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        return store.getValue(this.recordKey);
+    }
+
+    async loadFromFile() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a stored record into a cache Map, dropping stale and incompatible entries
+     */
+    deserialize(data, now = Date.now()) {
+        const cache = new Map();
+        if (!data || data.schemaVersion !== SELECTOR_CACHE_SCHEMA_VERSION || !data.entries) {
+            return cache;
+        }
+
+        for (const [key, entry] of Object.entries(data.entries)) {
+            if (!entry || !entry.selector || this.isExpired(entry, now)) continue;
+            cache.set(key, { ...entry, schemaVersion: SELECTOR_CACHE_SCHEMA_VERSION });
+        }
+
+        return cache;
+    }
+
+    /**
+     * Turn a cache Map into a storable record, keeping the most recently successful entries
+     */
+    serialize(cache, now = Date.now()) {
+        const entries = [...cache.entries()]
+            .map(([key, entry]) => [key, this.toEntry(entry, now)])
+            .filter(([, entry]) => !this.isExpired(entry, now))
+            .sort(([, a], [, b]) => Date.parse(b.lastSuccessAt) - Date.parse(a.lastSuccessAt))
+            .slice(0, this.maxEntries);
+
+        return {
+            schemaVersion: SELECTOR_CACHE_SCHEMA_VERSION,
+            savedAt: new Date(now).toISOString(),
+            entries: Object.fromEntries(entries)
+        };
+    }
+
+    /**
+     * Normalize a cache value (plain selector strings are accepted for compatibility)
+     */
+    toEntry(value, now = Date.now()) {
+        const timestamp = new Date(now).toISOString();
+        if (typeof value === 'string') {
+            return {
+                selector: value,
+                source: 'hierarchy',
+                schemaVersion: SELECTOR_CACHE_SCHEMA_VERSION,
+                createdAt: timestamp,
+                lastSuccessAt: timestamp,
+                hitCount: 0
+            };
+        }
+
+        return {
+            schemaVersion: SELECTOR_CACHE_SCHEMA_VERSION,
+            createdAt: timestamp,
+            lastSuccessAt: timestamp,
+            hitCount: 0,
+            source: 'hierarchy',
+            ...value
+        };
+    }
+
+    isExpired(entry, now = Date.now()) {
+        const lastSuccess = Date.parse(entry.lastSuccessAt);
+        if (isNaN(lastSuccess)) return true;
+
+        const maxAgeDays = entry.source === 'ai' ? this.aiMaxAgeDays : this.maxAgeDays;
+        return now - lastSuccess > maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Session Tracker
+ * Session pool limits from the actor input, and per-session page, success and block counts.
+ * Crawlee's SessionPool keeps each session's cookie jar in its persisted state; with a named
+ * store the sessions and their cookies carry over to the next run
+ */
+
+export const SESSION_POOL_STATE_KEY = 'SESSION_POOL_STATE';
+
+const SESSION_LIMITS = ['maxPoolSize', 'maxUsageCount', 'maxErrorScore', 'maxAgeSecs'];
+
+export class SessionTracker {
+    constructor(options = {}) {
+        this.maxPoolSize = options.maxPoolSize ?? 20;
+        this.maxUsageCount = options.maxUsageCount ?? 50;
+        this.maxErrorScore = options.maxErrorScore ?? 3;
+        this.maxAgeSecs = options.maxAgeSecs ?? 3000;
+        this.storeName = options.storeName || null;
+
+        for (const limit of SESSION_LIMITS) {
+            if (!Number.isInteger(this[limit]) || this[limit] < 1) {
+                throw new Error(`Input error: sessionPool.${limit} must be a positive integer.`);
+            }
+        }
+
+        this.sessions = new Map();
+    }
+
+    /**
+     * `sessionPoolOptions` for the crawler; blocked status codes are left to the page classifier
+     * so that every block is counted and retires its session the same way
+     */
+    getPoolOptions() {
+        const poolOptions = {
+            maxPoolSize: this.maxPoolSize,
+            persistStateKey: SESSION_POOL_STATE_KEY,
+            blockedStatusCodes: [],
+            sessionOptions: {
+                maxUsageCount: this.maxUsageCount,
+                maxErrorScore: this.maxErrorScore,
+                maxAgeSecs: this.maxAgeSecs
+            }
+        };
+        if (this.storeName) poolOptions.persistStateKeyValueStoreId = this.storeName;
+        return poolOptions;
+    }
+
+    get(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, { sessionId, pages: 0, successes: 0, blocks: 0, retired: false, outcomes: {} });
+        }
+        return this.sessions.get(sessionId);
+    }
+
+    /**
+     * Count a classified page against the session that loaded it
+     */
+    record(session, outcome, { blocked = false } = {}) {
+        if (!session) return;
+
+        const entry = this.get(session.id);
+        entry.pages++;
+        entry.outcomes[outcome] = (entry.outcomes[outcome] || 0) + 1;
+        if (blocked) entry.blocks++;
+        else entry.successes++;
+    }
+
+    /**
+     * Throw the session away so the retry gets a new one (and, with a proxy, a new IP)
+     */
+    retire(session) {
+        if (!session) return;
+        session.retire();
+        this.get(session.id).retired = true;
+    }
+
+    /**
+     * Run report section: totals and one row per session
+     */
+    getReport() {
+        const rows = [...this.sessions.values()].map(entry => ({ ...entry, outcomes: { ...entry.outcomes } }));
+        return {
+            used: rows.length,
+            retired: rows.filter(row => row.retired).length,
+            pages: rows.reduce((sum, row) => sum + row.pages, 0),
+            blocks: rows.reduce((sum, row) => sum + row.blocks, 0),
+            sessions: rows
+        };
+    }
+
+    toJSON() {
+        return { sessions: [...this.sessions.values()] };
+    }
+
+    restore(state) {
+        this.sessions.clear();
+        for (const entry of state?.sessions || []) {
+            this.sessions.set(entry.sessionId, { ...entry, outcomes: { ...entry.outcomes } });
+        }
+        return this;
+    }
+}
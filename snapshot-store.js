@@ -0,0 +1,161 @@
+import { Actor } from 'apify';
+import * as cheerio from 'cheerio';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { EmbeddedDataExtractor } from './embedded-data-extractor.js';
+
+const MANIFEST_KEY = 'MANIFEST';
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Snapshot Store for Offline Replay
+ * Saves visited pages as HTML (capture) and serves them back to the crawler (replay),
+ * backed by a local directory or a named key-value store
+ */
+export class SnapshotStore {
+    constructor(options = {}) {
+        this.directory = options.directory ? path.resolve(options.directory) : null;
+        this.keyValueStoreName = options.keyValueStoreName || (this.directory ? null : 'zillow-snapshots');
+        this.embeddedExtractor = new EmbeddedDataExtractor();
+        this.entries = new Map();
+        this.store = null;
+    }
+
+    /**
+     * Load the snapshot manifest (or infer one from bare HTML files in a directory)
+     */
+    async load() {
+        this.entries.clear();
+
+        const manifest = await this.readManifest();
+        if (manifest && Array.isArray(manifest.entries)) {
+            for (const entry of manifest.entries) {
+                this.entries.set(entry.key, entry);
+            }
+        } else if (this.directory) {
+            for (const fileName of await fs.readdir(this.directory)) {
+                if (!fileName.endsWith('.html')) continue;
+                const html = await fs.readFile(path.join(this.directory, fileName), 'utf8');
+                const entry = this.inferEntry(fileName, html);
+                this.entries.set(entry.key, entry);
+            }
+        }
+
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Save one visited page
+     */
+    async save({ url, label, userData = {}, html }) {
+        const key = this.getSnapshotKey(url, label);
+        const { replayKey, ...storedUserData } = userData;
+
+        if (this.directory) {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(path.join(this.directory, `${key}.html`), html, 'utf8');
+        } else {
+            const store = await this.openStore();
+            await store.setValue(key, html, { contentType: 'text/html; charset=utf-8' });
+        }
+
+        const entry = { key, url, label, userData: storedUserData, capturedAt: new Date().toISOString() };
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Write the manifest describing every saved snapshot
+     */
+    async saveManifest() {
+        const manifest = {
+            createdAt: new Date().toISOString(),
+            entries: [...this.entries.values()]
+        };
+
+        if (this.directory) {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(path.join(this.directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+        } else {
+            const store = await this.openStore();
+            await store.setValue(MANIFEST_KEY, manifest);
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Read the HTML for a snapshot key
+     */
+    async getHtml(key) {
+        const entry = this.entries.get(key);
+
+        if (this.directory) {
+            const fileName = entry?.fileName || `${key}.html`;
+            return fs.readFile(path.join(this.directory, fileName), 'utf8');
+        }
+
+        const store = await this.openStore();
+        const value = await store.getValue(key);
+        return Buffer.isBuffer(value) ? value.toString('utf8') : value;
+    }
+
+    /**
+     * Find the snapshot captured for a URL, if any
+     */
+    findByUrl(url) {
+        for (const entry of this.entries.values()) {
+            if (entry.url === url) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Build a manifest entry for an HTML file saved without one
+     */
+    inferEntry(fileName, html) {
+        const $ = cheerio.load(html);
+        const canonicalUrl = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+        const isDetail = canonicalUrl ?
+            canonicalUrl.includes('/homedetails/') :
+            Boolean(this.embeddedExtractor.parseDetailHtml(html));
+
+        return {
+            key: fileName.replace(/\.html$/, ''),
+            fileName,
+            url: canonicalUrl || `https://www.zillow.com/replay/${encodeURIComponent(fileName)}`,
+            label: isDetail ? 'DETAIL' : 'SEARCH_PAGE',
+            userData: { source: 'replay' }
+        };
+    }
+
+    /**
+     * Stable, key-value-store-safe key for a captured page
+     */
+    getSnapshotKey(url, label = 'PAGE') {
+        const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+        return `${label.toLowerCase()}-${hash}`;
+    }
+
+    async readManifest() {
+        if (this.directory) {
+            try {
+                return JSON.parse(await fs.readFile(path.join(this.directory, MANIFEST_FILE), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+
+        const store = await this.openStore();
+        return store.getValue(MANIFEST_KEY);
+    }
+
+    async openStore() {
+        if (!this.store) {
+            this.store = await Actor.openKeyValueStore(this.keyValueStoreName);
+        }
+        return this.store;
+    }
+}
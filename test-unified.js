@@ -2,6 +2,31 @@ import { Actor } from 'apify';
 import { PuppeteerCrawler } from 'crawlee';
 import { UnifiedSelectorManager } from './unified-selector-manager.js';
 import { URLGenerator } from './url-generator.js';
+import { EmbeddedDataExtractor } from './embedded-data-extractor.js';
+import { SelectorCacheStore, SELECTOR_CACHE_SCHEMA_VERSION } from './selector-cache-store.js';
+import { SnapshotStore } from './snapshot-store.js';
+import { DealAnalyzer } from './deal-analyzer.js';
+import { KeywordEngine } from './keyword-engine.js';
+import { PropertyRegistry } from './property-registry.js';
+import { DeltaTracker } from './delta-tracker.js';
+import { RentMarket } from './rent-market.js';
+import { CompsSelector } from './comps-selector.js';
+import { LocationResolver } from './location-resolver.js';
+import { MapTiler } from './map-tiler.js';
+import { SearchCoverage } from './search-coverage.js';
+import { SearchFilters } from './search-filters.js';
+import { PropertyNormalizer, PROPERTY_SCHEMA_VERSION } from './property-normalizer.js';
+import { ResultExporter } from './result-exporter.js';
+import { WebhookDispatcher } from './webhook-dispatcher.js';
+import { RunReport } from './run-report.js';
+import { PageClassifier, PAGE_OUTCOMES } from './page-classifier.js';
+import { SessionTracker, SESSION_POOL_STATE_KEY } from './session-tracker.js';
+import { ThrottleController } from './throttle-controller.js';
+import { PageReadiness, SEARCH_PAGE_SIZE } from './page-readiness.js';
+import { ResourceBlocker } from './resource-blocker.js';
+import { HttpDetailFetcher } from './http-detail-fetcher.js';
+import http from 'http';
+import crypto from 'crypto';
 
 /**
  * Comprehensive test script for the unified Zillow scraper
@@ -23,6 +48,74 @@ const testData = {
 
 const selectorManager = new UnifiedSelectorManager();
 const urlGenerator = new URLGenerator();
+const embeddedExtractor = new EmbeddedDataExtractor();
+const keywordEngine = new KeywordEngine({ customKeywords: ['roof leak'] });
+
+// Minimal detail page payload in the __NEXT_DATA__ / gdpClientCache layout
+const sampleDetailProperty = {
+    zpid: 123456789,
+    price: 249900,
+    bedrooms: 3,
+    bathrooms: 2,
+    livingArea: 1450,
+    lotAreaValue: 0.25,
+    lotAreaUnits: 'Acres',
+    yearBuilt: 1962,
+    homeType: 'SINGLE_FAMILY',
+    homeStatus: 'FOR_SALE',
+    zestimate: 265000,
+    rentZestimate: 1900,
+    latitude: 33.4484,
+    longitude: -112.074,
+    description: 'Handyman special, sold as-is. Bring your contractor!',
+    address: { streetAddress: '123 Main St', city: 'Phoenix', state: 'AZ', zipcode: '85001' },
+    responsivePhotos: [
+        { mixedSources: { jpeg: [
+            { url: 'https://photos.zillowstatic.com/fp/a-cc_ft_384.jpg', width: 384 },
+            { url: 'https://photos.zillowstatic.com/fp/a-cc_ft_1536.jpg', width: 1536 }
+        ] } }
+    ],
+    attributionInfo: { agentName: 'Jane Agent', agentPhoneNumber: '555-123-4567', brokerName: 'Acme Realty' }
+};
+
+// Search page payload with cat1.searchResults.listResults
+const sampleSearchResults = [
+    {
+        zpid: '111',
+        detailUrl: '/homedetails/1-Oak-St-Phoenix-AZ-85001/111_zpid/',
+        address: '1 Oak St, Phoenix, AZ 85001',
+        price: '$199,000',
+        unformattedPrice: 199000,
+        beds: 2,
+        baths: 1,
+        area: 980,
+        latLong: { latitude: 33.45, longitude: -112.07 },
+        statusType: 'FOR_SALE',
+        hdpData: { homeInfo: { zpid: 111, daysOnZillow: 42, homeType: 'SINGLE_FAMILY' } }
+    },
+    {
+        zpid: '222',
+        detailUrl: 'https://www.zillow.com/homedetails/2-Elm-St-Phoenix-AZ-85001/222_zpid/',
+        address: '2 Elm St, Phoenix, AZ 85001',
+        price: '$310,500',
+        beds: 3,
+        baths: 2,
+        area: 1600,
+        statusType: 'FOR_SALE'
+    }
+];
+
+function buildSearchHtml(listResults, totalResultCount) {
+    const searchPageState = { cat1: { searchResults: { listResults }, searchList: { totalResultCount } } };
+    const nextData = { props: { pageProps: { searchPageState } } };
+    return `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script></body></html>`;
+}
+
+function buildDetailHtml(property) {
+    const cache = { 'ForSaleShopperPlatformFullRenderQuery{"zpid":123456789}': { property } };
+    const nextData = { props: { pageProps: { componentProps: { gdpClientCache: JSON.stringify(cache) } } } };
+    return `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script></body></html>`;
+}
 
 async function runUnifiedTests() {
     console.log('🧪 Starting Unified Zillow Scraper Tests...\n');
@@ -52,6 +145,75 @@ async function runUnifiedTests() {
         // Test 8: Error Handling
         await testErrorHandling();
         
+        // Test 9: Embedded JSON Extraction
+        await testEmbeddedExtraction();
+        
+        // Test 10: Selector Cache Persistence
+        await testSelectorCachePersistence();
+        
+        // Test 11: Replay Snapshots
+        await testReplaySnapshots();
+        
+        // Test 12: Deal Analysis
+        await testDealAnalysis();
+        
+        // Test 13: Keyword Engine
+        await testKeywordEngine();
+        
+        // Test 14: Property Deduplication
+        await testPropertyDeduplication();
+        
+        // Test 15: Delta Tracking
+        await testDeltaTracking();
+        
+        // Test 16: Listing Types and Rent Market
+        await testRentMarket();
+        
+        // Test 17: Sold Comps
+        await testSoldComps();
+        
+        // Test 18: Location Searches
+        await testLocationSearches();
+        
+        // Test 19: Map Tiling
+        await testMapTiling();
+        
+        // Test 20: Search Filters
+        await testSearchFilters();
+        
+        // Test 21: Keyword Searches
+        await testKeywordSearches();
+        
+        // Test 22: Output Schema
+        await testOutputSchema();
+        
+        // Test 23: Result Export
+        await testResultExport();
+        
+        // Test 24: Webhook Delivery
+        await testWebhookDelivery();
+        
+        // Test 25: Run Report
+        await testRunReport();
+        
+        // Test 26: Page Classification
+        await testPageClassification();
+        
+        // Test 27: Session Pool
+        await testSessionPool();
+        
+        // Test 28: Adaptive Throttling
+        await testAdaptiveThrottling();
+        
+        // Test 29: Page Readiness
+        await testPageReadiness();
+        
+        // Test 30: Resource Blocking
+        await testResourceBlocking();
+        
+        // Test 31: Hybrid Detail Fetching
+        await testHybridDetailFetching();
+        
         console.log('\n🎉 All unified tests completed!');
         generateTestReport();
         
@@ -430,6 +592,1938 @@ async function testErrorHandling() {
     runTestSuite('Error Handling', tests);
 }
 
+async function testEmbeddedExtraction() {
+    console.log('\n🧬 Testing Embedded JSON Extraction...\n');
+    
+    const tests = [
+        {
+            name: 'Detail Record from __NEXT_DATA__',
+            test: () => {
+                const record = embeddedExtractor.parseDetailHtml(buildDetailHtml(sampleDetailProperty), 'https://www.zillow.com/homedetails/123-Main-St/123456789_zpid/');
+                return record.zpid === '123456789' &&
+                       record.price === 249900 &&
+                       record.beds === 3 && record.baths === 2 &&
+                       record.sqft === 1450 &&
+                       record.yearBuilt === 1962 &&
+                       record.zestimate === 265000 &&
+                       record.rentZestimate === 1900 &&
+                       record.address === '123 Main St, Phoenix, AZ 85001' &&
+                       record.extractionSource === 'embedded-json';
+            }
+        },
+        {
+            name: 'Lot Size Converted to Square Feet',
+            test: () => {
+                const record = embeddedExtractor.parseDetailHtml(buildDetailHtml(sampleDetailProperty));
+                return record.lotSize === 10890;
+            }
+        },
+        {
+            name: 'Largest Photo and Attribution',
+            test: () => {
+                const record = embeddedExtractor.parseDetailHtml(buildDetailHtml(sampleDetailProperty));
+                return record.images.length === 1 &&
+                       record.images[0].endsWith('1536.jpg') &&
+                       record.agentName === 'Jane Agent' &&
+                       record.brokerName === 'Acme Realty';
+            }
+        },
+        {
+            name: 'Apollo Cache Layout',
+            test: () => {
+                const apollo = { apiCache: JSON.stringify({ 'VariantQuery{"zpid":1}': { property: { zpid: 1, price: 100000 } } }) };
+                const html = `<script id="hdpApolloPreloadedData" type="application/json">${JSON.stringify(apollo)}</script>`;
+                const record = embeddedExtractor.parseDetailHtml(html);
+                return record.zpid === '1' && record.price === 100000;
+            }
+        },
+        {
+            name: 'Search Results from Search State',
+            test: () => {
+                const searchPage = embeddedExtractor.parseSearchHtml(buildSearchHtml(sampleSearchResults, 812));
+                const [first, second] = searchPage.results;
+                return searchPage.totalResultCount === 812 &&
+                       searchPage.results.length === 2 &&
+                       first.zpid === '111' &&
+                       first.url === 'https://www.zillow.com/homedetails/1-Oak-St-Phoenix-AZ-85001/111_zpid/' &&
+                       first.price === 199000 && first.sqft === 980 &&
+                       first.latitude === 33.45 && first.daysOnZillow === 42 &&
+                       first.statusType === 'FOR_SALE' &&
+                       second.price === 310500 &&
+                       first.extractionMethod === 'search-state';
+            }
+        },
+        {
+            name: 'Price and Tax History',
+            test: () => {
+                const property = {
+                    ...sampleDetailProperty,
+                    priceHistory: [
+                        { date: '2026-09-01', event: 'Price change', price: 249900, source: 'ARMLS' },
+                        { date: '2026-08-01', event: 'Price change', price: 265000, source: 'ARMLS' },
+                        { date: '2026-07-15', event: 'Listed for rent', price: 2100, postingIsRental: true },
+                        { date: '2026-06-01', event: 'Listed for sale', price: 289900, source: 'ARMLS' },
+                        { time: Date.UTC(2015, 4, 20), event: 'Sold', price: 155000, source: 'Public Record' }
+                    ],
+                    taxHistory: [
+                        { time: Date.UTC(2024, 0, 1), taxPaid: 1650.25, value: 180000 },
+                        { time: Date.UTC(2025, 0, 1), taxPaid: 1702.1, value: 192300 }
+                    ]
+                };
+                const details = embeddedExtractor.parseDetailHtml(buildDetailHtml(property));
+                return details.priceHistory.length === 5 &&
+                       details.priceHistory[0].date === '2026-09-01' &&
+                       details.priceHistory[4].date === '2015-05-20' &&
+                       details.priceHistory[4].source === 'Public Record' &&
+                       details.taxHistory[0].year === 2025 &&
+                       details.taxHistory[0].assessedValue === 192300 &&
+                       details.priceCutCount === 2 &&
+                       details.totalPriceReductionPct === 13.8 &&
+                       details.lastSoldPrice === 155000 &&
+                       details.lastSoldDate === '2015-05-20' &&
+                       details.listToAssessedRatio === 1.3;
+            }
+        },
+        {
+            name: 'Missing History Leaves Fields Out',
+            test: () => {
+                const details = embeddedExtractor.parseDetailHtml(buildDetailHtml(sampleDetailProperty));
+                return details.priceHistory === undefined &&
+                       details.priceCutCount === undefined &&
+                       details.listToAssessedRatio === undefined;
+            }
+        },
+        {
+            name: 'Legacy Search Store Layout',
+            test: () => {
+                const state = { cat1: { searchResults: { listResults: sampleSearchResults.slice(0, 1) }, searchList: { totalResultCount: 1 } } };
+                const html = `<script type="application/json" data-zrr-shared-data-key="mobileSearchPageStore"><!--${JSON.stringify(state)}--></script>`;
+                const searchPage = embeddedExtractor.parseSearchHtml(html);
+                return searchPage.results.length === 1 && searchPage.results[0].zpid === '111';
+            }
+        },
+        {
+            name: 'Missing or Broken Payload Returns Null',
+            test: () => {
+                const broken = '<script id="__NEXT_DATA__" type="application/json">{not json</script>';
+                return embeddedExtractor.parseDetailHtml('<html><body></body></html>') === null &&
+                       embeddedExtractor.parseSearchHtml('<html><body></body></html>') === null &&
+                       embeddedExtractor.parseDetailHtml(broken) === null &&
+                       embeddedExtractor.parseDetailHtml('') === null;
+            }
+        }
+    ];
+    
+    runTestSuite('Embedded JSON Extraction', tests);
+}
+
+async function testSelectorCachePersistence() {
+    console.log('\n💾 Testing Selector Cache Persistence...\n');
+    
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2025-07-26T00:00:00.000Z');
+    const store = new SelectorCacheStore({ useKeyValueStore: false, maxAgeDays: 30 });
+    
+    const tests = [
+        {
+            name: 'Serialize and Deserialize Round Trip',
+            test: () => {
+                const cache = new Map([
+                    ['detail-price-www.zillow.com/homedetails/ZPID', {
+                        selector: 'span[data-testid="price"]',
+                        source: 'hierarchy',
+                        createdAt: new Date(now - day).toISOString(),
+                        lastSuccessAt: new Date(now).toISOString(),
+                        hitCount: 12
+                    }]
+                ]);
+                const restored = store.deserialize(store.serialize(cache, now), now);
+                const entry = restored.get('detail-price-www.zillow.com/homedetails/ZPID');
+                return restored.size === 1 &&
+                       entry.selector === 'span[data-testid="price"]' &&
+                       entry.hitCount === 12 &&
+                       entry.schemaVersion === SELECTOR_CACHE_SCHEMA_VERSION;
+            }
+        },
+        {
+            name: 'Expired Entries Are Dropped',
+            test: () => {
+                const stale = { selector: '.old', source: 'hierarchy', lastSuccessAt: new Date(now - 45 * day).toISOString() };
+                const staleAi = { selector: '.ai', source: 'ai', lastSuccessAt: new Date(now - 45 * day).toISOString() };
+                return store.isExpired(stale, now) && !store.isExpired(staleAi, now);
+            }
+        },
+        {
+            name: 'Incompatible Schema Version Is Ignored',
+            test: () => {
+                const data = { schemaVersion: SELECTOR_CACHE_SCHEMA_VERSION + 1, entries: { key: { selector: '.x', lastSuccessAt: new Date(now).toISOString() } } };
+                return store.deserialize(data, now).size === 0 && store.deserialize(null, now).size === 0;
+            }
+        },
+        {
+            name: 'Cache Hits Update Entry Metadata',
+            test: () => {
+                const manager = new UnifiedSelectorManager();
+                manager.cacheSelector('detail-beds-test', 'span[data-testid="bed-count"]', 'ai');
+                manager.recordCacheHit('detail-beds-test');
+                manager.recordCacheHit('detail-beds-test');
+                const entry = manager.selectorCache.get('detail-beds-test');
+                return entry.hitCount === 2 && entry.source === 'ai' &&
+                       manager.getCachedSelector('detail-beds-test') === 'span[data-testid="bed-count"]';
+            }
+        }
+    ];
+    
+    runTestSuite('Selector Cache Persistence', tests);
+}
+
+async function testReplaySnapshots() {
+    console.log('\n📼 Testing Replay Snapshots...\n');
+    
+    const snapshotStore = new SnapshotStore({ directory: 'replay-fixtures' });
+    
+    // A bare detail HTML file (no canonical link) replayed at its inferred /replay/ URL
+    const bareDetail = snapshotStore.inferEntry('bare-detail.html', buildDetailHtml(sampleDetailProperty));
+    const replayPage = { evaluate: async () => ({ title: 'Zillow', headings: '', shortText: '', emptyText: '', hasCaptcha: false, listingCount: 0 }), url: () => bareDetail.url };
+    const classifier = new PageClassifier();
+    const replayedOutcome = await classifier.inspect(replayPage, { pageType: 'detail', replay: true });
+    const liveOutcome = await classifier.inspect(replayPage, { pageType: 'detail' });
+    
+    const tests = [
+        {
+            name: 'Stable Snapshot Keys',
+            test: () => {
+                const url = 'https://www.zillow.com/homedetails/123-Main-St/123456789_zpid/';
+                const key = snapshotStore.getSnapshotKey(url, 'DETAIL');
+                return key === snapshotStore.getSnapshotKey(url, 'DETAIL') &&
+                       key !== snapshotStore.getSnapshotKey(`${url}?x=1`, 'DETAIL') &&
+                       /^detail-[0-9a-f]{16}$/.test(key);
+            }
+        },
+        {
+            name: 'Infer Detail Page from Canonical URL',
+            test: () => {
+                const html = '<html><head><link rel="canonical" href="https://www.zillow.com/homedetails/1-Oak-St/111_zpid/"></head></html>';
+                const entry = snapshotStore.inferEntry('oak.html', html);
+                return entry.label === 'DETAIL' &&
+                       entry.key === 'oak' &&
+                       entry.url === 'https://www.zillow.com/homedetails/1-Oak-St/111_zpid/';
+            }
+        },
+        {
+            name: 'Infer Page Type from Embedded Payload',
+            test: () => {
+                const detail = snapshotStore.inferEntry('detail.html', buildDetailHtml(sampleDetailProperty));
+                const search = snapshotStore.inferEntry('search.html', buildSearchHtml(sampleSearchResults, 2));
+                return detail.label === 'DETAIL' && search.label === 'SEARCH_PAGE';
+            }
+        },
+        {
+            name: 'Detail Snapshot Without Canonical Link Replays',
+            test: () => bareDetail.label === 'DETAIL' && bareDetail.url.includes('/replay/') &&
+                replayedOutcome === 'ok' && classifier.getAction(replayedOutcome) === 'process' &&
+                liveOutcome === 'not_found'
+        },
+        {
+            name: 'Find Snapshot by URL',
+            test: () => {
+                snapshotStore.entries.set('search-abc', { key: 'search-abc', url: 'https://www.zillow.com/homes/for_sale/85001_rb/', label: 'SEARCH_PAGE' });
+                return snapshotStore.findByUrl('https://www.zillow.com/homes/for_sale/85001_rb/')?.key === 'search-abc' &&
+                       snapshotStore.findByUrl('https://www.zillow.com/homes/for_sale/99999_rb/') === null;
+            }
+        }
+    ];
+    
+    runTestSuite('Replay Snapshots', tests);
+}
+
+async function testDealAnalysis() {
+    console.log('\n💰 Testing Deal Analysis...\n');
+    
+    const property = { price: 150000, sqft: 1000, zestimate: 300000 };
+    
+    const tests = [
+        {
+            name: '70% Rule Maximum Allowable Offer',
+            test: () => {
+                const analyzer = new DealAnalyzer({ rehabTier: 'medium' });
+                const deal = analyzer.analyze(property);
+                // 300000 * 0.7 - 1000 * 35
+                return deal.arv === 300000 &&
+                       deal.estimatedRehab === 35000 &&
+                       deal.maxAllowableOffer === 175000 &&
+                       deal.spreadVsList === 25000;
+            }
+        },
+        {
+            name: 'Projected Profit Includes Holding and Closing Costs',
+            test: () => {
+                const analyzer = new DealAnalyzer({
+                    rehabTier: 'light',
+                    holdingMonths: 4,
+                    monthlyHoldingCostPct: 0.01,
+                    closingCostPct: 0.02,
+                    sellingCostPct: 0.05
+                });
+                const deal = analyzer.analyze(property);
+                // 300000 - 150000 - 15000 - 3000 - 6000 - 15000
+                return deal.projectedProfit === 111000;
+            }
+        },
+        {
+            name: 'Rehab Tier from Matched Keywords',
+            test: () => {
+                const analyzer = new DealAnalyzer();
+                const heavy = keywordEngine.analyze('Fire damage, sold as-is').matchedKeywords;
+                const medium = keywordEngine.analyze('Needs updating').matchedKeywords;
+                return analyzer.getRehabTier(heavy) === 'heavy' &&
+                       analyzer.getRehabTier(medium) === 'medium' &&
+                       analyzer.getRehabTier([]) === 'light';
+            }
+        },
+        {
+            name: 'Price per Sqft ARV Source',
+            test: () => {
+                const fixed = new DealAnalyzer({ arvSource: 'pricePerSqft', arvPricePerSqft: 250 });
+                const scaled = new DealAnalyzer({ arvSource: 'pricePerSqft', arvMultiplier: 1.5 });
+                return fixed.analyze(property).arv === 250000 && scaled.analyze(property).arv === 225000;
+            }
+        },
+        {
+            name: 'Minimum Spread Threshold',
+            test: () => {
+                const analyzer = new DealAnalyzer({ rehabTier: 'medium', minSpread: 30000 });
+                const deal = analyzer.analyze(property);
+                const unknown = analyzer.analyze({ price: 150000, sqft: 1000 });
+                return !analyzer.passesMinSpread(deal) &&
+                       unknown.maxAllowableOffer === null &&
+                       analyzer.passesMinSpread(unknown);
+            }
+        },
+        {
+            name: 'Invalid Assumptions Rejected',
+            test: () => {
+                try {
+                    new DealAnalyzer({ arvSource: 'guess' });
+                    return false;
+                } catch (error) {
+                    return error.message.includes('arvSource');
+                }
+            }
+        }
+    ];
+    
+    runTestSuite('Deal Analysis', tests);
+}
+
+async function testKeywordEngine() {
+    console.log('\n🧠 Testing Keyword Engine...\n');
+    
+    const keywordsOf = (text) => keywordEngine.analyze(text).matchedKeywords.map(match => match.keyword);
+    
+    const tests = [
+        {
+            name: 'Negated Phrases Do Not Match',
+            test: () => {
+                const analysis = keywordEngine.analyze('No mold, new roof, no repairs needed. This is not a fixer!');
+                return analysis.matchedKeywords.length === 0 &&
+                       analysis.distressScore === 0 &&
+                       analysis.negatedKeywords.map(match => match.keyword).join('|') === 'mold|repairs needed|fixer';
+            }
+        },
+        {
+            name: 'Negation Stays Within the Clause',
+            test: () => {
+                const matches = keywordsOf('No HOA, needs work throughout. Water damage repaired in 2020.');
+                return matches.length === 1 && matches[0] === 'needs work';
+            }
+        },
+        {
+            name: 'Overlapping Keywords Counted Once',
+            test: () => {
+                const matches = keywordsOf('Classic fixer-upper, sold as-is');
+                return matches.join('|') === 'fixer-upper|sold as-is';
+            }
+        },
+        {
+            name: 'Word Boundaries and Hyphen Variants',
+            test: () => {
+                return keywordsOf('Moldings and trim are original').length === 0 &&
+                       keywordsOf('A true fixer upper').join('|') === 'fixer-upper';
+            }
+        },
+        {
+            name: 'Weighted Score with Categories and Positions',
+            test: () => {
+                const analysis = keywordEngine.analyze('Motivated seller! Foundation is fine but needs foundation repair and has a roof leak.');
+                const [first, second, third] = analysis.matchedKeywords;
+                return analysis.distressScore === 3 + 5 + 2 &&
+                       first.category === 'seller-motivation' && first.position === 0 &&
+                       second.category === 'structural' &&
+                       third.keyword === 'roof leak' && third.category === 'custom';
+            }
+        },
+        {
+            name: 'Filter Modes Including minScore',
+            test: () => {
+                const analysis = keywordEngine.analyze('Handyman special, needs work');
+                const empty = keywordEngine.analyze('Move-in ready');
+                return keywordEngine.matchesFilter(analysis, 'any') &&
+                       !keywordEngine.matchesFilter(empty, 'any') &&
+                       keywordEngine.matchesFilter(empty, 'none') &&
+                       keywordEngine.matchesFilter(analysis, 'minScore', 7) &&
+                       !keywordEngine.matchesFilter(analysis, 'minScore', 8) &&
+                       !keywordEngine.matchesFilter(analysis, 'all');
+            }
+        },
+        {
+            name: 'All Mode Requires Only User Keywords',
+            test: () => {
+                const engine = new KeywordEngine({ customKeywords: ['roof leak', 'needs work', 'Corner Lot'] });
+                const allMatched = engine.analyze('Needs work: roof leak over the garage, on a corner lot');
+                const oneMissing = engine.analyze('Needs work and has a roof leak');
+                const fixer = new KeywordEngine({ customKeywords: ['fixer', 'as-is'] });
+                let rejected = false;
+                try {
+                    new KeywordEngine().validateFilterMode('all');
+                } catch (error) {
+                    rejected = error.message.startsWith('Input error');
+                }
+                return engine.matchesFilter(allMatched, 'all') &&
+                       !engine.matchesFilter(oneMissing, 'all') &&
+                       // 'fixer' sits inside the built-in 'fixer-upper' match
+                       fixer.matchesFilter(fixer.analyze('Classic fixer-upper, sold as-is'), 'all') &&
+                       !fixer.matchesFilter(fixer.analyze('Not a fixer, sold as-is'), 'all') &&
+                       rejected;
+            }
+        }
+    ];
+    
+    runTestSuite('Keyword Engine', tests);
+}
+
+async function testPropertyDeduplication() {
+    console.log('\n🧹 Testing Property Deduplication...\n');
+    
+    const house = { zpid: '111', url: 'https://www.zillow.com/homedetails/1-Oak-St/111_zpid/', price: 199000 };
+    
+    const tests = [
+        {
+            name: 'Same zpid Across Searches Registered Once',
+            test: () => {
+                const registry = new PropertyRegistry();
+                const first = registry.register({ ...house }, { zipCode: '85001', searchType: 'primary', searchPage: 1 });
+                const second = registry.register({ ...house }, { zipCode: '85001', searchType: 'under_200k', searchPage: 1 });
+                const third = registry.register({ ...house }, { zipCode: '85001', searchType: 'primary', searchPage: 1 });
+                return first.isNew && !second.isNew && !third.isNew && registry.size === 1;
+            }
+        },
+        {
+            name: 'Search Types and Pages Merged',
+            test: () => {
+                const registry = new PropertyRegistry();
+                registry.register({ ...house }, { searchType: 'primary', searchPage: 1 });
+                registry.register({ ...house, beds: 2 }, { searchType: 'long_market_90', searchPage: 2 });
+                const [record] = registry.getSearchRecords();
+                return record.searchTypes.join('|') === 'primary|long_market_90' &&
+                       record.searchPages.length === 2 &&
+                       record.searchPages[1].page === 2 &&
+                       record.beds === 2;
+            }
+        },
+        {
+            name: 'Detail Page Claimed Once',
+            test: () => {
+                const registry = new PropertyRegistry();
+                registry.register({ ...house });
+                return registry.claimDetail(house) === true &&
+                       registry.claimDetail({ ...house }) === false &&
+                       registry.getSearchRecords().length === 0;
+            }
+        },
+        {
+            name: 'State Survives Serialization',
+            test: () => {
+                const registry = new PropertyRegistry();
+                registry.register({ ...house }, { searchType: 'primary', searchPage: 1 });
+                const restored = new PropertyRegistry().restore(JSON.parse(JSON.stringify(registry)));
+                return restored.size === 1 && !restored.register({ ...house }).isNew;
+            }
+        }
+    ];
+    
+    runTestSuite('Property Deduplication', tests);
+}
+
+/**
+ * Test delta mode change detection
+ */
+async function testDeltaTracking() {
+    console.log('\n🔁 Testing Delta Tracking...\n');
+    
+    const normalizer = new PropertyNormalizer();
+    const house = { zpid: '111', url: 'https://www.zillow.com/homedetails/1-Oak-St/111_zpid/', price: 250000, homeStatus: 'FOR_SALE', description: 'Needs work.' };
+    const other = { zpid: '222', url: 'https://www.zillow.com/homedetails/2-Elm-St/222_zpid/', price: 180000, homeStatus: 'FOR_SALE' };
+    
+    // Fingerprints as saved by a previous run in which both houses came from the primary 85001 search
+    const previousRun = () => {
+        const tracker = new DeltaTracker();
+        for (const record of [house, other]) {
+            tracker.markSeen(record.zpid, 'zip:85001:primary');
+            tracker.classify({ ...record });
+        }
+        return JSON.parse(JSON.stringify(tracker.serialize()));
+    };
+    
+    const tests = [
+        {
+            name: 'Unknown zpid Is New',
+            test: () => new DeltaTracker().classify({ ...house }).changeType === 'new'
+        },
+        {
+            name: 'Price Drop and Increase',
+            test: () => {
+                const tracker = new DeltaTracker().restore(previousRun());
+                const drop = tracker.classify({ ...house, price: 235000 });
+                const increase = tracker.classify({ ...other, price: 190000 });
+                return drop.changeType === 'price_drop' && drop.previousPrice === 250000 && drop.priceChange === -15000 &&
+                       increase.changeType === 'price_increase';
+            }
+        },
+        {
+            name: 'Status and Description Changes',
+            test: () => {
+                const tracker = new DeltaTracker().restore(previousRun());
+                const status = tracker.classify({ ...house, homeStatus: 'PENDING' });
+                const description = tracker.classify({ ...house, description: 'Fully renovated.' });
+                return status.changeType === 'status_change' && status.previousStatus === 'FOR_SALE' &&
+                       description.changeType === 'description_changed';
+            }
+        },
+        {
+            name: 'Unchanged Ignores Missing Fields',
+            test: () => {
+                const tracker = new DeltaTracker().restore(previousRun());
+                // Search records have no description; whitespace and case do not change the hash
+                const searchOnly = tracker.classify({ zpid: '111', price: 250000, statusType: 'FOR_SALE' });
+                const reformatted = tracker.classify({ ...house, description: '  NEEDS   work. ' });
+                return searchOnly.changeType === 'unchanged' && reformatted.changeType === 'unchanged';
+            }
+        },
+        {
+            name: 'Status Vocabulary and UNKNOWN Are Not Changes',
+            test: () => {
+                // Raw Zillow values saved by an older run vs canonical statuses of normalized records
+                const tracker = new DeltaTracker().restore({ fingerprints: {
+                    111: { price: 250000, status: 'RECENTLY_SOLD' },
+                    222: { price: 180000, status: 'UNKNOWN' }
+                } });
+                const sold = tracker.classify(normalizer.normalize({ zpid: '111', price: 250000, homeStatus: 'SOLD' }));
+                const resolved = tracker.classify(normalizer.normalize({ zpid: '222', price: 180000, homeStatus: 'FOR_SALE' }));
+                const unknown = tracker.classify(normalizer.normalize({ zpid: '222', price: 180000 }));
+                return sold.changeType === 'unchanged' && resolved.changeType === 'unchanged' &&
+                       unknown.changeType === 'unchanged' && tracker.current.get('222').status === 'FOR_SALE';
+            }
+        },
+        {
+            name: 'Removed Only From Completed Searches',
+            test: () => {
+                const incomplete = new DeltaTracker().restore(previousRun());
+                incomplete.markSeen('111', 'zip:85001:primary');
+                
+                const complete = new DeltaTracker().restore(previousRun());
+                complete.markSeen('111', 'zip:85001:primary');
+                complete.markSearchComplete('zip:85001:primary');
+                
+                const failed = new DeltaTracker().restore(previousRun());
+                failed.markSearchComplete('zip:85001:primary');
+                failed.markSearchFailed('zip:85001:primary');
+                
+                const removed = complete.getRemoved();
+                return incomplete.getRemoved().length === 0 &&
+                       removed.length === 1 && removed[0].zpid === '222' && removed[0].changeType === 'removed' &&
+                       failed.getRemoved().length === 0;
+            }
+        },
+        {
+            name: 'Saved State Carries Over Unseen Listings',
+            test: () => {
+                const tracker = new DeltaTracker().restore(previousRun());
+                tracker.markSeen('111', 'zip:85002:primary');
+                tracker.classify({ ...house, price: 240000 });
+                const { fingerprints } = tracker.serialize();
+                return fingerprints['111'].price === 240000 &&
+                       fingerprints['111'].searchKeys.join('|') === 'zip:85002:primary' &&
+                       fingerprints['222'].price === 180000;
+            }
+        },
+        {
+            name: 'Run State Survives Serialization',
+            test: () => {
+                const tracker = new DeltaTracker();
+                tracker.markSeen('111', 'zip:85001:primary');
+                tracker.markSearchComplete('zip:85001:primary');
+                const restored = new DeltaTracker()
+                    .restore(previousRun())
+                    .restoreRunState(JSON.parse(JSON.stringify(tracker.getRunState())));
+                return restored.getRemoved().map(record => record.zpid).join('|') === '222';
+            }
+        }
+    ];
+    
+    runTestSuite('Delta Tracking', tests);
+}
+
+/**
+ * Test listing-type URLs, pagination and rent/yield estimates
+ */
+async function testRentMarket() {
+    console.log('\n🏘️ Testing Listing Types and Rent Market...\n');
+    
+    const getSearchState = (url) => JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+    const rentals = [
+        { price: '$1,800/mo', beds: 3 },
+        { price: 2000, beds: 3 },
+        { price: '$2,100/mo', beds: 3 },
+        { price: '$1,200/mo', beds: 1 },
+        { price: null, beds: 2 }
+    ];
+    
+    const tests = [
+        {
+            name: 'Listing Type URLs',
+            test: () => {
+                const rent = urlGenerator.generateSearchUrl('85001', {}, 1, 'for_rent');
+                const sold = urlGenerator.generateSearchUrl('85001', {}, 1, 'sold');
+                return urlGenerator.generateSearchUrl('85001').startsWith('https://www.zillow.com/homes/for_sale/') &&
+                       rent.startsWith('https://www.zillow.com/homes/for_rent/') &&
+                       getSearchState(rent).filterState.isForRent.value === true &&
+                       getSearchState(sold).filterState.isRecentlySold.value === true;
+            }
+        },
+        {
+            name: 'Unknown Listing Type Rejected',
+            test: () => {
+                try {
+                    urlGenerator.generateSearchUrl('85001', {}, 1, 'for_lease');
+                    return false;
+                } catch (error) {
+                    return error.message.startsWith('Input error');
+                }
+            }
+        },
+        {
+            name: 'Discovery URLs Carry Listing Type',
+            test: () => {
+                const urls = urlGenerator.generateDiscoveryUrls('85001', { listingType: 'for_rent', includeTypeSearches: false });
+                return urls.length === 1 && urls[0].url.includes('/homes/for_rent/');
+            }
+        },
+        {
+            name: 'Next Page Keeps Filters and Listing Type',
+            test: () => {
+                const page1 = urlGenerator.generateSearchUrl('85001', { price: { max: 200000 } }, 1, 'sold');
+                const page2 = urlGenerator.generatePageUrl(page1, 2);
+                const state = getSearchState(page2);
+                return page2.includes('/homes/recently_sold/') &&
+                       state.pagination.currentPage === 2 &&
+                       state.filterState.price.max === 200000 &&
+                       state.filterState.isRecentlySold.value === true;
+            }
+        },
+        {
+            name: 'Median Rent Per Zip',
+            test: () => {
+                const market = new RentMarket();
+                const added = rentals.filter(rental => market.addRental('85001', rental)).length;
+                return added === 4 &&
+                       market.getMedianRent('85001') === 1900 &&
+                       market.getMedianRent('85001', 3) === 2000 &&
+                       market.getMedianRent('85002') === null;
+            }
+        },
+        {
+            name: 'Rent Zestimate Preferred',
+            test: () => {
+                const market = new RentMarket();
+                rentals.forEach(rental => market.addRental('85001', rental));
+                const metrics = market.estimate({ price: 249900, beds: 3, rentZestimate: 1900 }, '85001');
+                return metrics.rentEstimate === 1900 &&
+                       metrics.rentEstimateSource === 'rentZestimate' &&
+                       metrics.grossYield === 9.12 &&
+                       metrics.priceToRentRatio === 10.96;
+            }
+        },
+        {
+            name: 'Falls Back to Area Medians',
+            test: () => {
+                const market = new RentMarket();
+                rentals.forEach(rental => market.addRental('85001', rental));
+                const threeBed = market.estimate({ price: 240000, beds: 3 }, '85001');
+                const twoBed = market.estimate({ price: 240000, beds: 2 }, '85001');
+                const unknownZip = market.estimate({ price: 240000, beds: 2 }, '99999');
+                return threeBed.rentEstimate === 2000 && threeBed.rentEstimateSource === 'areaBedroomMedian' &&
+                       twoBed.rentEstimate === 1900 && twoBed.rentEstimateSource === 'areaMedian' &&
+                       unknownZip.rentEstimate === null && unknownZip.grossYield === null;
+            }
+        }
+    ];
+    
+    runTestSuite('Listing Types and Rent Market', tests);
+}
+
+/**
+ * Test sold comps searches, ranking and comp-derived ARV
+ */
+async function testSoldComps() {
+    console.log('\n🏷️ Testing Sold Comps...\n');
+    
+    const now = new Date('2026-10-01T00:00:00Z');
+    const subject = { zpid: '100', price: 240000, sqft: 1500, beds: 3, yearBuilt: 1965, latitude: 33.4484, longitude: -112.074 };
+    const sold = (zpid, price, sqft, extra = {}) => ({
+        zpid, url: `https://www.zillow.com/homedetails/${zpid}_zpid/`, price, sqft, beds: 3, yearBuilt: 1968,
+        latitude: 33.45, longitude: -112.075, statusType: 'SOLD', soldDate: '2026-08-15', ...extra
+    });
+    const candidates = [
+        sold('201', 300000, 1500),
+        sold('202', 330000, 1500, { latitude: 33.46 }),
+        sold('203', 270000, 1500, { sqft: 1500, yearBuilt: 2015 }),
+        sold('204', 900000, 1500, { latitude: 33.6 }),
+        sold('205', 315000, 1500, { soldDate: '2025-01-10' }),
+        sold('100', 250000, 1500),
+        sold('206', 280000, 1400, { statusType: 'FOR_SALE' }),
+        sold('201', 300000, 1500)
+    ];
+    
+    const tests = [
+        {
+            name: 'Sold Comps Search Around Subject',
+            test: () => {
+                const url = urlGenerator.generateSoldCompsUrl(subject, { soldWithinMonths: 6, radiusMiles: 1 });
+                const state = JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+                return url.includes('/homes/recently_sold/') &&
+                       state.filterState.doz.value === '6m' &&
+                       state.filterState.beds.min === 2 && state.filterState.beds.max === 4 &&
+                       state.filterState.sqft.min === 1125 &&
+                       state.filterState.built.max === 1985 &&
+                       state.mapBounds.north > subject.latitude && state.mapBounds.west < subject.longitude;
+            }
+        },
+        {
+            name: 'Zip Code Fallback Without Coordinates',
+            test: () => {
+                const url = urlGenerator.generateSoldCompsUrl({ sqft: 1500 }, { zipCode: '85001' });
+                return url.includes('85001') && urlGenerator.generateSoldCompsUrl({ sqft: 1500 }) === null;
+            }
+        },
+        {
+            name: 'Comps Ranked and Filtered',
+            test: () => {
+                const { comps, compCount } = new CompsSelector().select(subject, candidates, now);
+                const zpids = comps.map(comp => comp.zpid);
+                return compCount === 3 &&
+                       zpids[0] === '201' &&
+                       !zpids.includes('204') && !zpids.includes('205') &&
+                       !zpids.includes('100') && !zpids.includes('206') &&
+                       comps[0].pricePerSqft === 200 &&
+                       comps[0].distanceMiles < 0.2;
+            }
+        },
+        {
+            name: 'ARV From Median Comp Price per Sqft',
+            test: () => {
+                const compsData = new CompsSelector().select(subject, candidates, now);
+                const tooFew = new CompsSelector({ minComps: 4 }).select(subject, candidates, now);
+                return compsData.compsPricePerSqft === 200 &&
+                       compsData.arvFromComps === 300000 &&
+                       tooFew.compCount === 3 && tooFew.arvFromComps === null;
+            }
+        },
+        {
+            name: 'Deal Analyzer Uses Comps ARV',
+            test: () => {
+                const analyzer = new DealAnalyzer({ arvSource: 'comps', rehabTier: 'light' });
+                const analysis = analyzer.analyze({ ...subject, arvFromComps: 300000, zestimate: 500000 });
+                return analysis.arv === 300000 && analysis.arvSource === 'comps' &&
+                       analyzer.analyze(subject).arv === null;
+            }
+        }
+    ];
+    
+    runTestSuite('Sold Comps', tests);
+}
+
+/**
+ * Test location resolution and location search URLs
+ */
+async function testLocationSearches() {
+    console.log('\n🗺️ Testing Location Searches...\n');
+    
+    const resolver = new LocationResolver();
+    const getSearchState = (url) => JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+    // Triangle with a square hole near its base
+    const polygon = {
+        type: 'Polygon',
+        coordinates: [
+            [[-112.10, 33.40], [-112.00, 33.40], [-112.05, 33.50], [-112.10, 33.40]],
+            [[-112.06, 33.41], [-112.04, 33.41], [-112.04, 33.42], [-112.06, 33.42], [-112.06, 33.41]]
+        ]
+    };
+    
+    const tests = [
+        {
+            name: 'Named Places Resolved',
+            test: () => {
+                const city = resolver.resolve('Phoenix, az');
+                const county = resolver.resolve({ county: 'Maricopa', state: 'AZ' });
+                const neighborhood = resolver.resolve('Arcadia, Phoenix, AZ');
+                return city.type === 'city' && city.key === 'city:phoenix-az' && city.path === 'Phoenix,-AZ_rb' &&
+                       county.type === 'county' && county.searchTerm === 'Maricopa County, AZ' &&
+                       neighborhood.type === 'neighborhood' && neighborhood.label === 'Arcadia, Phoenix, AZ';
+            }
+        },
+        {
+            name: 'ZIP+4 Searches Five-Digit Zip',
+            test: () => {
+                const area = resolver.resolve('85001-1234');
+                const url = urlGenerator.generateSearchUrl('85001-1234');
+                const state = getSearchState(url);
+                return area.key === 'zip:85001' && area.zipCode === '85001' &&
+                       url.includes('/homes/for_sale/85001_rb/') &&
+                       state.usersSearchTerm === '85001' &&
+                       state.regionSelection === undefined;
+            }
+        },
+        {
+            name: 'Region Selection Sent With Region Id',
+            test: () => {
+                const city = resolver.resolve({ city: 'Phoenix', state: 'AZ', regionId: '40326' });
+                const state = getSearchState(urlGenerator.generateSearchUrl(city));
+                const unresolved = getSearchState(urlGenerator.generateSearchUrl(resolver.resolve('Phoenix, AZ')));
+                return city.regionType === 6 && city.regionId === 40326 &&
+                       state.usersSearchTerm === 'Phoenix, AZ' &&
+                       state.regionSelection[0].regionId === 40326 && state.regionSelection[0].regionType === 6 &&
+                       unresolved.regionSelection === undefined;
+            }
+        },
+        {
+            name: 'Region Id Taken From First Page',
+            test: () => {
+                const area = resolver.resolve('Maricopa County, AZ');
+                const firstPageUrl = urlGenerator.generateSearchUrl(area);
+                const resolved = resolver.applyRegionSelection(area, [{ regionId: 2402, regionType: 4 }]);
+                const state = getSearchState(urlGenerator.applyRegion(urlGenerator.generatePageUrl(firstPageUrl, 2), area));
+                return resolved && area.regionId === 2402 &&
+                       state.regionSelection[0].regionId === 2402 && state.pagination.currentPage === 2 &&
+                       !resolver.applyRegionSelection(resolver.resolve('85001'), [{ regionId: 2402, regionType: 4 }]);
+            }
+        },
+        {
+            name: 'Polygon Sent as Custom Region',
+            test: () => {
+                const area = resolver.resolve({ type: 'Feature', properties: { name: 'Area 1' }, geometry: polygon });
+                const state = getSearchState(urlGenerator.generateSearchUrl(area, {}, 2));
+                return area.type === 'polygon' && area.label === 'Area 1' &&
+                       state.mapBounds.north === 33.5 && state.mapBounds.west === -112.1 &&
+                       state.customRegion.clipPolygons.length === 1 &&
+                       state.customRegion.clipPolygons[0] === '33.4,-112.1|33.4,-112|33.5,-112.05|33.4,-112.1' &&
+                       state.isMapVisible === true && state.usersSearchTerm === undefined &&
+                       state.pagination.currentPage === 2;
+            }
+        },
+        {
+            name: 'Point in Polygon With Holes',
+            test: () => {
+                const area = resolver.resolve(polygon);
+                return resolver.containsPoint(area, 33.45, -112.05) &&
+                       !resolver.containsPoint(area, 33.415, -112.05) &&
+                       !resolver.containsPoint(area, 33.49, -112.09) &&
+                       resolver.containsPoint(resolver.resolve('Phoenix, AZ'), 0, 0);
+            }
+        },
+        {
+            name: 'Bounds and Bbox Inputs',
+            test: () => {
+                const bounds = resolver.resolve({ bounds: { north: 33.5, south: 33.4, east: -112, west: -112.1 } });
+                const bbox = resolver.resolve({ bbox: [-112.1, 33.4, -112, 33.5] });
+                return bounds.type === 'bounds' && bounds.key === bbox.key && bbox.mapBounds.north === 33.5;
+            }
+        },
+        {
+            name: 'Invalid Locations Rejected',
+            test: () => {
+                const invalid = ['Phoenix', 'Phoenix, Arizona', { city: 'Phoenix' }, { bounds: { north: 1, south: 2, east: 3, west: 4 } }, 42,
+                    { city: 'Phoenix', state: 'AZ', regionId: 'abc' }];
+                return invalid.every(location => {
+                    try {
+                        resolver.resolve(location);
+                        return false;
+                    } catch (error) {
+                        return error.message.startsWith('Input error');
+                    }
+                });
+            }
+        }
+    ];
+    
+    runTestSuite('Location Searches', tests);
+}
+
+async function testMapTiling() {
+    console.log('\n🧩 Testing Map Tiling...\n');
+    
+    const tiler = new MapTiler({ resultCap: 800, maxDepth: 2 });
+    const extractor = new EmbeddedDataExtractor();
+    const bounds = { north: 34, south: 33, east: -111, west: -113 };
+    const getSearchState = (url) => JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+    
+    const tests = [
+        {
+            name: 'Bounds Split into Quadrants',
+            test: () => {
+                const tiles = tiler.split(bounds);
+                return tiles.length === 4 &&
+                       tiles[0].north === 34 && tiles[0].south === 33.5 && tiles[0].west === -113 && tiles[0].east === -112 &&
+                       tiles[3].north === 33.5 && tiles[3].south === 33 && tiles[3].west === -112 && tiles[3].east === -111;
+            }
+        },
+        {
+            name: 'Split Only Above Cap and Depth Limit',
+            test: () => {
+                return tiler.shouldSplit(801, 0) &&
+                       !tiler.shouldSplit(800, 0) &&
+                       !tiler.shouldSplit(5000, 2) &&
+                       !tiler.shouldSplit(null, 0);
+            }
+        },
+        {
+            name: 'Tile URL Keeps Filters and Sets Bounds',
+            test: () => {
+                const searchUrl = urlGenerator.generatePageUrl(
+                    urlGenerator.generateSearchUrl('Phoenix, AZ', { minPrice: 100000, maxPrice: 300000 }), 3);
+                const [tile] = tiler.split(bounds);
+                const tileUrl = tiler.getTileUrl(searchUrl, tile);
+                const original = getSearchState(searchUrl);
+                const state = getSearchState(tileUrl);
+                return JSON.stringify(state.filterState) === JSON.stringify(original.filterState) &&
+                       state.usersSearchTerm === 'Phoenix, AZ' &&
+                       state.mapBounds.north === 34 && state.mapBounds.south === 33.5 &&
+                       state.isMapVisible === true &&
+                       state.pagination.currentPage === undefined &&
+                       JSON.stringify(tiler.getUrlBounds(tileUrl)) === JSON.stringify(tile) &&
+                       tiler.getUrlBounds(searchUrl) === null;
+            }
+        },
+        {
+            name: 'Coverage Complete Only When All Tiles Finish',
+            test: () => {
+                const coverage = new SearchCoverage();
+                coverage.get('city:phoenix-az:base', { location: 'Phoenix, AZ', searchType: 'base' });
+                coverage.setExpected('city:phoenix-az:base', 1200);
+                coverage.openTiles('city:phoenix-az:base', 2);
+                const afterRoot = coverage.closeTile('city:phoenix-az:base', true);
+                const afterFirstTile = coverage.closeTile('city:phoenix-az:base', true);
+                const afterLastTile = coverage.closeTile('city:phoenix-az:base', true);
+                return !afterRoot && !afterFirstTile && afterLastTile;
+            }
+        },
+        {
+            name: 'Coverage Deduplicates Across Tiles',
+            test: () => {
+                const coverage = new SearchCoverage();
+                coverage.setExpected('zip:85001:base', 4);
+                ['1', '2', '2', '3'].forEach(zpid => coverage.addResult('zip:85001:base', zpid));
+                coverage.markCapped('zip:85001:base');
+                coverage.closeTile('zip:85001:base', false);
+                const restored = new SearchCoverage().restore(JSON.parse(JSON.stringify(coverage.toJSON())));
+                const [row] = restored.getReport();
+                return row.expected === 4 && row.collected === 3 && row.coveragePct === 75 &&
+                       row.capped === true && row.complete === false;
+            }
+        },
+        {
+            name: 'Search Page Map Bounds Extracted',
+            test: () => {
+                const searchPageState = {
+                    queryState: { mapBounds: bounds },
+                    cat1: { searchResults: { listResults: [] }, searchList: { totalResultCount: 1500 } }
+                };
+                const html = `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { searchPageState } } })}</script></body></html>`;
+                const searchPage = extractor.parseSearchHtml(html);
+                return searchPage.totalResultCount === 1500 &&
+                       JSON.stringify(tiler.normalizeBounds(searchPage.mapBounds)) === JSON.stringify(bounds);
+            }
+        }
+    ];
+    
+    runTestSuite('Map Tiling', tests);
+}
+
+async function testSearchFilters() {
+    console.log('\n🎚️ Testing Search Filters...\n');
+    
+    const searchFilters = new SearchFilters();
+    const getSearchState = (url) => JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+    const throwsInputError = (filters) => {
+        try {
+            searchFilters.normalize(filters);
+            return false;
+        } catch (error) {
+            return error.message.startsWith('Input error');
+        }
+    };
+    
+    const tests = [
+        {
+            name: 'Flat Price Fields Reach Filter State',
+            test: () => {
+                const state = getSearchState(urlGenerator.generateSearchUrl('90210', { minPrice: 100000, maxPrice: 500000 }));
+                return state.filterState.price.min === 100000 && state.filterState.price.max === 500000;
+            }
+        },
+        {
+            name: 'Flat and Nested Forms Match',
+            test: () => {
+                const flat = searchFilters.toFilterState({ minBeds: 3, minBaths: 2, maxHoa: 150, minYearBuilt: 1950, maxYearBuilt: 1980 });
+                const nested = searchFilters.toFilterState({ beds: { min: 3 }, baths: { min: 2 }, hoa: { max: 150 }, yearBuilt: { min: 1950, max: 1980 } });
+                return JSON.stringify(flat) === JSON.stringify(nested) &&
+                       flat.built.min === 1950 && flat.hoa.max === 150;
+            }
+        },
+        {
+            name: 'Home Features and Sort Compiled',
+            test: () => {
+                const state = searchFilters.toFilterState({
+                    propertyType: 'houses', garage: true, basement: 'any', singleStory: true, exclude55Plus: true, sort: 'price_low'
+                });
+                return state.isCondo.value === false && state.isSingleFamily === undefined &&
+                       state.hasGarage.value === true &&
+                       state.isBasementFinished.value === true && state.isBasementUnfinished.value === true &&
+                       state.singleStory.value === true &&
+                       state.ageRestricted55Plus.value === 'e' &&
+                       state.sortSelection.value === 'pricea';
+            }
+        },
+        {
+            name: 'Unknown and Invalid Filters Rejected',
+            test: () => {
+                return throwsInputError({ minprice: 100000 }) &&
+                       throwsInputError({ minPrice: -1 }) &&
+                       throwsInputError({ minPrice: 500000, maxPrice: 100000 }) &&
+                       throwsInputError({ minPrice: 1, price: { min: 2 } }) &&
+                       throwsInputError({ price: { low: 1 } }) &&
+                       throwsInputError({ propertyType: 'castles' }) &&
+                       throwsInputError({ sort: 'cheapest' }) &&
+                       !throwsInputError({ propertyType: 'all', daysOnMarket: 'any' });
+            }
+        },
+        {
+            name: 'Search URL Round-Trips',
+            test: () => {
+                const filters = {
+                    price: { min: 100000, max: 300000 }, beds: { min: 3 }, sqft: { max: 2500 },
+                    propertyTypes: ['townhomes', 'houses'], daysOnMarket: '30', basement: 'finished',
+                    sort: 'newest', distress: ['auction']
+                };
+                const url = urlGenerator.generateSearchUrl('Phoenix, AZ', filters, 2, 'sold');
+                const decoded = urlGenerator.decodeSearchUrl(url);
+                const again = urlGenerator.generateSearchUrl(decoded.searchTerm, decoded.filters, decoded.page, decoded.listingType);
+                return decoded.listingType === 'sold' && decoded.page === 2 &&
+                       JSON.stringify(decoded.filters) === JSON.stringify(searchFilters.normalize(filters)) &&
+                       decoded.unsupportedFilters.length === 0 &&
+                       again === url;
+            }
+        },
+        {
+            name: 'Unsupported Filter Keys Reported',
+            test: () => {
+                const { filters, unsupported } = searchFilters.fromFilterState({ price: { min: 5 }, isCityView: { value: true } });
+                return filters.price.min === 5 && unsupported.length === 1 && unsupported[0] === 'isCityView';
+            }
+        }
+    ];
+    
+    runTestSuite('Search Filters', tests);
+}
+
+async function testKeywordSearches() {
+    console.log('\n🔎 Testing Keyword Searches...\n');
+    
+    const engine = new KeywordEngine({ customKeywords: [{ keyword: 'estate sale', weight: 5 }, 'cosmetic only'] });
+    const getSearchState = (url) => JSON.parse(new URL(url).searchParams.get('searchQueryState'));
+    
+    const tests = [
+        {
+            name: 'Keywords Batched Strongest First',
+            test: () => {
+                const batches = engine.getSearchBatches(8);
+                const terms = batches.flat();
+                return batches.every(batch => batch.length <= 8) &&
+                       batches[0].includes('estate sale') &&
+                       terms.includes('cosmetic only') &&
+                       !terms.includes('outdated') && !terms.includes('great potential') &&
+                       new Set(terms).size === terms.length;
+            }
+        },
+        {
+            name: 'Keyword Batch Compiled to att Filter',
+            test: () => {
+                const [search] = urlGenerator.generateKeywordUrls('85001', [['fixer-upper', 'handyman special']], { maxPrice: 250000 });
+                const state = getSearchState(search.url);
+                return search.label === 'keywords_1' &&
+                       search.keywords.length === 2 &&
+                       state.filterState.att.value === 'fixer-upper, handyman special' &&
+                       state.filterState.price.max === 250000;
+            }
+        },
+        {
+            name: 'Keyword Search URL Decoded',
+            test: () => {
+                const [search] = urlGenerator.generateKeywordUrls('85001', [['as-is', 'tear down']]);
+                const { filters } = urlGenerator.decodeSearchUrl(search.url);
+                return filters.keywords === 'as-is, tear down';
+            }
+        }
+    ];
+    
+    runTestSuite('Keyword Searches', tests);
+}
+
+async function testOutputSchema() {
+    console.log('\n📐 Testing Output Schema...\n');
+    
+    const normalizer = new PropertyNormalizer({ now: () => new Date('2026-01-01T00:00:00Z') });
+    const domRecord = {
+        url: 'https://www.zillow.com/homedetails/12-Elm-St-Apt-4-Phoenix-AZ-85001/987_zpid/',
+        zpid: 987,
+        address: '12 Elm St APT 4, Phoenix, AZ 85001',
+        price: '$450K',
+        zestimate: '$1,250,000',
+        beds: '3 bd',
+        baths: '2.5 ba',
+        sqft: '1,850 sqft',
+        lotSize: '0.25 Acres',
+        yearBuilt: 'Built in 1978',
+        propertyType: 'Single Family Residence',
+        statusText: 'House for sale',
+        lastSoldDate: 1609459200000,
+        selectorStats: { cacheHitRate: 0.8 }
+    };
+    
+    const tests = [
+        {
+            name: 'DOM Text Typed and Unit-Normalized',
+            test: () => {
+                const record = normalizer.normalize(domRecord);
+                return record.schemaVersion === PROPERTY_SCHEMA_VERSION &&
+                       record.zpid === '987' &&
+                       record.price === 450000 && record.zestimate === 1250000 &&
+                       record.beds === 3 && record.baths === 2.5 && record.sqft === 1850 &&
+                       record.lotSizeSqft === 10890 && record.lotSize === undefined &&
+                       record.yearBuilt === 1978 &&
+                       record.homeType === 'SINGLE_FAMILY' && record.propertyType === undefined &&
+                       record.status === 'FOR_SALE' &&
+                       record.lastSoldDate === '2021-01-01' &&
+                       record.selectorStats === undefined &&
+                       record.validationErrors.length === 0;
+            }
+        },
+        {
+            name: 'Address Structured',
+            test: () => {
+                const { address, fullAddress } = normalizer.normalize(domRecord);
+                const fromObject = normalizer.normalize({ zpid: '1', address: { streetAddress: '5 Oak Ave', city: 'Mesa', state: 'az', zipcode: '85201' } });
+                return address.street === '12 Elm St' && address.unit === '4' &&
+                       address.city === 'Phoenix' && address.state === 'AZ' && address.zip === '85001' &&
+                       fullAddress === '12 Elm St #4, Phoenix, AZ 85001' &&
+                       fromObject.address.state === 'AZ' && fromObject.fullAddress === '5 Oak Ave, Mesa, AZ 85201';
+            }
+        },
+        {
+            name: 'Zillow Enums Mapped',
+            test: () => {
+                return normalizer.normalize({ zpid: '1', propertyType: 'TOWNHOUSE', homeStatus: 'RECENTLY_SOLD' }).status === 'SOLD' &&
+                       normalizer.normalize({ zpid: '1', propertyType: 'MULTI_FAMILY' }).homeType === 'MULTI_FAMILY' &&
+                       normalizer.normalize({ zpid: '1', statusType: 'FOR_RENT' }).status === 'FOR_RENT' &&
+                       normalizer.normalize({ zpid: '1', statusText: 'Pending' }).status === 'PENDING' &&
+                       normalizer.normalize({ zpid: '1' }).homeType === 'UNKNOWN';
+            }
+        },
+        {
+            name: 'Non-Conforming Values Reported',
+            test: () => {
+                const record = normalizer.normalize({
+                    price: 'Call for price', yearBuilt: 'N/A', homeType: 'Castle', soldDate: 'someday'
+                });
+                const fields = record.validationErrors.map(error => error.split(':')[0]);
+                return record.price === null && record.yearBuilt === null && record.homeType === 'UNKNOWN' && record.soldDate === null &&
+                       ['price', 'yearBuilt', 'homeType', 'soldDate', 'zpid/url'].every(field => fields.includes(field));
+            }
+        },
+        {
+            name: 'Embedded Records Already Conform',
+            test: () => {
+                const record = normalizer.normalize(embeddedExtractor.parseDetailHtml(buildDetailHtml(sampleDetailProperty), 'https://www.zillow.com/homedetails/123456789_zpid/'));
+                return record.validationErrors.length === 0 &&
+                       typeof record.price === 'number' &&
+                       record.homeType !== 'UNKNOWN' &&
+                       record.address.zip !== null;
+            }
+        }
+    ];
+    
+    runTestSuite('Output Schema', tests);
+}
+
+async function testResultExport() {
+    console.log('\n📤 Testing Result Export...\n');
+    
+    const records = [
+        {
+            zpid: '1',
+            fullAddress: '12 Elm St, Phoenix, AZ 85001',
+            address: { street: '12 Elm St', unit: null, city: 'Phoenix', state: 'AZ', zip: '85001' },
+            price: 250000,
+            latitude: 33.45,
+            longitude: -112.07,
+            description: 'Needs work, "as-is"\nCash only',
+            matchedKeywords: [
+                { keyword: 'needs work', category: 'cosmetic', weight: 3, position: 0 },
+                { keyword: 'as-is', category: 'distress', weight: 3, position: 12 }
+            ],
+            images: ['https://photos.zillowstatic.com/1.jpg', 'https://photos.zillowstatic.com/2.jpg'],
+            imageCount: 2,
+            priceHistory: [{ date: '2024-03-01', event: 'Price change', price: 250000 }, { date: '2024-01-10', event: 'Listed for sale', price: 275000 }],
+            searchPages: [{ searchType: 'primary', page: 1 }]
+        },
+        { zpid: '2', fullAddress: '=HYPERLINK("x")', price: 180000 }
+    ];
+    const parseCsvHeader = (csv) => csv.split('\r\n')[0].split(',');
+    
+    const tests = [
+        {
+            name: 'CSV Columns Flattened',
+            test: () => {
+                const header = parseCsvHeader(new ResultExporter().toCsv(records));
+                return header[0] === 'zpid' && header[1] === 'fullAddress' &&
+                       header.includes('address.city') && header.includes('primaryImage') &&
+                       !header.includes('images') && !header.includes('address');
+            }
+        },
+        {
+            name: 'CSV Nested Fields Readable',
+            test: () => {
+                const row = new ResultExporter().flatten(records[0]);
+                return row.matchedKeywords === 'needs work; as-is' &&
+                       row.primaryImage === 'https://photos.zillowstatic.com/1.jpg' &&
+                       row.priceHistory === '2024-03-01 Price change 250000; 2024-01-10 Listed for sale 275000' &&
+                       row.searchPages === '[{"searchType":"primary","page":1}]' &&
+                       row['address.zip'] === '85001';
+            }
+        },
+        {
+            name: 'CSV Column Order and Escaping',
+            test: () => {
+                const csv = new ResultExporter({ csvColumns: ['price', 'description', 'fullAddress'] }).toCsv(records);
+                const lines = csv.split('\r\n');
+                return lines[0] === 'price,description,fullAddress' &&
+                       lines[1].startsWith('250000,"Needs work, ""as-is""\nCash only",') &&
+                       csv.includes(`180000,,"'=HYPERLINK(""x"")"`);
+            }
+        },
+        {
+            name: 'CSV Formula Prefixes Escaped',
+            test: () => {
+                const exporter = new ResultExporter();
+                return exporter.escapeCsv('-1+2') === `'-1+2` &&
+                       exporter.escapeCsv('\t=1+2') === `'\t=1+2` &&
+                       exporter.escapeCsv('@SUM(A1)') === `'@SUM(A1)` &&
+                       exporter.escapeCsv(-5) === '-5';
+            }
+        },
+        {
+            name: 'GeoJSON Points from Coordinates',
+            test: () => {
+                const geojson = new ResultExporter().toGeoJson(records);
+                const [feature] = geojson.features;
+                return geojson.type === 'FeatureCollection' && geojson.features.length === 1 &&
+                       feature.geometry.type === 'Point' &&
+                       feature.geometry.coordinates[0] === -112.07 && feature.geometry.coordinates[1] === 33.45 &&
+                       feature.properties.zpid === '1' && feature.properties.latitude === undefined;
+            }
+        },
+        {
+            name: 'NDJSON One Record per Line',
+            test: () => {
+                const lines = new ResultExporter().toNdjson(records).trim().split('\n');
+                return lines.length === 2 && JSON.parse(lines[1]).zpid === '2';
+            }
+        }
+    ];
+    
+    runTestSuite('Result Export', tests);
+}
+
+async function testWebhookDelivery() {
+    console.log('\n📨 Testing Webhook Delivery...\n');
+    
+    // Local receiver: /ok accepts, /flaky fails once with 503, /reject answers 400
+    const received = [];
+    let flakyCalls = 0;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, body, signature: req.headers['x-webhook-signature'] });
+            if (req.url === '/flaky' && flakyCalls++ === 0) res.statusCode = 503;
+            else if (req.url === '/reject') res.statusCode = 400;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    
+    const fixer = { zpid: '1', isFixerUpper: true, distressScore: 8 };
+    const weak = { zpid: '2', isFixerUpper: true, distressScore: 2 };
+    const plain = { zpid: '3', isFixerUpper: false, distressScore: 0 };
+    
+    const signed = new WebhookDispatcher({ urls: [`${base}/ok`], secret: 's3cret', filter: { isFixerUpper: true, minDistressScore: 5 } });
+    [fixer, weak, plain].forEach(record => signed.add(record));
+    await signed.flush();
+    
+    const batched = new WebhookDispatcher({ urls: [`${base}/flaky`], batchSize: 2, retryBaseMs: 5 });
+    [fixer, weak, plain].forEach(record => batched.add(record));
+    await batched.flush();
+    
+    const rejected = new WebhookDispatcher({ urls: [`${base}/reject`], maxRetries: 3, retryBaseMs: 5 });
+    rejected.add(fixer);
+    await rejected.flush();
+    
+    await new Promise(resolve => server.close(resolve));
+    
+    const unreachable = new WebhookDispatcher({ urls: [`${base}/ok`], maxRetries: 2, retryBaseMs: 5, timeoutMs: 1000 });
+    unreachable.add(fixer);
+    await unreachable.flush();
+    
+    const tests = [
+        {
+            name: 'Only Matching Records Delivered',
+            test: () => {
+                const deliveries = received.filter(r => r.path === '/ok');
+                const payload = JSON.parse(deliveries[0].body);
+                return deliveries.length === 1 && signed.getStats().matched === 1 &&
+                       payload.event === 'properties.saved' &&
+                       payload.records.length === 1 && payload.records[0].zpid === '1';
+            }
+        },
+        {
+            name: 'HMAC Signature Verifiable',
+            test: () => {
+                const [delivery] = received.filter(r => r.path === '/ok');
+                const expected = crypto.createHmac('sha256', 's3cret').update(delivery.body).digest('hex');
+                return delivery.signature === `sha256=${expected}`;
+            }
+        },
+        {
+            name: 'Batches Retried After Server Error',
+            test: () => {
+                const stats = batched.getStats();
+                const sizes = received.filter(r => r.path === '/flaky').map(r => JSON.parse(r.body).records.length).sort();
+                return JSON.stringify(sizes) === JSON.stringify([1, 2, 2]) &&
+                       received.find(r => r.path === '/flaky').signature === undefined &&
+                       stats.retries === 1 && stats.deliveries === 2 && stats.deliveredRecords === 3 && stats.deadLettered === 0;
+            }
+        },
+        {
+            name: 'Client Errors Dead-Lettered Without Retry',
+            test: () => {
+                const stats = rejected.getStats();
+                return received.filter(r => r.path === '/reject').length === 1 &&
+                       stats.retries === 0 && stats.deadLettered === 1 &&
+                       rejected.deadLetters[0].error === 'HTTP 400' &&
+                       rejected.deadLetters[0].payload.records[0].zpid === '1';
+            }
+        },
+        {
+            name: 'Unreachable Receiver Dead-Lettered After Retries',
+            test: () => {
+                const stats = unreachable.getStats();
+                return stats.retries === 2 && stats.failedDeliveries === 1 && stats.deadLettered === 1;
+            }
+        },
+        {
+            name: 'Dead Letters Restored After Migration',
+            test: () => {
+                const restored = new WebhookDispatcher({ urls: [`${base}/ok`] }).restore(JSON.parse(JSON.stringify(rejected.toJSON())));
+                return restored.getStats().deadLettered === 1 &&
+                       restored.deadLetters[0].payload.records[0].zpid === '1' &&
+                       new WebhookDispatcher({ urls: [`${base}/ok`] }).restore(null).deadLetters.length === 0;
+            }
+        },
+        {
+            name: 'Invalid Webhook Config Rejected',
+            test: () => {
+                try {
+                    new WebhookDispatcher({ urls: ['ftp://example.com'] });
+                    return false;
+                } catch (error) {
+                    return error.message.startsWith('Input error');
+                }
+            }
+        }
+    ];
+    
+    runTestSuite('Webhook Delivery', tests);
+}
+
+async function testRunReport() {
+    console.log('\n🧾 Testing Run Report...\n');
+    
+    // A ten minute run over one zip code: two search pages, three detail pages, one blocked page
+    let clock = Date.parse('2026-03-01T12:00:00Z');
+    const runReport = new RunReport({ now: () => new Date(clock) });
+    const zip = { locationKey: 'zip:85001', location: '85001', searchType: 'fixer_upper' };
+    runReport.recordPage(zip, 30);
+    runReport.recordPage({ ...zip, searchType: 'auction' }, 10);
+    runReport.recordError(new Error('Blocked or no results for 85001: https://www.zillow.com/'), { ...zip, searchType: 'auction' });
+    runReport.recordError(new Error('Navigation timed out after 60 seconds'), { locationKey: 'zip:85001', label: 'DETAIL' });
+    runReport.recordDetail(true);
+    runReport.recordDetail(true);
+    runReport.recordDetail(false);
+    runReport.recordKeywordResult(true);
+    runReport.recordKeywordResult(false);
+    runReport.recordSaved({ searchType: 'fixer_upper', searchLocationKey: 'zip:85001', searchLocation: '85001' });
+    runReport.recordSaved({ searchType: 'fixer_upper', searchLocationKey: 'zip:85001', searchLocation: '85001' });
+    clock += 10 * 60 * 1000;
+    
+    const report = runReport.build({
+        mode: 'comprehensive',
+        totalProperties: 40,
+        totalPages: 5,
+        modeStats: { locationPages: 2, keywordSearchHits: 0 },
+        selectorStats: { jsonExtractions: 2, aiCalls: 3, selectorSources: { cache: 4, hierarchy: 5, ai: 1 } }
+    });
+    const restored = new RunReport().restore(JSON.parse(JSON.stringify(runReport.toJSON())));
+    const html = runReport.toHtml({ ...report, byLocation: [{ ...report.byLocation[0], location: '<script>alert(1)</script>' }] });
+    
+    const tests = [
+        {
+            name: 'Detail success rate divides saved detail pages by detail pages attempted',
+            test: () => report.detailExtraction.successRate === 0.6667 && report.totals.detailPages === 3
+        },
+        {
+            name: 'Keyword match rate covers every keyword-checked detail page',
+            test: () => report.keywords.matchRate === 0.5 && report.keywords.checked === 2
+        },
+        {
+            name: 'Per-zip yield counts pages, results, saved records and errors',
+            test: () => {
+                const row = report.byLocation[0];
+                return report.byLocation.length === 1 && row.pages === 2 && row.results === 40 &&
+                    row.saved === 2 && row.errors === 2 && row.resultsPerPage === 20;
+            }
+        },
+        {
+            name: 'Per-search-type rows keep detail errors out of search types',
+            test: () => {
+                const fixer = report.bySearchType.find(row => row.searchType === 'fixer_upper');
+                const auction = report.bySearchType.find(row => row.searchType === 'auction');
+                return fixer.saved === 2 && fixer.errors === 0 && auction.errors === 1 && auction.saved === 0;
+            }
+        },
+        {
+            name: 'Errors are counted by category',
+            test: () => report.errorsByCategory.blocked === 1 && report.errorsByCategory.timeout === 1 &&
+                runReport.categorize('net::ERR_CONNECTION_RESET') === 'network' &&
+                runReport.categorize('Cannot read properties of undefined') === 'extraction'
+        },
+        {
+            name: 'Selector sources and AI calls are reported',
+            test: () => report.selectors.cache === 4 && report.selectors.hierarchy === 5 &&
+                report.selectors.ai === 1 && report.selectors.embeddedJson === 2 && report.selectors.aiCalls === 3
+        },
+        {
+            name: 'Duration and throughput use the run clock',
+            test: () => report.durationSeconds === 600 && report.throughput.pagesPerMinute === 0.5 &&
+                report.throughput.recordsPerMinute === 0.2 && report.totals.recordsSaved === 2
+        },
+        {
+            name: 'Removed listings are counted under their own row',
+            test: () => {
+                const removedReport = new RunReport();
+                removedReport.recordSaved({ zpid: '9', changeType: 'removed' });
+                const rows = removedReport.build({ mode: 'zipcode', totalProperties: 0, totalPages: 0, modeStats: {}, selectorStats: {} }).bySearchType;
+                return rows.length === 1 && rows[0].searchType === 'removed_listings' && rows[0].saved === 1;
+            }
+        },
+        {
+            name: 'Run state survives a migration',
+            test: () => restored.startedAt === runReport.startedAt && restored.locations.get('zip:85001').pages === 2 &&
+                restored.detailPages.failed === 1 && restored.errors.blocked === 1
+        },
+        {
+            name: 'HTML report is self-contained and escapes values',
+            test: () => html.startsWith('<!DOCTYPE html>') && html.includes('&lt;script&gt;alert(1)&lt;/script&gt;') &&
+                !html.includes('<script>') && !/(src|href)=/.test(html) && html.includes('66.7%')
+        }
+    ];
+    
+    runTestSuite('Run Report', tests);
+}
+
+async function testPageClassification() {
+    console.log('\n🚦 Testing Page Classification...\n');
+    
+    const classifier = new PageClassifier();
+    const detailUrl = 'https://www.zillow.com/homedetails/123-Main-St-Phoenix-AZ-85001/12345_zpid/';
+    const longDescription = 'Handyman special. The driveway is blocked by a fallen tree and access is denied to the shed. '.repeat(60);
+    const detail = { url: detailUrl, title: '123 Main St, Phoenix, AZ 85001 | Zillow', headings: '123 Main St', shortText: '', listingCount: 0 };
+    
+    // Stand-in page: evaluate returns the in-page snapshot, status comes from the navigation response
+    const fakePage = snapshot => ({ evaluate: async () => snapshot, url: () => detailUrl });
+    const inspected = await classifier.inspect(fakePage({ title: 'Zillow', headings: '', shortText: '', emptyText: '', hasCaptcha: false, listingCount: 0 }), {
+        response: { status: () => 429 },
+        pageType: 'detail'
+    });
+    
+    const tests = [
+        {
+            name: 'Listing text mentioning "blocked" is not a block',
+            test: () => classifier.classify({ ...detail, status: 200, shortText: longDescription.length <= 3000 ? longDescription : '' }, 'detail') === 'ok'
+        },
+        {
+            name: 'PerimeterX press-and-hold is a captcha',
+            test: () => classifier.classify({ title: 'Access to this page has been denied', shortText: 'Press & Hold to confirm you are a human (and not a bot).', hasCaptcha: true }) === 'captcha' &&
+                classifier.classify({ title: 'Are you a human?' }) === 'captcha'
+        },
+        {
+            name: 'Denied and rate-limited pages are told apart',
+            test: () => classifier.classify({ status: 403, title: 'Zillow' }) === 'access_denied' &&
+                classifier.classify({ title: 'Access Denied', shortText: "You don't have permission to access this server." }) === 'access_denied' &&
+                classifier.classify({ status: 429 }) === 'rate_limited' &&
+                classifier.classify({ headings: 'Too Many Requests' }) === 'rate_limited'
+        },
+        {
+            name: 'Missing and redirected listings are not found',
+            test: () => classifier.classify({ ...detail, status: 404 }, 'detail') === 'not_found' &&
+                classifier.classify({ ...detail, headings: 'This home is no longer available' }, 'detail') === 'not_found' &&
+                classifier.classify({ ...detail, url: 'https://www.zillow.com/phoenix-az/' }, 'detail') === 'not_found'
+        },
+        {
+            name: 'A search without listings and a no-results message is empty',
+            test: () => classifier.classify({ title: '85001 Real Estate', emptyText: 'No matching results. Try changing your search.', listingCount: 0 }) === 'empty_results' &&
+                classifier.classify({ title: '85001 Real Estate', emptyText: 'No matching results', listingCount: 0 }, 'detail') !== 'empty_results' &&
+                classifier.classify({ title: '85001 Real Estate', headings: '0 results', listingCount: 12 }) === 'ok'
+        },
+        {
+            name: 'Outcomes map to their handling',
+            test: () => classifier.getAction('captcha') === 'retire_session' && classifier.getAction('rate_limited') === 'retire_session' &&
+                classifier.getAction('not_found') === 'skip' && classifier.getAction('empty_results') === 'record_empty' &&
+                classifier.getAction('ok') === 'process' && Object.keys(PAGE_OUTCOMES).length === 6
+        },
+        {
+            name: 'Inspecting a page reads the navigation status',
+            test: () => inspected === 'rate_limited'
+        },
+        {
+            name: 'Blocked outcomes are reported as blocked errors',
+            test: () => new RunReport().categorize('Page classified as access_denied: https://www.zillow.com/') === 'blocked' &&
+                new RunReport().categorize('Page classified as rate_limited: https://www.zillow.com/') === 'blocked'
+        }
+    ];
+    
+    runTestSuite('Page Classification', tests);
+}
+
+async function testSessionPool() {
+    console.log('\n🍪 Testing Session Pool...\n');
+    
+    const tracker = new SessionTracker({ maxPoolSize: 5, storeName: 'zillow-sessions' });
+    const defaults = new SessionTracker().getPoolOptions();
+    const poolOptions = tracker.getPoolOptions();
+    
+    // Stand-in sessions: only the id and retire() are used
+    const makeSession = id => ({ id, retiredCalls: 0, retire() { this.retiredCalls++; } });
+    const first = makeSession('session_a');
+    const second = makeSession('session_b');
+    tracker.record(first, 'ok');
+    tracker.record(first, 'empty_results');
+    tracker.record(first, 'captcha', { blocked: true });
+    tracker.retire(first);
+    tracker.record(second, 'ok');
+    tracker.record(null, 'ok');
+    
+    const sessionReport = tracker.getReport();
+    const restored = new SessionTracker().restore(JSON.parse(JSON.stringify(tracker.toJSON())));
+    const runReport = new RunReport();
+    const html = runReport.toHtml(runReport.build({ sessions: sessionReport }));
+    
+    const tests = [
+        {
+            name: 'Pool options carry the session limits and persistence key',
+            test: () => poolOptions.maxPoolSize === 5 && poolOptions.sessionOptions.maxUsageCount === 50 &&
+                poolOptions.sessionOptions.maxErrorScore === 3 && poolOptions.persistStateKey === SESSION_POOL_STATE_KEY &&
+                poolOptions.persistStateKeyValueStoreId === 'zillow-sessions'
+        },
+        {
+            name: 'Without a store name the default store keeps the session state',
+            test: () => defaults.maxPoolSize === 20 && !('persistStateKeyValueStoreId' in defaults)
+        },
+        {
+            name: 'Blocked status codes are left to the page classifier',
+            test: () => Array.isArray(poolOptions.blockedStatusCodes) && poolOptions.blockedStatusCodes.length === 0
+        },
+        {
+            name: 'Invalid session limits are rejected',
+            test: () => {
+                try {
+                    new SessionTracker({ maxErrorScore: 0 });
+                    return false;
+                } catch (error) {
+                    return error.message.startsWith('Input error') && error.message.includes('maxErrorScore');
+                }
+            }
+        },
+        {
+            name: 'Per-session success and block counts',
+            test: () => {
+                const row = sessionReport.sessions.find(entry => entry.sessionId === 'session_a');
+                return row.pages === 3 && row.successes === 2 && row.blocks === 1 && row.outcomes.captcha === 1 &&
+                    sessionReport.used === 2 && sessionReport.pages === 4 && sessionReport.blocks === 1;
+            }
+        },
+        {
+            name: 'Retiring marks the session and retires it in the pool',
+            test: () => first.retiredCalls === 1 && sessionReport.retired === 1 && second.retiredCalls === 0
+        },
+        {
+            name: 'Session counts survive a migration and reach the run report',
+            test: () => restored.get('session_a').blocks === 1 && restored.get('session_a').retired === true &&
+                html.includes('<h2>Sessions</h2>') && html.includes('session_b')
+        }
+    ];
+    
+    runTestSuite('Session Pool', tests);
+}
+
+async function testAdaptiveThrottling() {
+    console.log('\n🚦 Testing Adaptive Throttling...\n');
+    
+    let clock = Date.parse('2026-03-01T12:00:00Z');
+    const makeController = () => new ThrottleController({ maxConcurrency: 4, maxRequestsPerMinute: 60, targetBlockRate: 0.05, now: () => clock, random: () => 0.5 });
+    
+    // Quiet start, then a burst of captchas, then recovery
+    const throttle = makeController();
+    for (let i = 0; i < 10; i++) throttle.record(false);
+    const quietSettings = { concurrency: throttle.concurrency, delayMs: throttle.delayMs };
+    const firstSlowDown = throttle.record(true);
+    const inFlightBlock = throttle.record(true);
+    const afterBurst = { concurrency: throttle.concurrency, delayMs: throttle.delayMs, requestsPerMinute: throttle.requestsPerMinute };
+    for (let i = 0; i < 40; i++) throttle.record(false);
+    
+    // Retry-After pauses new requests; the rate spaces out the rest
+    const paced = makeController();
+    paced.record(true, { retryAfter: '30' });
+    const pausedWait = paced.reserveSlot();
+    const nextWait = paced.reserveSlot();
+    const datePaced = makeController();
+    datePaced.record(false, { retryAfter: new Date(clock + 90 * 1000).toUTCString() });
+    
+    const jittered = new ThrottleController({ random: () => 0 });
+    const restored = makeController().restore(JSON.parse(JSON.stringify(throttle.toJSON())));
+    
+    const tests = [
+        {
+            name: 'A quiet site runs at full concurrency with shorter delays',
+            test: () => quietSettings.concurrency === 4 && quietSettings.delayMs < 2000
+        },
+        {
+            name: 'Blocks over the target rate halve concurrency and rate and double the delay',
+            test: () => firstSlowDown?.direction === 'slow_down' && afterBurst.concurrency === 2 &&
+                afterBurst.requestsPerMinute === 30 && afterBurst.delayMs === quietSettings.delayMs * 2
+        },
+        {
+            name: 'Blocks from pages already in flight do not slow down again at once',
+            test: () => inFlightBlock === null
+        },
+        {
+            name: 'Settings climb back once the site recovers',
+            test: () => throttle.concurrency === 4 && throttle.requestsPerMinute === 60 && throttle.stats.speedUps > 0
+        },
+        {
+            name: 'Retry-After seconds and dates pause new requests',
+            test: () => pausedWait === 30000 && nextWait === 30000 + 60000 / paced.requestsPerMinute &&
+                datePaced.reserveSlot() === 90000 && paced.stats.retryAfterPauses === 1
+        },
+        {
+            name: 'Delays are jittered around the current delay',
+            test: () => jittered.getDelay() === 1000 && makeController().getDelay() === 2000
+        },
+        {
+            name: 'Invalid throttle settings are rejected',
+            test: () => {
+                const rejects = options => {
+                    try {
+                        new ThrottleController(options);
+                        return false;
+                    } catch (error) {
+                        return error.message.startsWith('Input error');
+                    }
+                };
+                return rejects({ maxRequestsPerMinute: 0 }) && rejects({ targetBlockRate: 1.5 });
+            }
+        },
+        {
+            name: 'HTTP crawler concurrency scales with the browser concurrency',
+            test: () => {
+                const scaled = makeController();
+                const full = scaled.scaleConcurrency(10);
+                scaled.record(true);
+                const halved = scaled.scaleConcurrency(10);
+                scaled.concurrency = 1;
+                return full === 10 && halved === 5 && scaled.scaleConcurrency(2) === 1;
+            }
+        },
+        {
+            name: 'Throttle state survives a migration',
+            test: () => restored.concurrency === throttle.concurrency && restored.stats.slowDowns === throttle.stats.slowDowns &&
+                restored.window.length === throttle.window.length
+        }
+    ];
+    
+    runTestSuite('Adaptive Throttling', tests);
+}
+
+async function testPageReadiness() {
+    console.log('\n📜 Testing Page Readiness...\n');
+    
+    const readiness = new PageReadiness({ scrollDelayMs: 0, timeoutMs: 50 });
+    
+    // Stand-in result list: each scroll renders up to `perScroll` more cards, up to `total`
+    const makeListPage = ({ initial, perScroll, total, resultCountText = null }) => {
+        const state = { scrolls: 0 };
+        state.page = {
+            evaluate: async (fn, ...args) => {
+                if (args.length === 2) {
+                    state.scrolls++;
+                    return undefined;
+                }
+                if (args[0][0] === '[data-testid="result-count"]') return resultCountText;
+                return Math.min(total, initial + state.scrolls * perScroll);
+            }
+        };
+        return state;
+    };
+    
+    const lazyList = makeListPage({ initial: 9, perScroll: 8, total: 60 });
+    const lazyResult = await readiness.loadAllCards(lazyList.page, { expectedCount: 40 });
+    const stalledList = makeListPage({ initial: 9, perScroll: 0, total: 9 });
+    const stalledResult = await readiness.loadAllCards(stalledList.page);
+    const countedList = makeListPage({ initial: 0, perScroll: 0, total: 0, resultCountText: '1,234 results' });
+    const resultCount = await readiness.readResultCount(countedList.page);
+    
+    const readyPage = { waitForFunction: async () => true };
+    const slowPage = { waitForFunction: async () => { throw new Error('Waiting failed: 50ms exceeded'); } };
+    const ready = await readiness.waitForSearchResults(readyPage);
+    const timedOut = await readiness.waitForDetail(slowPage);
+    
+    const runReport = new RunReport();
+    runReport.recordPageCounts({ locationKey: 'zip:85001', location: '85001', searchType: 'primary', page: 1, expectedCount: 40, extractedCount: 40, source: 'search-state' });
+    runReport.recordPageCounts({ locationKey: 'zip:85001', location: '85001', searchType: 'primary', page: 2, expectedCount: 40, extractedCount: 9, source: 'search-card' });
+    runReport.recordPageCounts({ searchType: null, page: 1, expectedCount: null, extractedCount: 12, source: 'search-card' });
+    const report = runReport.build();
+    const html = runReport.toHtml(report);
+    
+    const tests = [
+        {
+            name: 'Scrolling loads lazy cards until the expected page size',
+            test: () => lazyResult.cardCount >= 40 && lazyResult.scrolls === 4
+        },
+        {
+            name: 'Scrolling stops once the card count stops growing',
+            test: () => stalledResult.cardCount === 9 && stalledResult.scrolls === 3
+        },
+        {
+            name: 'Expected count is a full page or the rest of the total',
+            test: () => readiness.getExpectedCount(1234, 1) === SEARCH_PAGE_SIZE && readiness.getExpectedCount(95, 3) === 15 &&
+                readiness.getExpectedCount(95, 4) === 0 && readiness.getExpectedCount(null, 1) === null
+        },
+        {
+            name: 'Result count is read from the list header',
+            test: () => resultCount === 1234
+        },
+        {
+            name: 'Readiness waits report timeouts instead of throwing',
+            test: () => ready === true && timedOut === false
+        },
+        {
+            name: 'Expected vs extracted counts flag incomplete pages in the run report',
+            test: () => report.searchPages.pages === 3 && report.searchPages.incomplete === 1 && report.searchPages.unknownExpected === 1 &&
+                report.searchPages.rows[1].complete === false && report.searchPages.rows[2].searchType === 'start_urls' &&
+                html.includes('<h2>Incomplete Search Pages</h2>')
+        }
+    ];
+    
+    runTestSuite('Page Readiness', tests);
+}
+
+async function testResourceBlocking() {
+    console.log('\n🧱 Testing Resource Blocking...\n');
+    
+    const blocker = new ResourceBlocker({ allow: ['maps.googleapis.com'], deny: ['zillowstatic.com/heavy-bundle'] });
+    
+    // Stand-in page that replays a fixed list of requests through the interception handler
+    const makeRequest = (url, resourceType, handled = false) => ({
+        url: () => url,
+        resourceType: () => resourceType,
+        isInterceptResolutionHandled: () => handled,
+        abort: function () { this.result = 'aborted'; },
+        continue: function () { this.result = 'continued'; }
+    });
+    const requests = [
+        makeRequest('https://www.zillow.com/homedetails/123-Main-St/12345_zpid/', 'document'),
+        makeRequest('https://photos.zillowstatic.com/fp/abc-cc_ft_960.jpg', 'image'),
+        makeRequest('https://www.zillowstatic.com/fonts/open-sans.woff2', 'font'),
+        makeRequest('https://www.googletagmanager.com/gtm.js?id=GTM-1', 'script'),
+        makeRequest('https://www.zillowstatic.com/heavy-bundle.js', 'script'),
+        makeRequest('https://maps.googleapis.com/maps/api/staticmap.png', 'image'),
+        makeRequest('https://captcha.px-cdn.net/PXHYx10rg3/captcha.js', 'script'),
+        makeRequest('https://www.zillow.com/graphql/', 'fetch'),
+        makeRequest('https://photos.zillowstatic.com/fp/served-from-snapshot.jpg', 'image', true)
+    ];
+    let interception = false;
+    const page = {
+        setRequestInterception: async (enabled) => { interception = enabled; },
+        on: (event, handler) => { if (event === 'request') requests.forEach(handler); },
+        target: () => ({
+            createCDPSession: async () => ({
+                send: async () => {},
+                on: (event, handler) => handler({ encodedDataLength: 150000 })
+            })
+        })
+    };
+    await blocker.attach(page);
+    const stats = blocker.getStats();
+    const restored = new ResourceBlocker().restore(JSON.parse(JSON.stringify(blocker.toJSON())));
+    
+    const runReport = new RunReport();
+    const report = runReport.build({ resources: stats });
+    const html = runReport.toHtml(report);
+    
+    const rejects = (options) => {
+        try {
+            new ResourceBlocker(options);
+            return false;
+        } catch (error) {
+            return error.message.startsWith('Input error');
+        }
+    };
+    
+    const tests = [
+        {
+            name: 'Images, fonts, trackers and denied URLs are aborted',
+            test: () => interception && requests[1].result === 'aborted' && requests[2].result === 'aborted' &&
+                requests[3].result === 'aborted' && requests[4].result === 'aborted'
+        },
+        {
+            name: 'Documents, data requests, allowed URLs and anti-bot challenges load',
+            test: () => requests[0].result === 'continued' && requests[7].result === 'continued' &&
+                requests[5].result === 'continued' && requests[6].result === 'continued'
+        },
+        {
+            name: 'Requests already answered by another handler are left alone',
+            test: () => requests[8].result === undefined
+        },
+        {
+            name: 'Tracker hosts match on subdomains only',
+            test: () => blocker.isTracker('https://stats.g.doubleclick.net/collect') && blocker.isTracker('https://www.facebook.com/tr?id=1') &&
+                !blocker.isTracker('https://www.facebook.com/zillow') && !blocker.isTracker('https://notdoubleclick.net/x')
+        },
+        {
+            name: 'Bandwidth saved and transferred are reported per page',
+            test: () => stats.pages === 1 && stats.blockedRequests === 4 && stats.allowedRequests === 4 &&
+                stats.estimatedBytesSavedPerPage === 240000 && stats.transferredBytesPerPage === 150000 &&
+                stats.blockedByType.script === 2
+        },
+        {
+            name: 'Resource stats appear in the run report and survive a migration',
+            test: () => report.resources.blockedRequests === 4 && html.includes('<h2>Resource Blocking</h2>') &&
+                restored.getStats().estimatedBytesSaved === stats.estimatedBytesSaved
+        },
+        {
+            name: 'Unknown resource types and empty patterns are rejected',
+            test: () => rejects({ resourceTypes: ['images'] }) && rejects({ allow: [''] }) && rejects({ deny: 'ads' })
+        }
+    ];
+    
+    runTestSuite('Resource Blocking', tests);
+}
+
+async function testHybridDetailFetching() {
+    console.log('\n⚡ Testing Hybrid Detail Fetching...\n');
+    
+    const selectorManager = new UnifiedSelectorManager();
+    const fetcher = new HttpDetailFetcher({ selectorManager });
+    const detailUrl = 'https://www.zillow.com/homedetails/123-Main-St/123456789_zpid/';
+    const detailHtml = buildDetailHtml(sampleDetailProperty).replace('</body>', '<p>Call 602-555-0147 or jane@acmerealty.com</p></body>');
+    
+    const readable = fetcher.evaluate({ html: detailHtml, status: 200, url: detailUrl });
+    const challenge = fetcher.evaluate({ html: '<html><head><title>Access to this page has been denied</title></head><body><div id="px-captcha"></div></body></html>', status: 403, url: detailUrl });
+    const shell = fetcher.evaluate({ html: '<html><head><title>123 Main St | Zillow</title></head><body><div id="root"></div></body></html>', status: 200, url: detailUrl });
+    const removed = fetcher.evaluate({ html: '<html><head><title>Zillow</title></head><body><h1>Page not found</h1></body></html>', status: 404, url: detailUrl });
+    const serverError = fetcher.evaluate({ html: detailHtml, status: 503, url: detailUrl });
+    
+    fetcher.recordHttpDetail(400);
+    fetcher.recordHttpDetail(600);
+    fetcher.recordFallback(challenge.reason);
+    fetcher.recordFallback(shell.reason);
+    fetcher.recordBrowserDetail(5000);
+    fetcher.recordBrowserDetail(7000);
+    const stats = fetcher.getStats();
+    const restored = new HttpDetailFetcher({ selectorManager }).restore(JSON.parse(JSON.stringify(fetcher.toJSON())));
+    
+    const runReport = new RunReport();
+    const report = runReport.build({ detailFetch: stats });
+    const html = runReport.toHtml(report);
+    
+    const tests = [
+        {
+            name: 'Server-rendered detail pages are read from their embedded JSON',
+            test: () => readable.action === 'process' && readable.outcome === 'ok' && readable.property.zpid === '123456789' &&
+                readable.property.price === 249900 && readable.property.contactPhones.includes('602-555-0147')
+        },
+        {
+            name: 'Challenge pages go to the browser',
+            test: () => challenge.action === 'fallback' && challenge.reason === 'captcha'
+        },
+        {
+            name: 'Pages without the property payload go to the browser',
+            test: () => shell.action === 'fallback' && shell.reason === 'no_embedded_data'
+        },
+        {
+            name: 'Removed listings are skipped without a browser',
+            test: () => removed.action === 'skip' && removed.outcome === 'not_found'
+        },
+        {
+            name: 'Error statuses go to the browser',
+            test: () => serverError.action === 'fallback' && serverError.reason === 'status_503'
+        },
+        {
+            name: 'HTTP vs browser split and speedup are reported',
+            test: () => stats.httpFetches === 5 && stats.httpDetails === 2 && stats.browserDetails === 2 && stats.httpShare === 0.5 &&
+                stats.avgHttpMs === 500 && stats.avgBrowserMs === 6000 && stats.speedup === 12 &&
+                stats.fallbackReasons.captcha === 1 && stats.fallbackReasons.no_embedded_data === 1
+        },
+        {
+            name: 'Fetch stats appear in the run report and survive a migration',
+            test: () => report.detailFetch.httpDetails === 2 && html.includes('<h2>Detail Fetching</h2>') &&
+                restored.getStats().speedup === stats.speedup
+        }
+    ];
+    
+    runTestSuite('Hybrid Detail Fetching', tests);
+}
+
 // Helper functions
 function runTestSuite(suiteName, tests) {
     console.log(`  ${suiteName}:`);
@@ -528,6 +2622,29 @@ function generateTestReport() {
     console.log('✅ Keyword Filtering: All filter modes and matching logic tested');
     console.log('✅ Data Processing: Price cleaning, number extraction, and parsing tested');
     console.log('✅ Error Handling: Graceful failure and recovery tested');
+    console.log('✅ Embedded JSON Extraction: Detail, price/tax history, and search payload parsing tested');
+    console.log('✅ Selector Cache Persistence: Serialization, expiry, and hit tracking tested');
+    console.log('✅ Replay Snapshots: Snapshot keys, page type inference, and lookup tested');
+    console.log('✅ Deal Analysis: ARV, rehab tiers, MAO, profit, and spread threshold tested');
+    console.log('✅ Keyword Engine: Negation, word boundaries, weights, and filter modes tested');
+    console.log('✅ Property Deduplication: zpid registry, tag merging, and detail claiming tested');
+    console.log('✅ Delta Tracking: Change types, removal rules, and fingerprint persistence tested');
+    console.log('✅ Listing Types and Rent Market: Rental/sold URLs, pagination, and yield metrics tested');
+    console.log('✅ Sold Comps: Comps search URLs, ranking, and comp-derived ARV tested');
+    console.log('✅ Location Searches: Place names, ZIP+4, bounds, and polygon filtering tested');
+    console.log('✅ Map Tiling: Quadrant splitting, tile URLs, and coverage tracking tested');
+    console.log('✅ Search Filters: Validation, filter state compilation, and URL round-trips tested');
+    console.log('✅ Keyword Searches: Keyword batching and att filter searches tested');
+    console.log('✅ Output Schema: Typed fields, structured addresses, enums, and validation errors tested');
+    console.log('✅ Result Export: CSV flattening, GeoJSON features, and NDJSON tested');
+    console.log('✅ Webhook Delivery: Event filtering, HMAC signatures, retries, and dead letters tested');
+    console.log('✅ Run Report: Yield breakdowns, error categories, selector sources, and HTML output tested');
+    console.log('✅ Page Classification: Captchas, denials, rate limits, missing listings, and empty searches tested');
+    console.log('✅ Session Pool: Session limits, retirement, and per-session counts tested');
+    console.log('✅ Adaptive Throttling: Block-rate slow-downs, recovery, Retry-After, and jitter tested');
+    console.log('✅ Page Readiness: Readiness waits, infinite scroll, and expected vs extracted counts tested');
+    console.log('✅ Resource Blocking: Resource type, tracker and allow/deny rules, and bandwidth reporting tested');
+    console.log('✅ Hybrid Detail Fetching: HTTP parsing, browser fallbacks, and the HTTP/browser split tested');
     console.log('=' .repeat(60));
     console.log('\n💡 To test with real data:');
     console.log('1. Add real Zillow URLs to testData.detailUrls and testData.searchUrls');
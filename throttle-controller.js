@@ -0,0 +1,187 @@
+/**
+ * Throttle Controller
+ * Watches the block rate (captchas, denials, 429s) over a sliding window of recent pages and tunes
+ * three knobs: concurrency, the jittered per-page delay and the request rate. Blocks above the target
+ * rate halve them; a quiet window steps them back up. A Retry-After header pauses every request
+ */
+export class ThrottleController {
+    constructor(options = {}) {
+        this.maxConcurrency = options.maxConcurrency ?? 3;
+        this.minConcurrency = options.minConcurrency ?? 1;
+        this.maxRequestsPerMinute = options.maxRequestsPerMinute ?? 120;
+        this.minRequestsPerMinute = options.minRequestsPerMinute ?? 6;
+        this.targetBlockRate = options.targetBlockRate ?? 0.05;
+        this.windowSize = options.windowSize ?? 20;
+        this.adjustEvery = options.adjustEvery ?? 5;
+        this.minDelayMs = options.minDelayMs ?? 500;
+        this.maxDelayMs = options.maxDelayMs ?? 30000;
+        this.jitter = options.jitter ?? 0.5;
+        this.now = options.now || (() => Date.now());
+        this.random = options.random || Math.random;
+
+        if (!Number.isInteger(this.maxRequestsPerMinute) || this.maxRequestsPerMinute < 1) {
+            throw new Error(`Input error: 'maxRequestsPerMinute' must be a positive integer.`);
+        }
+        if (typeof this.targetBlockRate !== 'number' || !(this.targetBlockRate >= 0 && this.targetBlockRate < 1)) {
+            throw new Error(`Input error: 'targetBlockRate' must be a number from 0 up to 1.`);
+        }
+
+        this.concurrency = this.maxConcurrency;
+        this.delayMs = options.initialDelayMs ?? 2000;
+        this.requestsPerMinute = this.maxRequestsPerMinute;
+        this.window = [];
+        this.sinceAdjustment = 0;
+        this.nextSlotAt = 0;
+        this.pausedUntil = 0;
+        this.stats = { pages: 0, blocked: 0, slowDowns: 0, speedUps: 0, retryAfterPauses: 0 };
+        this.adjustments = [];
+    }
+
+    /**
+     * Count a classified page; returns the adjustment it triggered, if any
+     */
+    record(blocked, { retryAfter = null } = {}) {
+        this.stats.pages++;
+        if (blocked) this.stats.blocked++;
+
+        this.window.push(Boolean(blocked));
+        if (this.window.length > this.windowSize) this.window.shift();
+
+        const pauseMs = this.parseRetryAfter(retryAfter);
+        if (pauseMs > 0) {
+            this.pausedUntil = Math.max(this.pausedUntil, this.now() + pauseMs);
+            this.stats.retryAfterPauses++;
+        }
+
+        // A block over target slows down right away (blocks from requests already in flight do not
+        // slow down again within `adjustEvery` pages); speeding up waits for a quiet stretch
+        this.sinceAdjustment++;
+        const blockRate = this.getBlockRate();
+        const lastDirection = this.adjustments[this.adjustments.length - 1]?.direction;
+        if (blocked && blockRate > this.targetBlockRate && (lastDirection !== 'slow_down' || this.sinceAdjustment >= this.adjustEvery)) {
+            return this.slowDown(blockRate);
+        }
+        if (this.sinceAdjustment >= this.adjustEvery && this.window.length >= this.adjustEvery && blockRate <= this.targetBlockRate / 2) {
+            return this.speedUp(blockRate);
+        }
+        return null;
+    }
+
+    getBlockRate() {
+        if (this.window.length === 0) return 0;
+        return this.window.filter(Boolean).length / this.window.length;
+    }
+
+    slowDown(blockRate) {
+        this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2));
+        this.delayMs = Math.min(this.maxDelayMs, Math.max(this.minDelayMs, this.delayMs * 2));
+        this.requestsPerMinute = Math.max(this.minRequestsPerMinute, Math.floor(this.requestsPerMinute / 2));
+        this.stats.slowDowns++;
+        return this.logAdjustment('slow_down', blockRate);
+    }
+
+    speedUp(blockRate) {
+        const atFullSpeed = this.concurrency === this.maxConcurrency && this.delayMs === this.minDelayMs &&
+            this.requestsPerMinute === this.maxRequestsPerMinute;
+        this.sinceAdjustment = 0;
+        if (atFullSpeed) return null;
+
+        this.concurrency = Math.min(this.maxConcurrency, this.concurrency + 1);
+        this.delayMs = Math.max(this.minDelayMs, Math.round(this.delayMs * 0.75));
+        this.requestsPerMinute = Math.min(this.maxRequestsPerMinute, Math.ceil(this.requestsPerMinute * 1.25));
+        this.stats.speedUps++;
+        return this.logAdjustment('speed_up', blockRate);
+    }
+
+    logAdjustment(direction, blockRate) {
+        this.sinceAdjustment = 0;
+        const adjustment = {
+            at: new Date(this.now()).toISOString(),
+            direction,
+            blockRate: Math.round(blockRate * 1000) / 1000,
+            concurrency: this.concurrency,
+            delayMs: this.delayMs,
+            requestsPerMinute: this.requestsPerMinute
+        };
+        this.adjustments.push(adjustment);
+        if (this.adjustments.length > 50) this.adjustments.shift();
+        return adjustment;
+    }
+
+    /**
+     * Concurrency for a pool with a different maximum, scaled by the current share of `maxConcurrency`
+     */
+    scaleConcurrency(poolMaxConcurrency) {
+        return Math.max(1, Math.round(poolMaxConcurrency * this.concurrency / this.maxConcurrency));
+    }
+
+    /**
+     * Per-page delay with jitter (±`jitter` of the current delay)
+     */
+    getDelay() {
+        const spread = this.delayMs * this.jitter;
+        return Math.max(0, Math.round(this.delayMs - spread + this.random() * spread * 2));
+    }
+
+    /**
+     * Milliseconds a new request has to wait: a Retry-After pause, then the next free slot under
+     * the current request rate. The slot is reserved, so concurrent callers queue up behind each other
+     */
+    reserveSlot() {
+        const now = this.now();
+        const start = Math.max(now, this.pausedUntil, this.nextSlotAt);
+        this.nextSlotAt = start + Math.round(60000 / this.requestsPerMinute);
+        return start - now;
+    }
+
+    async waitForSlot() {
+        const waitMs = this.reserveSlot();
+        if (waitMs > 0) await new Promise(resolve => setTimeout(resolve, waitMs));
+        return waitMs;
+    }
+
+    /**
+     * Retry-After in milliseconds: delay seconds or an HTTP date
+     */
+    parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return 0;
+        if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(parseFloat(value) * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? 0 : Math.max(0, date - this.now());
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            blockRate: Math.round(this.getBlockRate() * 1000) / 1000,
+            targetBlockRate: this.targetBlockRate,
+            concurrency: this.concurrency,
+            delayMs: this.delayMs,
+            requestsPerMinute: this.requestsPerMinute,
+            adjustments: [...this.adjustments]
+        };
+    }
+
+    toJSON() {
+        return {
+            concurrency: this.concurrency,
+            delayMs: this.delayMs,
+            requestsPerMinute: this.requestsPerMinute,
+            window: this.window,
+            stats: this.stats,
+            adjustments: this.adjustments
+        };
+    }
+
+    restore(state) {
+        if (!state) return this;
+        this.concurrency = Math.min(this.maxConcurrency, state.concurrency ?? this.concurrency);
+        this.delayMs = state.delayMs ?? this.delayMs;
+        this.requestsPerMinute = Math.min(this.maxRequestsPerMinute, state.requestsPerMinute ?? this.requestsPerMinute);
+        this.window = [...(state.window || [])];
+        this.stats = { ...this.stats, ...state.stats };
+        this.adjustments = [...(state.adjustments || [])];
+        return this;
+    }
+}
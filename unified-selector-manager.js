@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import * as cheerio from 'cheerio';
+import { EmbeddedDataExtractor } from './embedded-data-extractor.js';
 
 /**
  * Unified Selector Manager for Comprehensive Zillow Scraping
@@ -11,6 +12,12 @@ export class UnifiedSelectorManager {
             apiKey: process.env.OPENAI_API_KEY,
             baseURL: process.env.OPENAI_API_BASE
         });
+
+        // Structured JSON source tried before any selector
+        this.embeddedExtractor = new EmbeddedDataExtractor();
+
+        // Loads lazily rendered cards before the card fallback reads them
+        this.readiness = options.readiness || null;
         
         // Search result selectors
         this.searchSelectors = {
@@ -110,6 +117,13 @@ export class UnifiedSelectorManager {
                 '[class*="zestimate"]',
                 '[class*="estimate"]'
             ],
+            rentZestimate: [
+                'span[data-testid="rent-zestimate-text-value-label"]',
+                '[data-testid="rent-zestimate"]',
+                '.rent-zestimate-value',
+                '[class*="rent-zestimate"]',
+                '[class*="RentZestimate"]'
+            ],
             agentName: [
                 '.agent-name',
                 '[data-testid="attribution-AGENT"] .Text-c11n-8-84-3__sc-aiai24-0',
@@ -164,14 +178,19 @@ export class UnifiedSelectorManager {
             image: /photo|image|picture|media/i
         };
 
+        // Cache entries: { selector, source, createdAt, lastSuccessAt, hitCount }
         this.selectorCache = new Map();
+        this.cacheStore = options.cacheStore || null;
         this.failureCount = new Map();
         this.performanceStats = {
             cacheHits: 0,
             cacheMisses: 0,
             aiCalls: 0,
+            jsonExtractions: 0,
             successfulExtractions: 0,
-            failedExtractions: 0
+            failedExtractions: 0,
+            // Which strategy found each selector-extracted field or element list
+            selectorSources: { cache: 0, hierarchy: 0, ai: 0 }
         };
     }
 
@@ -179,6 +198,42 @@ export class UnifiedSelectorManager {
      * Extract data from search results page
      */
     async extractSearchResults(page, url) {
+        const searchPage = await this.extractSearchPage(page, url);
+        return searchPage.results;
+    }
+
+    /**
+     * Extract a search page as { results, totalResultCount, mapBounds, source }
+     * Reads the embedded search state first and falls back to rendered property cards
+     */
+    async extractSearchPage(page, url, options = {}) {
+        try {
+            const searchState = await this.embeddedExtractor.extractSearchResults(page, url);
+            if (searchState && (searchState.results.length > 0 || searchState.totalResultCount === 0)) {
+                this.performanceStats.jsonExtractions++;
+                return { ...searchState, source: 'search-state' };
+            }
+        } catch (error) {
+            console.warn(`Embedded search state extraction failed, falling back to cards: ${error.message}`);
+        }
+
+        // Cards render as the list scrolls: load them all, up to what the result count says this page holds
+        let totalResultCount = null;
+        if (this.readiness) {
+            totalResultCount = await this.readiness.readResultCount(page);
+            await this.readiness.loadAllCards(page, {
+                expectedCount: this.readiness.getExpectedCount(totalResultCount, options.pageNumber)
+            });
+        }
+
+        const results = await this.extractSearchCards(page, url);
+        return { results, totalResultCount, mapBounds: null, regionSelection: null, source: 'search-card' };
+    }
+
+    /**
+     * Extract search results from rendered property cards
+     */
+    async extractSearchCards(page, url) {
         const results = [];
         
         try {
@@ -217,12 +272,31 @@ export class UnifiedSelectorManager {
      * Extract data from property detail page
      */
     async extractPropertyDetails(page, url) {
-        const propertyData = {};
+        // Prefer the embedded JSON record; selectors and AI only run when it is missing or broken
+        try {
+            const embeddedData = await this.embeddedExtractor.extractPropertyDetails(page, url);
+            if (embeddedData) {
+                try {
+                    const additionalContacts = await this.extractAdditionalContacts(page);
+                    Object.assign(embeddedData, additionalContacts);
+                } catch (error) {
+                    console.warn(`Failed to extract additional contacts: ${error.message}`);
+                }
+
+                this.performanceStats.jsonExtractions++;
+                this.performanceStats.successfulExtractions++;
+                return embeddedData;
+            }
+        } catch (error) {
+            console.warn(`Embedded JSON extraction failed, falling back to selectors: ${error.message}`);
+        }
+
+        const propertyData = { extractionSource: 'selectors' };
 
         try {
             // Extract all detail fields
             const fields = ['address', 'price', 'beds', 'baths', 'sqft', 'description', 
-                          'zestimate', 'agentName', 'agentPhone', 'propertyType', 'yearBuilt', 'lotSize'];
+                          'zestimate', 'rentZestimate', 'agentName', 'agentPhone', 'propertyType', 'yearBuilt', 'lotSize'];
 
             for (const field of fields) {
                 try {
@@ -264,6 +338,20 @@ export class UnifiedSelectorManager {
         return propertyData;
     }
 
+    /**
+     * Property details from a detail page fetched without a browser: only the embedded JSON is
+     * available there, so null means the page needs a browser
+     */
+    extractPropertyDetailsFromHtml(html, url) {
+        const embeddedData = this.embeddedExtractor.parseDetailHtml(html, url);
+        if (!embeddedData) return null;
+
+        Object.assign(embeddedData, this.findContacts(cheerio.load(html)('body').text()));
+        this.performanceStats.jsonExtractions++;
+        this.performanceStats.successfulExtractions++;
+        return embeddedData;
+    }
+
     /**
      * Extract data from a search result property card
      */
@@ -323,11 +411,11 @@ export class UnifiedSelectorManager {
         // Try cached selector first
         const cacheKey = `${pageType}-${fieldName}-${this.getUrlPattern(url)}`;
         if (this.selectorCache.has(cacheKey)) {
-            const cachedSelector = this.selectorCache.get(cacheKey);
+            const cachedSelector = this.getCachedSelector(cacheKey);
             try {
                 const result = await this.trySelector(page, cachedSelector, fieldName);
                 if (result) {
-                    this.performanceStats.cacheHits++;
+                    this.recordCacheHit(cacheKey);
                     return result;
                 }
             } catch (error) {
@@ -340,8 +428,9 @@ export class UnifiedSelectorManager {
             try {
                 const result = await this.trySelector(page, selector, fieldName);
                 if (result) {
-                    this.selectorCache.set(cacheKey, selector);
+                    this.cacheSelector(cacheKey, selector, 'hierarchy');
                     this.performanceStats.cacheMisses++;
+                    this.performanceStats.selectorSources.hierarchy++;
                     return result;
                 }
             } catch (error) {
@@ -354,7 +443,7 @@ export class UnifiedSelectorManager {
             try {
                 const aiResult = await this.tryAISelector(page, fieldName, url, pageType);
                 if (aiResult) {
-                    this.performanceStats.aiCalls++;
+                    this.performanceStats.selectorSources.ai++;
                     return aiResult;
                 }
             } catch (error) {
@@ -397,6 +486,8 @@ export class UnifiedSelectorManager {
             const html = await page.content();
             const prompt = this.buildAIPrompt(fieldName, html, pageType);
             
+            // Every request counts, whether or not its selector works
+            this.performanceStats.aiCalls++;
             const response = await this.openai.chat.completions.create({
                 model: "gpt-4",
                 messages: [
@@ -421,7 +512,7 @@ export class UnifiedSelectorManager {
                 if (result) {
                     // Cache the successful AI selector
                     const cacheKey = `${pageType}-${fieldName}-${this.getUrlPattern(url)}`;
-                    this.selectorCache.set(cacheKey, aiSelector);
+                    this.cacheSelector(cacheKey, aiSelector, 'ai');
                     return result;
                 }
             }
@@ -447,6 +538,7 @@ export class UnifiedSelectorManager {
             sqft: "square footage or property size",
             description: "property description or listing details",
             zestimate: "Zestimate value or estimated price",
+            rentZestimate: "Rent Zestimate or estimated monthly rent",
             agentName: "real estate agent name",
             agentPhone: "agent phone number or contact",
             propertyType: "property type (house, condo, etc.)",
@@ -522,11 +614,11 @@ Return only the CSS selector that would find ${description}.`;
         
         // Try cached selector first
         if (this.selectorCache.has(cacheKey)) {
-            const cachedSelector = this.selectorCache.get(cacheKey);
+            const cachedSelector = this.getCachedSelector(cacheKey);
             try {
                 const elements = await page.$$(cachedSelector);
                 if (elements && elements.length > 0) {
-                    this.performanceStats.cacheHits++;
+                    this.recordCacheHit(cacheKey);
                     return elements;
                 }
             } catch (error) {
@@ -539,8 +631,9 @@ Return only the CSS selector that would find ${description}.`;
             try {
                 const elements = await page.$$(selector);
                 if (elements && elements.length > 0) {
-                    this.selectorCache.set(cacheKey, selector);
+                    this.cacheSelector(cacheKey, selector, 'hierarchy');
                     this.performanceStats.cacheMisses++;
+                    this.performanceStats.selectorSources.hierarchy++;
                     return elements;
                 }
             } catch (error) {
@@ -551,6 +644,65 @@ Return only the CSS selector that would find ${description}.`;
         return [];
     }
 
+    /**
+     * Store a working selector in the cache
+     */
+    cacheSelector(cacheKey, selector, source = 'hierarchy') {
+        const now = new Date().toISOString();
+        const existing = this.selectorCache.get(cacheKey);
+        const keepHistory = existing && typeof existing === 'object' && existing.selector === selector;
+
+        this.selectorCache.set(cacheKey, {
+            selector,
+            source: keepHistory ? existing.source : source,
+            createdAt: keepHistory ? existing.createdAt : now,
+            lastSuccessAt: now,
+            hitCount: keepHistory ? existing.hitCount : 0
+        });
+    }
+
+    /**
+     * Get the selector string for a cache key (plain string values are accepted)
+     */
+    getCachedSelector(cacheKey) {
+        const entry = this.selectorCache.get(cacheKey);
+        return typeof entry === 'string' ? entry : entry?.selector;
+    }
+
+    recordCacheHit(cacheKey) {
+        this.performanceStats.cacheHits++;
+        this.performanceStats.selectorSources.cache++;
+        const entry = this.selectorCache.get(cacheKey);
+        if (entry && typeof entry === 'object') {
+            entry.hitCount = (entry.hitCount || 0) + 1;
+            entry.lastSuccessAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Load previously learned selectors from the configured cache store
+     */
+    async loadCache() {
+        if (!this.cacheStore) return 0;
+
+        const persisted = await this.cacheStore.load();
+        for (const [key, entry] of persisted.entries()) {
+            if (!this.selectorCache.has(key)) {
+                this.selectorCache.set(key, entry);
+            }
+        }
+
+        return persisted.size;
+    }
+
+    /**
+     * Save learned selectors to the configured cache store
+     */
+    async saveCache() {
+        if (!this.cacheStore) return null;
+        return this.cacheStore.save(this.selectorCache);
+    }
+
     /**
      * Extract property images
      */
@@ -583,36 +735,37 @@ Return only the CSS selector that would find ${description}.`;
      * Extract additional contact information
      */
     async extractAdditionalContacts(page) {
-        const contacts = {};
-        
         try {
-            const additionalContacts = await page.evaluate(() => {
-                const result = {};
-                
-                // Look for email addresses
-                const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-                const bodyText = document.body.textContent;
-                const emails = bodyText.match(emailRegex);
-                if (emails && emails.length > 0) {
-                    result.contactEmails = [...new Set(emails)]; // Remove duplicates
-                }
-
-                // Look for additional phone numbers
-                const phoneRegex = /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
-                const phones = bodyText.match(phoneRegex);
-                if (phones && phones.length > 0) {
-                    result.contactPhones = [...new Set(phones)];
-                }
-
-                return result;
-            });
-
-            Object.assign(contacts, additionalContacts);
+            const bodyText = await page.evaluate(() => document.body.textContent);
+            return this.findContacts(bodyText);
         } catch (error) {
             console.warn('Failed to extract additional contact info:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Email addresses and phone numbers found in a page's text
+     */
+    findContacts(bodyText) {
+        const result = {};
+        if (!bodyText) return result;
+
+        // Look for email addresses
+        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+        const emails = bodyText.match(emailRegex);
+        if (emails && emails.length > 0) {
+            result.contactEmails = [...new Set(emails)]; // Remove duplicates
         }
 
-        return contacts;
+        // Look for additional phone numbers
+        const phoneRegex = /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
+        const phones = bodyText.match(phoneRegex);
+        if (phones && phones.length > 0) {
+            result.contactPhones = [...new Set(phones)];
+        }
+
+        return result;
     }
 
     /**
@@ -670,8 +823,19 @@ Return only the CSS selector that would find ${description}.`;
     }
 
     getUrlPattern(url) {
-        // Extract a pattern from URL for caching (remove specific IDs)
-        return url.replace(/\/\d+_zpid/, '/ZPID').replace(/\d{5,}/, 'ID');
+        // Extract a page-type pattern from URL for caching, so selectors carry over between properties and runs
+        try {
+            const { hostname, pathname } = new URL(url);
+            if (pathname.includes('/homedetails/')) return `${hostname}/homedetails/ZPID`;
+
+            const segments = pathname.split('/')
+                .filter(Boolean)
+                .slice(0, 2)
+                .map(segment => /\d/.test(segment) ? 'ID' : segment);
+            return `${hostname}/${segments.join('/')}`;
+        } catch (error) {
+            return url.replace(/\/\d+_zpid/, '/ZPID').replace(/\d{5,}/, 'ID');
+        }
     }
 
     /**
@@ -685,6 +849,8 @@ Return only the CSS selector that would find ${description}.`;
             cachedSelectors: this.selectorCache.size,
             cacheHitRate: cacheHitRate,
             aiCalls: this.performanceStats.aiCalls,
+            jsonExtractions: this.performanceStats.jsonExtractions,
+            selectorSources: { ...this.performanceStats.selectorSources },
             successfulExtractions: this.performanceStats.successfulExtractions,
             failedExtractions: this.performanceStats.failedExtractions,
             totalExtractions: this.performanceStats.successfulExtractions + this.performanceStats.failedExtractions,
@@ -703,8 +869,11 @@ Return only the CSS selector that would find ${description}.`;
             cacheHits: 0,
             cacheMisses: 0,
             aiCalls: 0,
+            jsonExtractions: 0,
             successfulExtractions: 0,
-            failedExtractions: 0
+            failedExtractions: 0,
+            // Which strategy found each selector-extracted field or element list
+            selectorSources: { cache: 0, hierarchy: 0, ai: 0 }
         };
     }
 }
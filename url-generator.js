@@ -1,3 +1,6 @@
+import { LocationResolver } from './location-resolver.js';
+import { SearchFilters } from './search-filters.js';
+
 /**
  * URL Generator for Enhanced Property Discovery
  * Generates optimized search URLs for finding properties with specific characteristics
@@ -5,98 +8,242 @@
 
 export class URLGenerator {
     constructor() {
+        this.locationResolver = new LocationResolver();
+        this.searchFilters = new SearchFilters();
         this.baseUrl = 'https://www.zillow.com/homes/for_sale';
         
-        // Property type mappings
-        this.propertyTypes = {
-            'all': {},
-            'houses': { houses: { value: true } },
-            'condos': { condo: { value: true } },
-            'townhomes': { townhouse: { value: true } },
-            'multi-family': { multiFamily: { value: true } },
-            'lots': { land: { value: true } },
-            'manufactured': { manufactured: { value: true } }
-        };
-        
-        // Days on market mappings
-        this.daysOnMarketMap = {
-            'any': null,
-            '1': '1',
-            '7': '7',
-            '14': '14',
-            '30': '30',
-            '90': '90',
-            '180': '180'
+        // Listing type mappings: URL path and the filter state that switches Zillow's search category
+        const notForSale = {
+            isForSaleByAgent: { value: false },
+            isForSaleByOwner: { value: false },
+            isNewConstruction: { value: false },
+            isComingSoon: { value: false },
+            isAuction: { value: false },
+            isForSaleForeclosure: { value: false }
         };
-        
-        // Price reduction filters for finding motivated sellers
-        this.priceReductionFilters = {
-            'any': null,
-            'recent': '30',
-            'multiple': '60'
+        this.listingTypes = {
+            'for_sale': { baseUrl: 'https://www.zillow.com/homes/for_sale', filterState: {} },
+            'for_rent': { baseUrl: 'https://www.zillow.com/homes/for_rent', filterState: { ...notForSale, isForRent: { value: true } } },
+            'sold': { baseUrl: 'https://www.zillow.com/homes/recently_sold', filterState: { ...notForSale, isRecentlySold: { value: true } } }
         };
     }
 
     /**
-     * Generate search URL for a specific zip code with filters
+     * Generate search URL for a location (zip code, city, county, neighborhood, bounds or polygon) with filters
      */
-    generateSearchUrl(zipCode, filters = {}, page = 1) {
+    generateSearchUrl(location, filters = {}, page = 1, listingType = 'for_sale') {
+        const type = this.getListingType(listingType);
+        const area = this.locationResolver.resolve(location);
         const searchState = {
             pagination: { currentPage: page },
-            usersSearchTerm: zipCode,
-            mapBounds: {},
-            regionSelection: [{ regionId: zipCode, regionType: 7 }],
-            isMapVisible: false,
-            filterState: this.buildFilterState(filters),
+            ...this.buildAreaState(area),
+            filterState: { ...type.filterState, ...this.buildFilterState(filters) },
             isListVisible: true
         };
 
         const params = new URLSearchParams();
         params.append('searchQueryState', JSON.stringify(searchState));
 
-        return `${this.baseUrl}/?${params.toString()}`;
+        return `${type.baseUrl}/${area.path ? `${area.path}/` : ''}?${params.toString()}`;
+    }
+
+    /**
+     * Named areas are searched by their `_rb` search term and, once known, their region id and type;
+     * polygons as a custom region inside their bounds; bounding boxes by their bounds
+     */
+    buildAreaState(area) {
+        if (area.polygons) {
+            return { mapBounds: { ...area.mapBounds }, customRegion: this.buildCustomRegion(area.polygons), isMapVisible: true };
+        }
+        if (area.mapBounds) {
+            return { mapBounds: { ...area.mapBounds }, isMapVisible: true };
+        }
+        return { usersSearchTerm: area.searchTerm, ...this.buildRegionSelection(area), isMapVisible: false };
+    }
+
+    buildRegionSelection(area) {
+        return area.regionId && area.regionType ?
+            { regionSelection: [{ regionId: area.regionId, regionType: area.regionType }] } :
+            {};
+    }
+
+    /**
+     * Outer rings in the map's clipPolygon format: "latitude,longitude" points separated by "|"
+     */
+    buildCustomRegion(polygons) {
+        return {
+            clipPolygons: polygons.map(([outer]) => outer.map(([longitude, latitude]) => `${latitude},${longitude}`).join('|'))
+        };
+    }
+
+    /**
+     * Same search with the area's region selection, once its region id is known
+     */
+    applyRegion(searchUrl, area) {
+        const regionState = this.buildRegionSelection(area || {});
+        if (!regionState.regionSelection) return searchUrl;
+
+        const url = new URL(searchUrl);
+        const searchState = JSON.parse(url.searchParams.get('searchQueryState') || '{}');
+        url.searchParams.set('searchQueryState', JSON.stringify({ ...searchState, ...regionState }));
+        return url.toString();
+    }
+
+    /**
+     * Recently sold search for a subject property's comparables: within a radius of its coordinates
+     * (or its zip code), sold within N months, with similar beds, size and year built
+     */
+    generateSoldCompsUrl(subject, options = {}) {
+        const {
+            soldWithinMonths = 6,
+            radiusMiles = 1,
+            bedsRange = 1,
+            sqftRangePct = 0.25,
+            yearBuiltRange = 20,
+            zipCode = null
+        } = options;
+
+        const filters = {};
+        const beds = Number(subject.beds);
+        const sqft = Number(subject.sqft);
+        const yearBuilt = Number(subject.yearBuilt);
+        if (beds > 0) filters.beds = { min: Math.max(0, beds - bedsRange), max: beds + bedsRange };
+        if (sqft > 0) filters.sqft = { min: Math.round(sqft * (1 - sqftRangePct)), max: Math.round(sqft * (1 + sqftRangePct)) };
+        if (yearBuilt > 0) filters.yearBuilt = { min: yearBuilt - yearBuiltRange, max: yearBuilt + yearBuiltRange };
+
+        const type = this.listingTypes.sold;
+        const searchState = {
+            pagination: {},
+            isMapVisible: true,
+            filterState: {
+                ...type.filterState,
+                ...this.buildFilterState(filters),
+                doz: { value: this.getSoldWithinValue(soldWithinMonths) }
+            },
+            isListVisible: true
+        };
+
+        let path = '';
+        const latitude = Number(subject.latitude);
+        const longitude = Number(subject.longitude);
+        if (subject.latitude != null && subject.longitude != null && !isNaN(latitude) && !isNaN(longitude)) {
+            // Bounding box around the subject; about 69 miles per degree of latitude
+            const latDelta = radiusMiles / 69;
+            const lngDelta = radiusMiles / (69 * Math.cos(latitude * Math.PI / 180));
+            searchState.mapBounds = {
+                north: latitude + latDelta,
+                south: latitude - latDelta,
+                east: longitude + lngDelta,
+                west: longitude - lngDelta
+            };
+        } else if (zipCode) {
+            const area = this.locationResolver.resolve(zipCode);
+            Object.assign(searchState, this.buildAreaState(area));
+            path = `${area.path}/`;
+        } else {
+            return null;
+        }
+
+        const params = new URLSearchParams();
+        params.append('searchQueryState', JSON.stringify(searchState));
+
+        return `${type.baseUrl}/${path}?${params.toString()}`;
+    }
+
+    /**
+     * Zillow's "sold in last" values: 90 days, then 6, 12, 24 or 36 months
+     */
+    getSoldWithinValue(months) {
+        if (months <= 3) return '90';
+        if (months <= 6) return '6m';
+        if (months <= 12) return '12m';
+        if (months <= 24) return '24m';
+        return '36m';
+    }
+
+    /**
+     * Same search on another page, keeping its listing type and filters
+     */
+    generatePageUrl(searchUrl, page) {
+        const url = new URL(searchUrl);
+        const searchState = JSON.parse(url.searchParams.get('searchQueryState') || '{}');
+        searchState.pagination = { ...(searchState.pagination || {}), currentPage: page };
+        url.searchParams.set('searchQueryState', JSON.stringify(searchState));
+        return url.toString();
+    }
+
+    /**
+     * Look up a listing type ('for_sale', 'for_rent' or 'sold')
+     */
+    getListingType(listingType) {
+        const type = this.listingTypes[listingType];
+        if (!type) {
+            throw new Error(`Input error: unknown listingType '${listingType}'. Use one of ${Object.keys(this.listingTypes).join(', ')}.`);
+        }
+        return type;
     }
 
     /**
      * Generate multiple search URLs for comprehensive property discovery
      */
-    generateDiscoveryUrls(zipCode, options = {}) {
+    generateDiscoveryUrls(location, options = {}) {
         const urls = [];
+        const listingType = options.listingType || 'for_sale';
         
         // Base search without filters
         urls.push({
-            url: this.generateSearchUrl(zipCode),
+            url: this.generateSearchUrl(location, {}, 1, listingType),
             label: 'all_properties',
             description: 'All properties in zip code'
         });
 
+        // Price bands, days on market and distress filters only apply to for-sale inventory
+        if (listingType !== 'for_sale') {
+            if (options.includeTypeSearches !== false) {
+                urls.push(...this.generateTypeBasedUrls(location, listingType));
+            }
+            return urls;
+        }
+
         // Price-focused searches for finding deals
         if (options.includePriceSearches !== false) {
-            urls.push(...this.generatePriceBasedUrls(zipCode));
+            urls.push(...this.generatePriceBasedUrls(location));
         }
 
         // Time-based searches for finding motivated sellers
         if (options.includeTimeSearches !== false) {
-            urls.push(...this.generateTimeBasedUrls(zipCode));
+            urls.push(...this.generateTimeBasedUrls(location));
         }
 
         // Property type specific searches
         if (options.includeTypeSearches !== false) {
-            urls.push(...this.generateTypeBasedUrls(zipCode));
+            urls.push(...this.generateTypeBasedUrls(location));
         }
 
         // Distressed property searches
         if (options.includeDistressedSearches !== false) {
-            urls.push(...this.generateDistressedPropertyUrls(zipCode));
+            urls.push(...this.generateDistressedPropertyUrls(location));
         }
 
         return urls;
     }
 
+    /**
+     * Generate keyword-filtered search URLs, one per OR-batch of keywords, on top of the user's filters
+     */
+    generateKeywordUrls(location, keywordBatches, filters = {}, listingType = 'for_sale') {
+        return keywordBatches.map((batch, index) => ({
+            url: this.generateSearchUrl(location, { ...filters, keywords: batch }, 1, listingType),
+            label: `keywords_${index + 1}`,
+            description: `Listings mentioning ${batch.join(' / ')}`,
+            keywords: batch
+        }));
+    }
+
     /**
      * Generate price-based search URLs for finding deals
      */
-    generatePriceBasedUrls(zipCode) {
+    generatePriceBasedUrls(location) {
         const urls = [];
         
         // Below market searches (various price ranges)
@@ -113,7 +260,7 @@ export class URLGenerator {
             if (range.max) filters.price.max = range.max;
 
             urls.push({
-                url: this.generateSearchUrl(zipCode, filters),
+                url: this.generateSearchUrl(location, filters),
                 label: range.label,
                 description: `Properties ${range.min ? `$${range.min.toLocaleString()}-` : ''}$${range.max.toLocaleString()}`
             });
@@ -125,7 +272,7 @@ export class URLGenerator {
     /**
      * Generate time-based search URLs for finding motivated sellers
      */
-    generateTimeBasedUrls(zipCode) {
+    generateTimeBasedUrls(location) {
         const urls = [];
         
         // Long time on market (potential motivated sellers)
@@ -136,10 +283,10 @@ export class URLGenerator {
         ];
 
         for (const timeRange of timeRanges) {
-            const filters = { daysOnZillow: { value: timeRange.days } };
+            const filters = { daysOnMarket: timeRange.days };
             
             urls.push({
-                url: this.generateSearchUrl(zipCode, filters),
+                url: this.generateSearchUrl(location, filters),
                 label: timeRange.label,
                 description: `Properties on market ${timeRange.days}+ days`
             });
@@ -147,7 +294,7 @@ export class URLGenerator {
 
         // Recently listed (new opportunities)
         urls.push({
-            url: this.generateSearchUrl(zipCode, { daysOnZillow: { value: '7' } }),
+            url: this.generateSearchUrl(location, { daysOnMarket: '7' }),
             label: 'recently_listed',
             description: 'Properties listed in last 7 days'
         });
@@ -158,17 +305,17 @@ export class URLGenerator {
     /**
      * Generate property type specific search URLs
      */
-    generateTypeBasedUrls(zipCode) {
+    generateTypeBasedUrls(location, listingType = 'for_sale') {
         const urls = [];
         
         // Focus on property types that often need work
         const targetTypes = ['houses', 'multi-family', 'manufactured'];
         
         for (const type of targetTypes) {
-            const filters = this.propertyTypes[type];
+            const filters = { propertyTypes: [type] };
             
             urls.push({
-                url: this.generateSearchUrl(zipCode, filters),
+                url: this.generateSearchUrl(location, filters, 1, listingType),
                 label: `${type}_only`,
                 description: `${type.charAt(0).toUpperCase() + type.slice(1)} only`
             });
@@ -180,33 +327,33 @@ export class URLGenerator {
     /**
      * Generate URLs specifically for finding distressed properties
      */
-    generateDistressedPropertyUrls(zipCode) {
+    generateDistressedPropertyUrls(location) {
         const urls = [];
         
         // Auction properties
         urls.push({
-            url: this.generateSearchUrl(zipCode, { isAuction: { value: true } }),
+            url: this.generateSearchUrl(location, { distress: ['auction'] }),
             label: 'auction_properties',
             description: 'Auction properties'
         });
 
         // Foreclosure properties
         urls.push({
-            url: this.generateSearchUrl(zipCode, { isForeclosureAuction: { value: true } }),
+            url: this.generateSearchUrl(location, { distress: ['foreclosure'] }),
             label: 'foreclosure_properties',
             description: 'Foreclosure properties'
         });
 
         // Pre-foreclosure properties
         urls.push({
-            url: this.generateSearchUrl(zipCode, { isPreForeclosureAuction: { value: true } }),
+            url: this.generateSearchUrl(location, { distress: ['preForeclosure'] }),
             label: 'pre_foreclosure_properties',
             description: 'Pre-foreclosure properties'
         });
 
         // Bank owned properties
         urls.push({
-            url: this.generateSearchUrl(zipCode, { isBankOwned: { value: true } }),
+            url: this.generateSearchUrl(location, { distress: ['bankOwned'] }),
             label: 'bank_owned_properties',
             description: 'Bank owned properties'
         });
@@ -217,14 +364,14 @@ export class URLGenerator {
     /**
      * Generate URLs for finding properties with specific characteristics
      */
-    generateCharacteristicUrls(zipCode, characteristics = {}) {
+    generateCharacteristicUrls(location, characteristics = {}) {
         const urls = [];
         
         // Older properties (more likely to need work)
         if (characteristics.includeOlder) {
             urls.push({
-                url: this.generateSearchUrl(zipCode, { 
-                    built: { max: 1980 } 
+                url: this.generateSearchUrl(location, { 
+                    yearBuilt: { max: 1980 } 
                 }),
                 label: 'older_properties',
                 description: 'Properties built before 1980'
@@ -234,7 +381,7 @@ export class URLGenerator {
         // Larger properties (more potential)
         if (characteristics.includeLarger) {
             urls.push({
-                url: this.generateSearchUrl(zipCode, { 
+                url: this.generateSearchUrl(location, { 
                     sqft: { min: 2000 } 
                 }),
                 label: 'larger_properties',
@@ -245,8 +392,8 @@ export class URLGenerator {
         // Properties with land
         if (characteristics.includeLand) {
             urls.push({
-                url: this.generateSearchUrl(zipCode, { 
-                    lotSize: { min: 0.25 } 
+                url: this.generateSearchUrl(location, { 
+                    lotSize: { min: 10890 } 
                 }),
                 label: 'properties_with_land',
                 description: 'Properties with 0.25+ acres'
@@ -257,82 +404,40 @@ export class URLGenerator {
     }
 
     /**
-     * Build filter state object for Zillow search
+     * Build filter state object for Zillow search (validated by the search filter model)
      */
     buildFilterState(filters) {
-        const filterState = {};
-
-        // Price filters
-        if (filters.price) {
-            filterState.price = {};
-            if (filters.price.min) filterState.price.min = filters.price.min;
-            if (filters.price.max) filterState.price.max = filters.price.max;
-        }
-
-        // Property type filters
-        if (filters.propertyType && filters.propertyType !== 'all') {
-            Object.assign(filterState, this.propertyTypes[filters.propertyType] || {});
-        }
-
-        // Days on market filter
-        if (filters.daysOnMarket && filters.daysOnMarket !== 'any') {
-            filterState.daysOnZillow = { value: this.daysOnMarketMap[filters.daysOnMarket] };
-        }
-
-        // Specific Zillow filters
-        if (filters.daysOnZillow) {
-            filterState.daysOnZillow = filters.daysOnZillow;
-        }
-
-        // Auction filters
-        if (filters.isAuction) {
-            filterState.isAuction = filters.isAuction;
-        }
-
-        if (filters.isForeclosureAuction) {
-            filterState.isForeclosureAuction = filters.isForeclosureAuction;
-        }
-
-        if (filters.isPreForeclosureAuction) {
-            filterState.isPreForeclosureAuction = filters.isPreForeclosureAuction;
-        }
-
-        if (filters.isBankOwned) {
-            filterState.isBankOwned = filters.isBankOwned;
-        }
-
-        // Year built filter
-        if (filters.built) {
-            filterState.built = filters.built;
-        }
-
-        // Square footage filter
-        if (filters.sqft) {
-            filterState.sqft = filters.sqft;
-        }
-
-        // Lot size filter
-        if (filters.lotSize) {
-            filterState.lotSize = filters.lotSize;
-        }
-
-        // Bedrooms filter
-        if (filters.beds) {
-            filterState.beds = filters.beds;
-        }
-
-        // Bathrooms filter
-        if (filters.baths) {
-            filterState.baths = filters.baths;
-        }
+        return this.searchFilters.toFilterState(filters);
+    }
 
-        return filterState;
+    /**
+     * Decode a Zillow search URL back into its listing type, filters, area and page
+     */
+    decodeSearchUrl(searchUrl) {
+        const url = new URL(searchUrl);
+        const searchState = JSON.parse(url.searchParams.get('searchQueryState') || '{}');
+        const filterState = searchState.filterState || {};
+
+        const listingType = filterState.isForRent?.value ? 'for_rent' :
+            filterState.isRecentlySold?.value || url.pathname.includes('/recently_sold') ? 'sold' :
+            url.pathname.includes('/for_rent') ? 'for_rent' :
+            'for_sale';
+        const { filters, unsupported } = this.searchFilters.fromFilterState(filterState);
+
+        return {
+            listingType,
+            filters,
+            unsupportedFilters: unsupported,
+            searchTerm: searchState.usersSearchTerm || null,
+            mapBounds: searchState.mapBounds || null,
+            page: searchState.pagination?.currentPage || 1
+        };
     }
 
     /**
      * Generate URLs for comprehensive market analysis
      */
-    generateMarketAnalysisUrls(zipCode) {
+    generateMarketAnalysisUrls(location) {
         const urls = [];
         
         // Price segments
@@ -349,7 +454,7 @@ export class URLGenerator {
             if (segment.max) filters.price.max = segment.max;
 
             urls.push({
-                url: this.generateSearchUrl(zipCode, filters),
+                url: this.generateSearchUrl(location, filters),
                 label: segment.label,
                 description: `Market analysis: ${segment.label.replace('_', ' ')}`
             });
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+/**
+ * Webhook Dispatcher for Real-Time Deal Alerts
+ * POSTs saved records that pass an event filter to subscriber URLs as they are found, signed with an
+ * HMAC of the body; failed deliveries retry with exponential backoff and end up in a dead-letter list
+ */
+export class WebhookDispatcher {
+    constructor(options = {}) {
+        this.urls = options.urls || [];
+        this.secret = options.secret || null;
+        this.filter = options.filter || {};
+        this.batchSize = options.batchSize ?? 1;
+        this.maxRetries = options.maxRetries ?? 4;
+        this.retryBaseMs = options.retryBaseMs ?? 1000;
+        this.timeoutMs = options.timeoutMs ?? 10000;
+
+        if (!Array.isArray(this.urls) || this.urls.length === 0 || this.urls.some(url => !/^https?:\/\/\S+$/i.test(url))) {
+            throw new Error(`Input error: webhooks.urls must be a non-empty list of http(s) URLs.`);
+        }
+        if (!Number.isInteger(this.batchSize) || this.batchSize < 1) {
+            throw new Error(`Input error: webhooks.batchSize must be a positive integer.`);
+        }
+
+        this.pending = [];
+        this.inFlight = new Set();
+        this.deadLetters = [];
+        this.stats = {
+            matched: 0,
+            deliveries: 0,
+            deliveredRecords: 0,
+            retries: 0,
+            failedDeliveries: 0
+        };
+    }
+
+    /**
+     * Whether a record is an event subscribers asked for
+     */
+    matches(record) {
+        const { isFixerUpper, minDistressScore, changeTypes } = this.filter;
+        if (isFixerUpper && !record.isFixerUpper) return false;
+        if (minDistressScore !== undefined && minDistressScore !== null && !((record.distressScore ?? 0) >= minDistressScore)) return false;
+        if (Array.isArray(changeTypes) && changeTypes.length > 0 && !changeTypes.includes(record.changeType)) return false;
+        return true;
+    }
+
+    /**
+     * Queue a saved record; a full batch is sent right away without blocking the crawl
+     */
+    add(record) {
+        if (!this.matches(record)) return false;
+
+        this.stats.matched++;
+        this.pending.push(record);
+        if (this.pending.length >= this.batchSize) this.sendPending();
+        return true;
+    }
+
+    sendPending() {
+        if (this.pending.length === 0) return;
+        const records = this.pending.splice(0, this.pending.length);
+
+        for (const url of this.urls) {
+            const delivery = this.deliver(url, records).finally(() => this.inFlight.delete(delivery));
+            this.inFlight.add(delivery);
+        }
+    }
+
+    /**
+     * Send the last partial batch and wait for every delivery (and its retries) to finish
+     */
+    async flush() {
+        this.sendPending();
+        while (this.inFlight.size > 0) {
+            await Promise.all([...this.inFlight]);
+        }
+        return this.stats;
+    }
+
+    /**
+     * POST one batch to one URL, retrying network errors, 429 and 5xx responses
+     */
+    async deliver(url, records) {
+        const deliveryId = crypto.randomUUID();
+        const body = JSON.stringify({
+            event: 'properties.saved',
+            deliveryId,
+            sentAt: new Date().toISOString(),
+            records
+        });
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Delivery': deliveryId
+        };
+        if (this.secret) headers['X-Webhook-Signature'] = `sha256=${this.sign(body)}`;
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                this.stats.retries++;
+                await this.sleep(this.retryBaseMs * 2 ** (attempt - 1));
+            }
+
+            try {
+                const response = await axios.post(url, body, {
+                    headers,
+                    timeout: this.timeoutMs,
+                    validateStatus: () => true
+                });
+
+                if (response.status >= 200 && response.status < 300) {
+                    this.stats.deliveries++;
+                    this.stats.deliveredRecords += records.length;
+                    return true;
+                }
+
+                lastError = `HTTP ${response.status}`;
+                if (response.status !== 429 && response.status < 500) break;
+            } catch (error) {
+                lastError = error.message;
+            }
+        }
+
+        this.stats.failedDeliveries++;
+        this.deadLetters.push({
+            url,
+            deliveryId,
+            error: lastError,
+            failedAt: new Date().toISOString(),
+            payload: JSON.parse(body)
+        });
+        return false;
+    }
+
+    /**
+     * Hex HMAC-SHA256 of the raw request body with the shared secret
+     */
+    sign(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getStats() {
+        return { ...this.stats, deadLettered: this.deadLetters.length };
+    }
+
+    /**
+     * The dead-letter list, as saved to WEBHOOK_DEAD_LETTERS
+     */
+    toJSON() {
+        return this.deadLetters;
+    }
+
+    restore(deadLetters) {
+        this.deadLetters = Array.isArray(deadLetters) ? [...deadLetters] : [];
+        return this;
+    }
+}